@@ -4,7 +4,36 @@
  * * If the YouTube API call fails (due to quota), generic videos will be displayed
  * * instead of an error message, allowing for successful deployment.
  */
-import { fetchQuote, fetchVideos } from './api.js';
+import { requestVideoPage } from './api.js';
+import { getQuote, FALLBACK_QUOTE } from './quotes.js';
+import { loadSettings, getSettings, saveSettings, resetSettings, onSettingsChange, verifyApiKey } from './config.js';
+import { queueFavoriteChange, flushFavoriteChanges, startFavoritesSync, getPendingCount, isSyncEnabled } from './sync.js';
+import { createCache } from './cache.js';
+import { createStorage } from './storage.js';
+import { getPlanCandidates } from './planner.js';
+import { createPlannerPage } from './planner-page.js';
+import { getLocalDateKey, isDone, toggleCheckIn, getTipStreak } from './habits.js';
+import { createProgressPage } from './progress-page.js';
+import { startReminderScheduler, DEFAULT_QUIET_HOURS, EXAMPLE_REMINDERS } from './reminders.js';
+import { createRemindersPage } from './reminders-page.js';
+import { mergeTips } from './authoring.js';
+import { createMyTipsPage } from './my-tips-page.js';
+import { validateTipsData, validateCustomTips } from './schema.js';
+import { describeDataIssue, renderTipsDataNotice, renderDataDiagnostics } from './data-diagnostics.js';
+import { updateWatchProgress, getResumePosition, addWatchTime, mountPlayer } from './player.js';
+import { REPEAT_MODES } from './playlists.js';
+import { createPlaylistsPage } from './playlists-page.js';
+import { BREATHING_PATTERNS, DEFAULT_PATTERN } from './breathing.js';
+import { createPracticeOverlay } from './practice.js';
+import { createShareDialog } from './share-dialog.js';
+import { WEEKDAYS, DEFAULT_CALENDAR_OPTIONS } from './calendar.js';
+import { createPlanExport } from './plan-export.js';
+import { setupFavoritesTransfer } from './favorites-transfer.js';
+import { buildSearchIndex, searchTips } from './search.js';
+import { applyFacets, buildFacets, sortTips, getCategoryLabel, SORT_OPTIONS, DEFAULT_FILTERS } from './facets.js';
+import { buildHash, navigate, startRouter } from './router.js';
+import { html, setHtml, renderKeyed } from './render.js';
+import { HeartButton, updateHeartButtons, ShareButton, VideoFacade, activateVideoFacade, CheckIn, PracticeButton, CustomBadge, TipCard, VideoCard, formatSavedDate } from './components.js';
 
 // Import local JSON data (assuming data.json is hosted or loaded as module)
 const LOCAL_TIPS_URL = './data/data.json';
@@ -15,44 +44,159 @@ const keys = {
     FAVORITES: `${APP_ID}-favorites`,    // Property 1: Saved items
     THEME: `${APP_ID}-theme`,            // Property 2: User's theme preference
     LAST_CATEGORY: `${APP_ID}-category`, // Property 3: User's last filter
-    LAST_FETCH: `${APP_ID}-fetch-ts`     // Property 4: Timestamp for API caching
+    LAST_FETCH: `${APP_ID}-fetch-ts`,    // Property 4: Timestamp for API caching
+    QUOTE_HISTORY: `${APP_ID}-quote-history`, // Dated log of every quote shown
+    VIDEO_SEARCH: `${APP_ID}-video-search`, // Whether search text also refines the video query
+    TIP_FILTERS: `${APP_ID}-tip-filters`, // Difficulty, duration, trending and sort (category has its own key)
+    PLAN_OPTIONS: `${APP_ID}-plan-options`, // Last "Plan my day" budget, categories and video choice
+    ROUTINES: `${APP_ID}-routines`, // Routines saved from the planner
+    CHECK_INS: `${APP_ID}-check-ins`, // "Done today" records for tips (see js/habits.js)
+    REMINDERS: `${APP_ID}-reminders`, // Scheduled reminders and quiet hours (see js/reminders.js)
+    CUSTOM_TIPS: `${APP_ID}-custom-tips`, // Tips written in the app (see js/authoring.js)
+    WATCH_PROGRESS: `${APP_ID}-watch-progress`, // Playback position and watched state per video (see js/player.js)
+    WATCH_HISTORY: `${APP_ID}-watch-history`, // Seconds of video watched per day
+    HIDE_WATCHED: `${APP_ID}-hide-watched`, // Whether watched videos are left out of the sidebar
+    PLAYLISTS: `${APP_ID}-playlists`, // Named video playlists (see js/playlists.js)
+    QUEUE_OPTIONS: `${APP_ID}-queue-options`, // Shuffle and repeat for playlist playback
+    PRACTICE_OPTIONS: `${APP_ID}-practice-options`, // Breathing pattern and chime for the practice timer
+    CALENDAR_OPTIONS: `${APP_ID}-calendar-options` // Days and start time for exporting or printing a plan (see js/calendar.js)
 };
 
-const storage = {
-    get(key, defaultValue = []) {
-        try {
-            const data = localStorage.getItem(key);
-            return data ? JSON.parse(data) : defaultValue;
-        } catch (e) {
-            console.error(`Error reading key ${key}:`, e);
-            return defaultValue;
-        }
+// The id every daily quote used to share; favorites saved under it are re-keyed by storage migration 1.
+const LEGACY_QUOTE_ID = 'daily-quote-inspiration';
+const QUOTE_HISTORY_LIMIT = 365;
+const QUOTE_HISTORY_PAGE_SIZE = 7;
+
+// --- API RESPONSE CACHE (stored under keys.LAST_FETCH) ---
+const apiCache = createCache(keys.LAST_FETCH);
+const VIDEO_CACHE_TTL = 6 * 60 * 60 * 1000;           // Serve cached videos for 6 hours...
+const VIDEO_CACHE_STALE = 7 * 24 * 60 * 60 * 1000;    // ...then up to a week while refreshing in the background
+const VIDEO_SEARCH_DEBOUNCE_MS = 400;
+const TIPS_PAGE_SIZE = 20; // Tips rendered per page of the infinite scroll
+const TIPS_WINDOW_SIZE = 60; // Most tip cards kept on the page; the earliest are dropped as more load
+
+// --- FALLBACK VIDEO DATA FOR DEPLOYMENT ---
+// Shown when the YouTube API fails (e.g. quota exceeded) and nothing is cached.
+const FALLBACK_VIDEOS = [
+    { videoId: '4R7tYqW1p5Y', title: 'Guided Meditation for Deep Sleep', channelTitle: 'Calm Channel' },
+    { videoId: 'o2_VnL26-gI', title: 'Full Body Stretching Routine', channelTitle: 'Fitness Daily' },
+    { videoId: 'wFk-y_Y_rYI', title: 'Healthy Meal Prep Ideas', channelTitle: 'Cooking Light' },
+];
+
+// --- STORAGE SCHEMA (see js/storage.js) ---
+// Bump STORAGE_VERSION and add a migration whenever the shape of stored data changes.
+const STORAGE_VERSION = 1;
+const isObjectList = value => Array.isArray(value) && value.every(item => item && typeof item === 'object');
+
+const storage = createStorage({
+    versionKey: `${APP_ID}-schema-version`,
+    version: STORAGE_VERSION,
+    collections: {
+        [keys.FAVORITES]: { backend: 'indexedDB', label: 'favorites', defaultValue: [], validate: isObjectList },
+        [keys.QUOTE_HISTORY]: { backend: 'indexedDB', label: 'past quotes', defaultValue: [], validate: isObjectList },
+        [keys.THEME]: { label: 'theme', defaultValue: 'light', validate: value => value === 'light' || value === 'dark' },
+        [keys.LAST_CATEGORY]: { label: 'category filter', defaultValue: 'all', validate: value => typeof value === 'string' },
+        [keys.VIDEO_SEARCH]: { label: 'video search option', defaultValue: false, validate: value => typeof value === 'boolean' },
+        [keys.TIP_FILTERS]: { label: 'tip filters', defaultValue: {}, validate: value => Boolean(value) && typeof value === 'object' && !Array.isArray(value) },
+        [keys.PLAN_OPTIONS]: { label: 'planner options', defaultValue: {}, validate: value => Boolean(value) && typeof value === 'object' && !Array.isArray(value) },
+        [keys.ROUTINES]: { backend: 'indexedDB', label: 'saved routines', defaultValue: [], validate: isObjectList },
+        [keys.CHECK_INS]: { backend: 'indexedDB', label: 'practice history', defaultValue: [], validate: isObjectList },
+        [keys.CUSTOM_TIPS]: { backend: 'indexedDB', label: 'custom tips', defaultValue: [], validate: isObjectList },
+        [keys.WATCH_PROGRESS]: { backend: 'indexedDB', label: 'video progress', defaultValue: {}, validate: value => Boolean(value) && typeof value === 'object' && !Array.isArray(value) },
+        [keys.WATCH_HISTORY]: { backend: 'indexedDB', label: 'video watch history', defaultValue: [], validate: isObjectList },
+        [keys.HIDE_WATCHED]: { label: 'hide watched videos option', defaultValue: false, validate: value => typeof value === 'boolean' },
+        [keys.PLAYLISTS]: { backend: 'indexedDB', label: 'playlists', defaultValue: [], validate: isObjectList },
+        [keys.QUEUE_OPTIONS]: { label: 'playlist playback options', defaultValue: {}, validate: value => Boolean(value) && typeof value === 'object' && !Array.isArray(value) },
+        [keys.PRACTICE_OPTIONS]: { label: 'practice timer options', defaultValue: {}, validate: value => Boolean(value) && typeof value === 'object' && !Array.isArray(value) },
+        [keys.CALENDAR_OPTIONS]: { label: 'calendar export options', defaultValue: {}, validate: value => Boolean(value) && typeof value === 'object' && !Array.isArray(value) },
+        [keys.REMINDERS]: { label: 'reminders', defaultValue: {}, validate: value => Boolean(value) && typeof value === 'object' && !Array.isArray(value) }
     },
-    set(key, value) {
-        try {
-            localStorage.setItem(key, JSON.stringify(value));
-        } catch (e) {
-            console.error(`Error writing key ${key}:`, e);
+    migrations: [
+        {
+            version: 1,
+            description: 'drop malformed favorites and re-key quotes saved under the old shared id',
+            migrate(data) {
+                const seen = new Set();
+                const favorites = data.get(keys.FAVORITES)
+                    .filter(fav => typeof fav.id === 'string' && ['quote', 'tip', 'video'].includes(fav.type))
+                    .map(fav => fav.type === 'quote' && fav.id === LEGACY_QUOTE_ID ? { ...fav, id: getQuoteId(fav.q, fav.a) } : fav)
+                    .filter(fav => !seen.has(fav.id) && seen.add(fav.id));
+                data.set(keys.FAVORITES, favorites);
+            }
         }
-    }
-};
+    ]
+});
 
 // --- STATE AND DATA ---
-let favorites = storage.get(keys.FAVORITES);
-let localTipsData = []; // Will be loaded from data.json
+let favorites = []; // Loaded from storage at startup (IndexedDB when available)
+let quoteHistory = [];
+let currentQuote = null; // Quote currently shown on Home, kept so its heart can re-render
+let quoteTag = null; // Tag (tip category) the current quote was requested for
+let quoteHistoryPage = 1;
+let localTipsData = []; // Bundled tips from data.json merged with custom tips (see js/authoring.js)
+let bundledTips = []; // Valid records from data.json
+let tipsDiagnostics = null; // { total, loaded, issues } from validating data.json (see js/schema.js)
+let customTips = []; // Loaded from storage at startup
+let customTipsDiagnostics = null; // { total, loaded, issues, backupKey } from validating the saved custom tips
+let editingTipId = null; // Custom tip open in the editor (#/my-tips?edit=ID)
+let myTipsPage = null; // #/my-tips (see js/my-tips-page.js), set up at startup
 let currentView = 'home';
+let currentPath = null; // Path of the applied route; query-only changes (search, filters) keep the scroll position
 let currentSearchTerm = '';
 let currentCategory = storage.get(keys.LAST_CATEGORY, 'all');
+let tipFilters = loadTipFilters(); // { difficulty, duration, trending, sort } from js/facets.js
+let currentTipId = null; // Set by the router for the #/tips/:id detail view
+let currentVideos = []; // Videos shown in the sidebar, kept so they can re-render on reconnect
+let videoQuery = null; // YouTube query the sidebar videos were last requested for
+let videoRequest = null; // AbortController for the in-flight video request
+let videoNextPageToken = null; // YouTube nextPageToken for "Load more videos" (null on the last page)
+let watchProgress = {}; // { [videoId]: { position, duration, watched, title, updatedAt } }, loaded at startup
+let watchHistory = []; // { date, seconds } per day, loaded at startup
+let hideWatched = storage.get(keys.HIDE_WATCHED, false); // Whether the sidebar leaves out watched videos
+const playingWatch = new WeakMap(); // Facade element -> the watch props it had when its player started
+let activePlaylistId = null; // Playlist open in #/playlists?list=ID
+let playlistsPage = null; // #/playlists and its queue player (see js/playlists-page.js), set up at startup
+let practiceOverlay = null; // Guided practice timer (see js/practice.js), set up at startup
+let shareDialog = null; // Share card dialog (see js/share-dialog.js), set up at startup
+let searchVideos = storage.get(keys.VIDEO_SEARCH, false); // Whether the search box also drives videos
+let isDataLoaded = false;
+let tipsIndex = []; // Full-text search index over localTipsData (see js/search.js)
+let tipsIndexSource = null;
+let tipsWindow = { start: 0, end: TIPS_PAGE_SIZE }; // Slice of the matching tips that is rendered; moves as the list is scrolled
+let tipsTotal = 0; // Matching tips in the last renderTips()
+let tipsResultsKey = null; // Search and filters tipsWindow applies to; a new filter starts at page one
+let favoritesType = 'all'; // Favorites page type chip: 'all' | 'quote' | 'tip' | 'video'
+let favoritesSearchTerm = '';
+let favoritesSort = 'newest';
+let plannerPage = null; // "Plan My Day" (see js/planner-page.js), set up at startup
+let planExport = null; // "Add to Calendar or Print" card (see js/plan-export.js), set up at startup
+let checkIns = []; // { tipId, date, at } records, loaded from storage at startup
+let remindersPage = null; // #/reminders and the reminder banner (see js/reminders-page.js), set up at startup
+let progressPage = null; // #/progress (see js/progress-page.js), set up at startup
 
 // --- DOM ELEMENTS (Cached) ---
 const els = {
     quoteContent: null, // Will be set in init
     tipsList: null,
+    tipsMore: null, // "Show more tips" footer, also the infinite scroll trigger
+    tipsEarlier: null, // "Show earlier tips", the same for tips dropped from the top of the list
     videoList: null,
+    videoLoadMore: null,
+    hideWatchedToggle: null, // "Hide videos I've watched" checkbox
+    videoStatus: null,
     favoritesList: null,
     searchInput: null,
     categoryFilter: null,
+    videoSearchToggle: null, // "Also search videos" checkbox
+    difficultyFilter: null, // Facet controls generated from data.json (see js/facets.js)
+    durationFilter: null,
+    trendingFilter: null,
+    trendingCount: null,
+    sortSelect: null,
     themeToggle: null,
+    refreshButton: null, // Manual refresh: bypasses the API cache
+    offlineIndicator: null, // Banner shown while navigator.onLine is false
+    storageNotice: null, // Banner listing saved data that had to be reset
     contentContainer: null,
     homeSection: null, // Main wrapper for Home/Tips content
     favoritesSection: null, // Main wrapper for Favorites content
@@ -60,13 +204,148 @@ const els = {
     // Elements for selective hiding/showing
     quoteSection: null, // Sub-section within homeSection for Quote
     videoSidebar: null, // Sub-section within homeSection for Videos
+    favoritesTypeChips: null, // Type filter chips on the Favorites page
+    favoritesSearch: null,
+    favoritesSort: null,
+    settingsSection: null, // Main wrapper for the Settings panel (#/settings)
+    settingsForm: null,
+    settingsStatus: null,
+    quoteHistorySection: null, // Main wrapper for the Past Quotes archive (#/quotes)
+    quoteHistoryList: null,
+    quoteHistoryPager: null,
+    tipDetailSection: null, // Main wrapper for the single tip page (#/tips/:id)
+    tipDetail: null,
+    tipDetailBack: null,
+    planSection: null, // Main wrapper for the routine planner (#/plan)
+    progressSection: null, // Main wrapper for streaks and the practice calendar (#/progress)
+    remindersSection: null, // Main wrapper for scheduled reminders (#/reminders)
+    myTipsSection: null, // Main wrapper for the custom tip editor (#/my-tips)
+    playlistsSection: null, // Main wrapper for playlists and the queue player (#/playlists)
+    tipsDataNotice: null, // Tips page note when data.json entries were skipped
+    dataDiagnostics: null, // Settings panel listing each data.json problem
 };
 
 // --- HELPER FUNCTIONS ---
 
-// Provides a stable ID for the Daily Quote element, ensuring it can be saved persistently.
-function getDailyQuoteId() {
-    return 'daily-quote-inspiration';
+// Provides a stable, content-based ID for a quote so different days' quotes never collide.
+function getQuoteId(q, a) {
+    // djb2 string hash, rendered in base 36 to keep ids short.
+    const text = `${q}|${a}`;
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) + hash + text.charCodeAt(i)) >>> 0;
+    }
+    return `quote-${hash.toString(36)}`;
+}
+
+// Records a shown quote once per day, newest first, capped to QUOTE_HISTORY_LIMIT entries.
+function recordQuoteHistory(quote) {
+    const date = getLocalDateKey();
+    if (quoteHistory.some(entry => entry.id === quote.id && entry.date === date)) return;
+
+    quoteHistory.unshift({ id: quote.id, q: quote.q, a: quote.a, date, shownAt: new Date().toISOString() });
+    quoteHistory = quoteHistory.slice(0, QUOTE_HISTORY_LIMIT);
+    storage.set(keys.QUOTE_HISTORY, quoteHistory);
+}
+
+// Returns a debounced wrapper that runs fn once calls have stopped for `wait` ms.
+function debounce(fn, wait) {
+    let timer = null;
+    return (...args) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => fn(...args), wait);
+    };
+}
+
+// Settles like promise, but rejects with an AbortError as soon as signal aborts. Only this
+// caller stops waiting; the promise's work carries on for anyone else who shares it.
+function abortable(promise, signal) {
+    if (!signal) return promise;
+    return new Promise((resolve, reject) => {
+        const abort = () => reject(new DOMException('The request was superseded.', 'AbortError'));
+        if (signal.aborted) {
+            abort();
+            return;
+        }
+        signal.addEventListener('abort', abort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', abort));
+    });
+}
+
+// Saved facet filters, with defaults for anything missing from older saves.
+function loadTipFilters() {
+    const { category, ...defaults } = DEFAULT_FILTERS;
+    return { ...defaults, ...storage.get(keys.TIP_FILTERS, {}) };
+}
+
+// Saved shuffle and repeat choices, with defaults for anything missing or unknown.
+function loadQueueOptions() {
+    const saved = storage.get(keys.QUEUE_OPTIONS, {});
+    return { shuffle: saved.shuffle === true, repeat: saved.repeat in REPEAT_MODES ? saved.repeat : 'off' };
+}
+
+// Saved practice timer choices, with defaults for anything missing or unknown.
+function loadPracticeOptions() {
+    const saved = storage.get(keys.PRACTICE_OPTIONS, {});
+    return { pattern: saved.pattern in BREATHING_PATTERNS ? saved.pattern : DEFAULT_PATTERN, chime: saved.chime !== false };
+}
+
+// Saved planner options, with defaults for anything missing.
+function loadPlanOptions() {
+    return { budget: 30, categories: [], includeVideos: false, ...storage.get(keys.PLAN_OPTIONS, {}) };
+}
+
+// Saved calendar export choices, with defaults for anything missing or unknown.
+function loadCalendarOptions() {
+    const saved = storage.get(keys.CALENDAR_OPTIONS, {});
+    const days = Array.isArray(saved.days) ? WEEKDAYS.map(day => day.code).filter(code => saved.days.includes(code)) : [];
+    return {
+        days: days.length > 0 ? days : DEFAULT_CALENDAR_OPTIONS.days,
+        time: typeof saved.time === 'string' ? saved.time : DEFAULT_CALENDAR_OPTIONS.time
+    };
+}
+
+// Saved reminders and quiet hours. The examples are offered until the first reminder is saved.
+function loadReminderSettings() {
+    const saved = storage.get(keys.REMINDERS, {});
+    return {
+        reminders: isObjectList(saved.reminders) ? saved.reminders : EXAMPLE_REMINDERS,
+        quietHours: { ...DEFAULT_QUIET_HOURS, ...saved.quietHours }
+    };
+}
+
+// Saved custom tips that still match the tip format. Any that don't are left out and reported in the
+// diagnostics; the saved list is copied to "<key>-backup" first, as js/storage.js does for corrupt data.
+function loadCustomTips() {
+    const saved = storage.get(keys.CUSTOM_TIPS);
+    const { tips, issues } = validateCustomTips(saved);
+    customTipsDiagnostics = { total: saved.length, loaded: tips.length, issues, backupKey: null };
+    if (issues.length === 0) return tips;
+
+    customTipsDiagnostics.backupKey = `${keys.CUSTOM_TIPS}-backup`;
+    storage.set(customTipsDiagnostics.backupKey, saved);
+    storage.set(keys.CUSTOM_TIPS, tips);
+    issues.forEach(issue => console.warn(`Skipped a saved custom tip. ${describeDataIssue(issue)}`));
+    return tips;
+}
+
+// Every category in the merged tips, sorted by label.
+function getTipCategories() {
+    return [...new Set(localTipsData.map(tip => tip.category).filter(Boolean))]
+        .sort((a, b) => getCategoryLabel(a).localeCompare(getCategoryLabel(b)));
+}
+
+// Query parameters describing the current tip filter, used when building links.
+// Default values are left out so shared links stay short.
+function getFilterQuery() {
+    return {
+        category: currentCategory === 'all' ? '' : currentCategory,
+        q: currentSearchTerm,
+        difficulty: tipFilters.difficulty === 'all' ? '' : tipFilters.difficulty,
+        duration: tipFilters.duration === 'all' ? '' : tipFilters.duration,
+        trending: tipFilters.trending ? '1' : '',
+        sort: tipFilters.sort === DEFAULT_FILTERS.sort ? '' : tipFilters.sort
+    };
 }
 
 // --- CORE RENDERING LOGIC ---
@@ -81,140 +360,452 @@ function renderQuote(quote) {
         return;
     }
 
-    const quoteId = quote.id;
-    const isFav = isFavorited(quoteId);
-
-    els.quoteContent.innerHTML = `
-        <p class="text-3xl font-body italic mb-6 leading-relaxed">"${quote.q || quote}"</p>
+    setHtml(els.quoteContent, html`
+        <p class="text-3xl font-body italic mb-6 leading-relaxed">"${quote.q}"</p>
         <p class="text-lg font-semibold text-gray-500 dark:text-gray-400"> - ${quote.a || 'Zen Master'}</p>
-        <button class="favorite-btn mt-6 text-4xl transition duration-200 ${isFav ? 'text-red-500' : 'text-gray-400 dark:text-gray-500'}" 
-            data-id="${quoteId}" 
-            data-type="quote" 
-            data-q="${quote.q || quote}" 
-            data-a="${quote.a || 'Zen Master'}">
-            <svg class="w-8 h-8" fill="${isFav ? 'red' : 'none'}" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z"></path></svg>
-        </button>
-    `;
+        <div class="mt-6 flex justify-center items-center space-x-6">
+            ${ShareButton({ id: quote.id, type: 'quote', size: 'w-8 h-8', className: 'text-4xl' })}
+            ${HeartButton({ id: quote.id, type: 'quote', isFav: isFavorited(quote.id), size: 'w-8 h-8', className: 'text-4xl' })}
+        </div>
+    `);
+}
+
+// Builds <option> markup for a facet select. The selected value is kept even when no
+// tip currently has it (e.g. from a shared link), so the select never silently resets.
+function renderFacetOptions(allLabel, allCount, options, selected) {
+    const entries = [...options];
+    if (selected !== 'all' && !entries.some(option => option.value === selected)) {
+        entries.push({ value: selected, label: getCategoryLabel(selected), count: 0 });
+    }
+    return html`<option value="all">${allLabel} (${allCount})</option>${entries.map(({ value, label, count }) =>
+        html`<option value="${value}" ${value === selected && 'selected'}>${label} (${count})</option>`)}`;
+}
+
+// Regenerates the category, difficulty and duration options (with counts) from the data.
+function renderFacetControls(facets) {
+    if (els.categoryFilter) {
+        setHtml(els.categoryFilter, renderFacetOptions('All Categories', facets.total, facets.categories, currentCategory));
+        els.categoryFilter.value = currentCategory;
+    }
+    if (els.difficultyFilter) {
+        const total = facets.difficulties.reduce((sum, option) => sum + option.count, 0);
+        setHtml(els.difficultyFilter, renderFacetOptions('Any difficulty', total, facets.difficulties, tipFilters.difficulty));
+        els.difficultyFilter.value = tipFilters.difficulty;
+    }
+    if (els.durationFilter) {
+        const total = facets.durations.reduce((sum, option) => sum + option.count, 0);
+        setHtml(els.durationFilter, renderFacetOptions('Any duration', total, facets.durations.filter(option => option.count > 0 || option.value === tipFilters.duration), tipFilters.duration));
+        els.durationFilter.value = tipFilters.duration;
+    }
+    if (els.trendingCount) {
+        els.trendingCount.textContent = `(${facets.trendingCount})`;
+    }
+}
+
+// The search index is rebuilt only when the tips array itself changes.
+function getTipsIndex(tips) {
+    if (tipsIndexSource !== tips) {
+        tipsIndex = buildSearchIndex(tips);
+        tipsIndexSource = tips;
+    }
+    return tipsIndex;
 }
 
 function renderTips(tips) {
     if (!els.tipsList) return;
 
-    // Robust Logic: Filtering and Searching
-    const filteredTips = tips.filter(tip => {
-        const categoryValue = els.categoryFilter ? els.categoryFilter.value : 'all';
-        const searchValue = els.searchInput ? els.searchInput.value.trim().toLowerCase() : '';
+    // Robust Logic: Ranked search over title/content/keywords/source, then facets, then sort
+    // (state is driven by the router)
+    const filters = { category: currentCategory, ...tipFilters };
+    const searchResults = searchTips(getTipsIndex(tips), currentSearchTerm);
+    renderFacetControls(buildFacets(searchResults.map(({ tip }) => tip), filters));
+
+    const results = sortTips(applyFacets(searchResults, filters, ({ tip }) => tip), tipFilters.sort, ({ tip }) => tip);
 
-        const matchesCategory = categoryValue === 'all' || tip.category === categoryValue;
-        const matchesSearch = searchValue === '' ||
-            tip.title.toLowerCase().includes(searchValue) ||
-            tip.content.toLowerCase().includes(searchValue);
-        return matchesCategory && matchesSearch;
+    const resultsKey = JSON.stringify([currentSearchTerm, filters]);
+    if (resultsKey !== tipsResultsKey) {
+        tipsResultsKey = resultsKey;
+        tipsWindow = { start: 0, end: TIPS_PAGE_SIZE };
+    }
+    tipsTotal = results.length;
+
+    // Keyed, so moving the window only adds and drops cards at its ends; the rest are kept.
+    renderKeyed(els.tipsList, results.slice(tipsWindow.start, tipsWindow.end), {
+        key: ({ tip }) => tip.id,
+        render: ({ tip, matchedWords }) => TipCard({
+            tip,
+            isFav: isFavorited(tip.id),
+            matchedWords,
+            doneToday: isDone(checkIns, tip.id, getLocalDateKey()),
+            streak: getTipStreak(checkIns, tip.id, getLocalDateKey())
+        }),
+        empty: html`<p class="text-center text-xl text-gray-500 p-8 card rounded-xl">No wellness tips found for this filter.</p>`
     });
+    renderTipsMore(results.length);
+}
 
-    els.tipsList.innerHTML = filteredTips.length === 0
-        ? `<p class="text-center text-xl text-gray-500 p-8 card rounded-xl">No wellness tips found for this filter.</p>`
-        : filteredTips.map(tip => {
-            const isFav = isFavorited(tip.id);
-            return `
-                <article class="p-6 card rounded-xl shadow-lg space-y-3 border-l-8 border-primary-light dark:border-primary-dark hover:shadow-xl transition duration-300 animated-content">
-                    <div class="flex justify-between items-start">
-                        <h3 class="text-2xl font-heading text-primary-light dark:text-primary-dark">${tip.title}</h3>
-                        <button class="favorite-btn text-3xl transition duration-200 ml-4" data-id="${tip.id}" data-type="tip" data-title="${tip.title}" data-content="${tip.content}">
-                             <svg class="w-7 h-7" fill="${isFav ? 'red' : 'none'}" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z"></path></svg>
-                        </button>
-                    </div>
-                    <p class="text-base">${tip.content}</p>
-                    <footer class="text-sm font-medium text-gray-500 dark:text-gray-400 pt-2 border-t border-gray-200 dark:border-gray-700">
-                        Category: ${tip.category} | Source: ${tip.source}
-                    </footer>
-                </article>
-            `;
-        }).join('');
+function renderTipsMore(total) {
+    if (!els.tipsMore) return;
+    const { start } = tipsWindow;
+    const end = Math.min(tipsWindow.end, total);
+    els.tipsEarlier.classList.toggle('hidden', start === 0);
+    els.tipsMore.classList.toggle('hidden', end >= total);
+    els.tipsMore.querySelector('[data-count]').textContent = start === 0
+        ? `Showing ${end} of ${total} tips`
+        : `Showing tips ${start + 1}-${end} of ${total}`;
+}
+
+function renderTipDetail(tipId) {
+    if (!els.tipDetail) return;
+
+    if (els.tipDetailBack) {
+        els.tipDetailBack.href = buildHash('/tips', getFilterQuery());
+    }
+
+    const tip = localTipsData.find(t => t.id === tipId);
+    if (!tip) {
+        setHtml(els.tipDetail, html`<p class="text-center text-xl text-gray-500 p-8 card rounded-xl">We couldn't find the tip "${tipId}". It may have been removed.</p>`);
+        return;
+    }
+
+    const keywords = (tip.keywords || []).map(keyword =>
+        html`<span class="inline-block px-3 py-1 mr-2 mb-2 rounded-full text-sm border border-gray-300 dark:border-gray-600">#${keyword}</span>`
+    );
+
+    setHtml(els.tipDetail, html`
+        <article class="p-6 sm:p-8 card rounded-xl shadow-xl space-y-4 border-l-8 border-primary-light dark:border-primary-dark animated-content">
+            <div class="flex justify-between items-start">
+                <h2 class="text-3xl font-heading text-primary-light dark:text-primary-dark">${tip.title} ${tip.custom && CustomBadge({ tipId: tip.id })}</h2>
+                <div class="flex items-center space-x-3 ml-4">
+                    ${ShareButton({ id: tip.id, type: 'tip', size: 'w-8 h-8' })}
+                    ${HeartButton({ id: tip.id, type: 'tip', isFav: isFavorited(tip.id), size: 'w-8 h-8' })}
+                </div>
+            </div>
+            <p class="text-lg leading-relaxed">${tip.content}</p>
+            <dl class="grid grid-cols-2 sm:grid-cols-4 gap-4 text-sm pt-4 border-t border-gray-200 dark:border-gray-700">
+                <div><dt class="text-gray-500 dark:text-gray-400">Category</dt><dd class="font-semibold">${tip.category}</dd></div>
+                <div><dt class="text-gray-500 dark:text-gray-400">Difficulty</dt><dd class="font-semibold">${tip.difficulty || 'n/a'}</dd></div>
+                <div><dt class="text-gray-500 dark:text-gray-400">Duration</dt><dd class="font-semibold">${tip.durationMinutes ? `${tip.durationMinutes} min` : 'Anytime'}</dd></div>
+                <div><dt class="text-gray-500 dark:text-gray-400">Published</dt><dd class="font-semibold">${tip.publishedDate || 'n/a'}</dd></div>
+            </dl>
+            <div>${keywords}</div>
+            <div class="flex flex-wrap items-center gap-3">
+                ${CheckIn({ tipId: tip.id, done: isDone(checkIns, tip.id, getLocalDateKey()), streak: getTipStreak(checkIns, tip.id, getLocalDateKey()) })}
+                ${tip.durationMinutes > 0 && PracticeButton({ tip })}
+            </div>
+            <footer class="text-sm font-medium text-gray-500 dark:text-gray-400">Source: ${tip.source}</footer>
+        </article>
+    `);
+}
+
+function getPlayingFacade(videoId, container) {
+    return [...container.querySelectorAll('.video-facade')]
+        .find(facade => facade.dataset.videoId === videoId && playingWatch.has(facade) && facade.querySelector('iframe'));
+}
+
+// Watch props for a facade (see VideoFacade) rendered into container. A facade showing a player
+// keeps the props it started with, so re-renders see unchanged markup and don't replace (and stop) it.
+function getVideoWatch(videoId, container) {
+    const playing = getPlayingFacade(videoId, container);
+    if (playing) return playingWatch.get(playing);
+    const record = watchProgress[videoId];
+    if (!record) return null;
+    return {
+        progress: record.duration ? record.position / record.duration : 0,
+        watched: record.watched,
+        resumeAt: getResumePosition(watchProgress, videoId)
+    };
 }
 
 function renderVideos(videos) {
     if (!els.videoList) return;
+    currentVideos = videos;
+    // More results need the network, so the button waits for a connection.
+    els.videoLoadMore?.classList.toggle('hidden', !videoNextPageToken || !navigator.onLine);
 
-    els.videoList.innerHTML = videos.length === 0
-        ? `<p class="text-center text-gray-500 p-4">No curated videos available. Please check your YouTube API key and quota.</p>`
-        : videos.map(video => {
-            const videoId = video.videoId;
-            const isFav = isFavorited(videoId);
-            return `
-                <div class="card rounded-xl shadow-md overflow-hidden border-b-4 border-gray-300 dark:border-gray-700 animated-content">
-                    <iframe 
-                        width="100%" 
-                        height="auto" 
-                        src="https://www.youtube.com/embed/${videoId}" 
-                        frameborder="0" 
-                        allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture" 
-                        allowfullscreen 
-                        class="aspect-video"
-                    ></iframe>
-                    <div class="p-4 space-y-2">
-                        <h3 class="text-lg font-heading">${video.title}</h3>
-                        <p class="text-sm text-gray-500 dark:text-gray-400">${video.channelTitle}</p>
-                        <button class="favorite-btn text-3xl float-right transition duration-200" 
-                            data-id="${videoId}" 
-                            data-type="video" 
-                            data-title="${video.title}">
-                            <svg class="w-7 h-7" fill="${isFav ? 'red' : 'none'}" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z"></path></svg>
-                        </button>
-                    </div>
+    const shown = hideWatched
+        ? videos.filter(video => !watchProgress[video.videoId]?.watched || getPlayingFacade(video.videoId, els.videoList))
+        : videos;
+    // Keyed so unchanged videos keep their player (and playback) across re-renders.
+    renderKeyed(els.videoList, shown, {
+        key: video => video.videoId,
+        render: video => VideoCard({ video, isFav: isFavorited(video.videoId), watch: getVideoWatch(video.videoId, els.videoList) }),
+        empty: videos.length > 0
+            ? html`<p class="text-center text-gray-500 p-4">You've watched all of these videos. Load more or show watched videos again.</p>`
+            : html`<p class="text-center text-gray-500 p-4">No curated videos available. Please check your YouTube API key and quota.</p>`
+    });
+}
+
+// Labels for the Favorites type chips, in display order.
+const FAVORITE_TYPES = [
+    { type: 'all', label: 'All' },
+    { type: 'quote', label: 'Quotes' },
+    { type: 'tip', label: 'Tips' },
+    { type: 'video', label: 'Videos' }
+];
+
+// Text that the Favorites search box matches against for each saved item.
+function getFavoriteSearchText(fav) {
+    return [fav.q, fav.a, fav.title, fav.content].filter(Boolean).join(' ').toLowerCase();
+}
+
+function renderFavoriteTypeChips() {
+    if (!els.favoritesTypeChips) return;
+
+    setHtml(els.favoritesTypeChips, FAVORITE_TYPES.map(({ type, label }) => {
+        const count = type === 'all' ? favorites.length : favorites.filter(fav => fav.type === type).length;
+        const isActive = favoritesType === type;
+        return html`
+            <button class="favorites-type-chip px-4 py-2 rounded-full border-2 text-sm font-semibold transition duration-200 ${isActive ? 'text-white' : ''}"
+                style="border-color: var(--primary-color); ${isActive ? 'background-color: var(--primary-color);' : ''}"
+                role="tab" aria-selected="${isActive}" data-type="${type}">
+                ${label} <span class="opacity-75">(${count})</span>
+            </button>
+        `;
+    }));
+}
+
+// Remove button shared by every favorite card (the item is already a favorite, so the heart is filled).
+function renderFavoriteRemoveButton(fav) {
+    return HeartButton({ id: fav.id, type: fav.type, isFav: true, size: 'w-9 h-9', className: 'text-4xl hover:scale-105' });
+}
+
+function renderFavoriteCard(fav) {
+    const savedLabel = html`<p class="text-sm text-gray-500 dark:text-gray-400">${formatSavedDate(fav.savedAt)}</p>`;
+
+    if (fav.type === 'quote') {
+        return html`
+            <div class="card rounded-xl shadow-lg p-5 border-l-8 animated-content flex items-start justify-between space-x-6" style="border-color: var(--primary-color);">
+                <blockquote class="space-y-3">
+                    <p class="text-xl font-body italic leading-relaxed">"${fav.q}"</p>
+                    <p class="font-semibold text-gray-500 dark:text-gray-400"> - ${fav.a || 'Zen Master'}</p>
+                    ${savedLabel}
+                </blockquote>
+                ${renderFavoriteRemoveButton(fav)}
+            </div>
+        `;
+    }
+
+    if (fav.type === 'tip') {
+        return html`
+            <div class="card rounded-xl shadow-lg p-5 border-l-8 border-primary-light dark:border-primary-dark animated-content flex items-start justify-between space-x-6">
+                <div class="space-y-3">
+                    <p class="text-xl font-heading text-primary-light dark:text-primary-dark"><a href="${buildHash(`/tips/${encodeURIComponent(fav.id)}`)}" class="hover:underline">${fav.title}</a></p>
+                    <p class="text-base">${fav.content}</p>
+                    ${savedLabel}
                 </div>
-            `;
-        }).join('');
+                ${renderFavoriteRemoveButton(fav)}
+            </div>
+        `;
+    }
+
+    return html`
+        <div class="card rounded-xl shadow-lg p-5 border-l-8 border-red-500 animated-content flex flex-col md:flex-row items-start space-x-0 md:space-x-6">
+            <!-- Video Content Area -->
+            <div class="w-full md:w-2/3">
+                <p class="text-xl font-heading text-gray-800 dark:text-gray-100 mb-3">${fav.title}</p>
+                ${VideoFacade({ videoId: fav.id, title: fav.title || 'Saved video', className: 'aspect-video rounded-lg', watch: getVideoWatch(fav.id, els.favoritesList) })}
+                <div class="mt-2">${savedLabel}</div>
+            </div>
+            
+            <!-- Remove Button Area -->
+            <div class="w-full md:w-1/3 flex justify-end md:justify-center items-center pt-4 md:pt-0">
+                ${renderFavoriteRemoveButton(fav)}
+            </div>
+        </div>
+    `;
 }
 
 function renderFavorites() {
     if (!els.favoritesList) return;
 
-    // Filter the persistent favorites array to only include 'video' types.
-    const favoriteVideos = favorites.filter(fav => fav.type === 'video');
-
-    els.favoritesList.innerHTML = favoriteVideos.length === 0
-        ? `<p class="text-center text-xl text-gray-500 p-8 card rounded-xl">You haven't saved any favorite **videos** yet. Click the heart icon on the Home or Tips page to save a video!</p>`
-        : favoriteVideos.map(fav => {
-            // Since we filtered, we can assume all items here are videos.
-
-            return `
-                <div class="card rounded-xl shadow-lg p-5 border-l-8 border-red-500 animated-content flex flex-col md:flex-row items-start space-x-0 md:space-x-6">
-                    <!-- Video Content Area -->
-                    <div class="w-full md:w-2/3">
-                        <p class="text-xl font-heading text-gray-800 dark:text-gray-100 mb-3">${fav.title}</p>
-                        <!-- Responsive Iframe Container -->
-                        <div class="aspect-video">
-                            <iframe 
-                                width="100%" 
-                                height="100%" 
-                                src="https://www.youtube.com/embed/${fav.id}" 
-                                frameborder="0" 
-                                allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture" 
-                                allowfullscreen
-                            ></iframe>
-                        </div>
-                    </div>
-                    
-                    <!-- Remove Button Area -->
-                    <div class="w-full md:w-1/3 flex justify-end md:justify-center items-center pt-4 md:pt-0">
-                        <button class="favorite-btn text-red-500 text-4xl transition duration-200 hover:scale-105" 
-                            data-id="${fav.id}" 
-                            data-type="${fav.type}" 
-                            title="Remove from Favorites">
-                            <!-- Filled Heart Icon (since it's already a favorite) -->
-                             <svg class="w-9 h-9" fill="red" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z"></path></svg>
-                             <span class="sr-only">Remove</span>
-                        </button>
+    renderFavoriteTypeChips();
+    if (els.favoritesSort && els.favoritesSort.value !== favoritesSort) {
+        els.favoritesSort.value = favoritesSort;
+    }
+    if (els.favoritesSearch && els.favoritesSearch.value !== favoritesSearchTerm) {
+        els.favoritesSearch.value = favoritesSearchTerm;
+    }
+
+    const searchValue = favoritesSearchTerm.trim().toLowerCase();
+    const visibleFavorites = favorites
+        .filter(fav => favoritesType === 'all' || fav.type === favoritesType)
+        .filter(fav => searchValue === '' || getFavoriteSearchText(fav).includes(searchValue))
+        // Items saved before dates were recorded have no savedAt and sort as the oldest.
+        .sort((a, b) => {
+            const diff = (Date.parse(a.savedAt) || 0) - (Date.parse(b.savedAt) || 0);
+            return favoritesSort === 'oldest' ? diff : -diff;
+        });
+
+    const emptyMessage = favorites.length === 0
+        ? "You haven't saved any favorites yet. Click the heart icon on a quote, tip or video to save it!"
+        : 'No saved items match this filter.';
+
+    renderKeyed(els.favoritesList, visibleFavorites, {
+        key: fav => fav.id,
+        render: renderFavoriteCard,
+        empty: html`<p class="text-center text-xl text-gray-500 p-8 card rounded-xl">${emptyMessage}</p>`
+    });
+}
+
+
+function renderQuoteHistory() {
+    if (!els.quoteHistoryList) return;
+
+    const totalPages = Math.max(1, Math.ceil(quoteHistory.length / QUOTE_HISTORY_PAGE_SIZE));
+    const page = Math.min(Math.max(1, quoteHistoryPage), totalPages);
+    const pageEntries = quoteHistory.slice((page - 1) * QUOTE_HISTORY_PAGE_SIZE, page * QUOTE_HISTORY_PAGE_SIZE);
+
+    renderKeyed(els.quoteHistoryList, pageEntries, {
+        key: entry => `${entry.date}:${entry.id}`,
+        render: entry => {
+            const dateLabel = new Date(`${entry.date}T00:00:00`).toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+            return html`
+                <div class="card rounded-xl shadow-lg p-5 border-l-8 animated-content flex items-start justify-between space-x-6" style="border-color: var(--primary-color);">
+                    <blockquote class="space-y-3">
+                        <p class="text-sm font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">${dateLabel}</p>
+                        <p class="text-xl font-body italic leading-relaxed">"${entry.q}"</p>
+                        <p class="font-semibold text-gray-500 dark:text-gray-400"> - ${entry.a}</p>
+                    </blockquote>
+                    <div class="flex items-center space-x-3 ml-4">
+                        ${ShareButton({ id: entry.id, type: 'quote' })}
+                        ${HeartButton({ id: entry.id, type: 'quote', isFav: isFavorited(entry.id) })}
                     </div>
                 </div>
             `;
-        }).join('');
+        },
+        empty: html`<p class="text-center text-xl text-gray-500 p-8 card rounded-xl">No past quotes yet. Every daily quote you see will be archived here.</p>`
+    });
+
+    if (!els.quoteHistoryPager) return;
+    // Page 1 is the most recent week; "Older" moves back in time.
+    const linkClass = 'font-semibold hover:underline';
+    setHtml(els.quoteHistoryPager, html`
+        <span>${page < totalPages && html`<a class="${linkClass}" style="color: var(--primary-color);" href="${buildHash('/quotes', { page: page + 1 })}">&larr; Older</a>`}</span>
+        <span class="text-sm text-gray-500 dark:text-gray-400">Page ${page} of ${totalPages}</span>
+        <span>${page > 1 && html`<a class="${linkClass}" style="color: var(--primary-color);" href="${buildHash('/quotes', { page: page > 2 ? page - 1 : '' })}">Newer &rarr;</a>`}</span>
+    `);
+}
+
+// --- ROUTINE PLANNER (#/plan, see js/planner-page.js) ---
+
+// A routine item with what a calendar event or the printout needs: the tip's full text, or the video's link.
+function getPlanItemDetails(item) {
+    if (item.kind === 'video') {
+        return { ...item, content: '', source: '', description: '', url: `https://www.youtube.com/watch?v=${encodeURIComponent(item.id)}` };
+    }
+    const tip = localTipsData.find(t => t.id === item.id);
+    const content = tip ? tip.content : '';
+    const source = tip ? tip.source : '';
+    return {
+        ...item,
+        content,
+        source,
+        description: [content, source && `Source: ${source}`].filter(Boolean).join('\n\n'),
+        url: new URL(buildHash(`/tips/${encodeURIComponent(item.id)}`), window.location.href).href
+    };
+}
+
+// --- MY TIPS (#/my-tips, see js/my-tips-page.js) ---
+
+// Re-merges after an edit; the new array also makes getTipsIndex() rebuild the search index.
+function setCustomTips(tips) {
+    customTips = tips;
+    storage.set(keys.CUSTOM_TIPS, customTips);
+    localTipsData = mergeTips(bundledTips, customTips);
+}
+
+// A favorited tip keeps a copy of its title and text, so refresh that copy after an edit.
+function refreshFavoriteTip(tip) {
+    const favorite = favorites.find(fav => fav.type === 'tip' && fav.id === tip.id);
+    if (!favorite) return;
+    Object.assign(favorite, { title: tip.title, content: tip.content });
+    storage.set(keys.FAVORITES, favorites);
+    queueFavoriteChange({ action: 'add', id: favorite.id, type: 'tip', item: favorite });
+    flushFavoriteChanges().then(updateOfflineIndicator);
+}
+
+// --- PLAYLISTS (#/playlists, see js/playlists-page.js) ---
+
+// Videos a playlist can add: favorite videos, then the sidebar's.
+function getPlaylistVideos() {
+    return [
+        ...favorites.filter(fav => fav.type === 'video').map(fav => ({
+            videoId: fav.id,
+            title: fav.title || 'Saved video',
+            channelTitle: currentVideos.find(video => video.videoId === fav.id)?.channelTitle || '',
+            from: 'Favorite'
+        })),
+        ...currentVideos.map(video => ({ videoId: video.videoId, title: video.title, channelTitle: video.channelTitle, from: "Today's videos" }))
+    ];
+}
+
+// --- SHARE CARDS (see js/share-dialog.js) ---
+
+// Card content, deep link and file name for a quote or tip.
+function getShareContent(id, type) {
+    const source = findFavoriteSource(id, type);
+    if (!source) return null;
+
+    if (type === 'quote') {
+        return {
+            card: { heading: 'Daily Quote', body: source.q, attribution: `- ${source.a || 'Zen Master'}`, italic: true },
+            // Quotes have no page of their own; the link opens today's quote.
+            hash: buildHash('/'),
+            filename: 'wellness-quote.png'
+        };
+    }
+    return {
+        card: { heading: `${getCategoryLabel(source.category)} tip`, title: source.title, body: source.content, attribution: `Source: ${source.source}` },
+        // Custom tips only exist in this browser, so their link opens the tips list instead.
+        hash: source.custom ? buildHash('/tips') : buildHash(`/tips/${encodeURIComponent(source.id)}`),
+        filename: `${source.id}.png`
+    };
+}
+
+
+// Fills the Settings form from the effective settings and clears old messages.
+function renderSettingsForm(errors = {}) {
+    if (!els.settingsForm) return;
+
+    const settings = getSettings();
+    Object.entries(settings).forEach(([name, value]) => {
+        const field = els.settingsForm.elements[name];
+        if (!field) return;
+        if (field.type === 'checkbox') {
+            field.checked = Boolean(value);
+        } else {
+            field.value = value;
+        }
+    });
+    showSettingsErrors(errors);
+}
+
+function showSettingsErrors(errors) {
+    els.settingsForm.querySelectorAll('.settings-error').forEach(el => {
+        el.textContent = errors[el.dataset.field] || '';
+    });
+}
+
+function setSettingsStatus(message, isError = false) {
+    if (!els.settingsStatus) return;
+    els.settingsStatus.textContent = message;
+    els.settingsStatus.classList.toggle('text-red-500', isError);
 }
 
 
 // --- EVENT HANDLERS ---
 
+// The item a heart button stands for, looked up from app state by id and type.
+function findFavoriteSource(id, type) {
+    if (type === 'quote') {
+        return currentQuote && currentQuote.id === id ? currentQuote : quoteHistory.find(entry => entry.id === id);
+    }
+    if (type === 'tip') return localTipsData.find(tip => tip.id === id);
+    if (type === 'video') return currentVideos.find(video => video.videoId === id);
+    return null;
+}
+
 function handleToggleFavorite(event) {
     const button = event.target.closest('.favorite-btn');
     if (!button) return;
@@ -226,76 +817,488 @@ function handleToggleFavorite(event) {
     let isAdding = (index === -1);
 
     if (isAdding) {
-        let newItem = { id, type };
+        const source = findFavoriteSource(id, type);
+        if (!source) {
+            console.error(`Cannot save favorite ${type} "${id}": item not found.`);
+            return;
+        }
+        let newItem = { id, type, savedAt: new Date().toISOString() };
         if (type === 'quote') {
-            newItem.q = button.dataset.q;
-            newItem.a = button.dataset.a;
+            newItem.q = source.q;
+            newItem.a = source.a;
         } else if (type === 'tip') {
-            const tip = localTipsData.find(t => t.id === id);
-            newItem.title = tip ? tip.title : button.dataset.title;
-            newItem.content = tip ? tip.content : button.dataset.content;
+            newItem.title = source.title;
+            newItem.content = source.content;
         } else if (type === 'video') {
-            newItem.title = button.dataset.title;
+            newItem.title = source.title;
         }
         favorites.push(newItem);
+        queueFavoriteChange({ action: 'add', id, type, item: newItem });
     } else {
         favorites.splice(index, 1);
+        queueFavoriteChange({ action: 'remove', id, type });
     }
 
     storage.set(keys.FAVORITES, favorites);
+    flushFavoriteChanges().then(updateOfflineIndicator);
 
-    // After updating favorites, re-render the relevant view
-    if (currentView === 'favorites') {
-        renderFavorites();
-    } else {
-        // Re-load to update heart icons on the current view (Home or Tips)
-        loadInitialData(false); // Do not re-fetch all data, just re-render
+    // Only the hearts change; the favorites list is keyed, so just the removed card goes.
+    updateHeartButtons(document, id, isAdding);
+    if (currentView === 'favorites') renderFavorites();
+}
+
+// Video facades: the play button swaps in a tracked YouTube player (see js/player.js),
+// starting where the video was left off.
+async function handleVideoPlay(event) {
+    const button = event.target.closest('.video-play');
+    if (!button) return;
+
+    button.disabled = true;
+    const facade = button.closest('.video-facade');
+    const { videoId, title } = facade.dataset;
+    playingWatch.set(facade, getVideoWatch(videoId, facade.parentElement));
+    const start = getResumePosition(watchProgress, videoId);
+    try {
+        await mountPlayer(facade, { videoId, start, onProgress: report => handleWatchProgress(videoId, title, report) });
+    } catch (e) {
+        console.warn('YouTube player API unavailable; playing without progress tracking.', e);
+        activateVideoFacade(facade, { start });
     }
 }
 
+// Player reports: saves the position and adds real playback time to today's history.
+function handleWatchProgress(videoId, title, { position, duration, watchedSeconds, ended }) {
+    watchProgress = updateWatchProgress(watchProgress, videoId, { position, duration, ended, title });
+    storage.set(keys.WATCH_PROGRESS, watchProgress);
+    if (watchedSeconds > 0) {
+        watchHistory = addWatchTime(watchHistory, getLocalDateKey(), watchedSeconds);
+        storage.set(keys.WATCH_HISTORY, watchHistory);
+    }
+}
+
+function handleHideWatchedToggle() {
+    hideWatched = els.hideWatchedToggle.checked;
+    storage.set(keys.HIDE_WATCHED, hideWatched);
+    renderVideos(currentVideos);
+}
+
+// "Done today" buttons: records or undoes today's check-in for a tip.
+function handleCheckIn(event) {
+    const button = event.target.closest('.checkin-btn');
+    if (!button) return;
+
+    ({ checkIns } = toggleCheckIn(checkIns, button.dataset.tipId, getLocalDateKey()));
+    storage.set(keys.CHECK_INS, checkIns);
+    renderCurrentView();
+}
+
+// Share buttons on quotes and tips open the share dialog.
+function handleShareOpen(event) {
+    const button = event.target.closest('.share-btn');
+    if (!button) return;
+
+    const content = getShareContent(button.dataset.id, button.dataset.type);
+    if (!content) {
+        console.error(`Cannot share ${button.dataset.type} "${button.dataset.id}": item not found.`);
+        return;
+    }
+    shareDialog.open(content);
+}
+
+// Start buttons on timed tips open the full-screen practice timer.
+function handlePracticeStart(event) {
+    const button = event.target.closest('.practice-start-btn');
+    if (!button) return;
+
+    const tip = localTipsData.find(t => t.id === button.dataset.tipId);
+    if (tip && tip.durationMinutes > 0) practiceOverlay.open(tip);
+}
+
+// A practice that runs to the end checks the tip in for today (unless it already is).
+function handlePracticeComplete(tip) {
+    if (!isDone(checkIns, tip.id, getLocalDateKey())) {
+        ({ checkIns } = toggleCheckIn(checkIns, tip.id, getLocalDateKey()));
+        storage.set(keys.CHECK_INS, checkIns);
+    }
+    renderCurrentView();
+}
+
+// Escape closes whichever overlay is open.
+function handleEscapeKey(event) {
+    if (event.key !== 'Escape') return;
+    if (shareDialog.isOpen()) shareDialog.close();
+    else if (practiceOverlay.isOpen()) practiceOverlay.close();
+}
+
 function handleThemeToggle() {
     const newTheme = document.documentElement.classList.contains('dark') ? 'light' : 'dark';
     document.documentElement.classList.toggle('dark');
     storage.set(keys.THEME, newTheme);
 }
 
-async function handleContentUpdate() {
-    storage.set(keys.LAST_CATEGORY, els.categoryFilter.value);
+// Search box, category select and facets only update the URL; applyRoute() does the rendering.
+function handleContentUpdate() {
+    currentCategory = els.categoryFilter.value;
+    currentSearchTerm = els.searchInput.value;
+    tipFilters = {
+        difficulty: els.difficultyFilter.value,
+        duration: els.durationFilter.value,
+        trending: els.trendingFilter.checked,
+        sort: els.sortSelect.value
+    };
+    storage.set(keys.LAST_CATEGORY, currentCategory);
+    storage.set(keys.TIP_FILTERS, tipFilters);
 
-    // Rerender tips based on filters
-    renderTips(localTipsData);
+    // Replace (not push) so every keystroke doesn't become a history entry.
+    const path = currentView === 'tips' ? '/tips' : '/';
+    navigate(buildHash(path, getFilterQuery()), { replace: true });
+}
+
+// The YouTube query for the current filter: the category, plus the search text when enabled.
+function getVideoQuery() {
+    const base = currentCategory === 'all' ? 'daily wellness' : currentCategory;
+    const searchText = currentSearchTerm.trim();
+    return searchVideos && searchText ? `${searchText} ${base}` : base;
+}
 
-    // Re-fetch and render videos based on the new category filter
-    const videoQuery = els.categoryFilter.value === 'all' ? 'daily wellness' : els.categoryFilter.value;
+// Videos for a query via the API cache. Fresh results are served without a network call;
+// stale ones render immediately and onRevalidate receives the refreshed list.
+// Resolves to the first page, { videos, nextPageToken }; later pages are requested directly.
+function getVideos(query, { force = false, signal, onRevalidate } = {}) {
+    // Without an API key requestVideoPage returns placeholder videos. Caching those under the
+    // query would keep hiding real results for a whole TTL after a key is added.
+    if (!getSettings().youtubeApiKey) return requestVideoPage(query, { signal }).then(toVideoPage);
+
+    // The loader is shared through the cache (concurrent callers and background refreshes), so
+    // the signal only cancels this caller's wait, never the request itself.
+    return abortable(apiCache.fetch(`videos:${query.toLowerCase()}`, () => requestVideoPage(query), {
+        ttl: VIDEO_CACHE_TTL,
+        staleWhileRevalidate: VIDEO_CACHE_STALE,
+        force,
+        onRevalidate: onRevalidate && (page => onRevalidate(toVideoPage(page)))
+    }), signal).then(toVideoPage);
+}
+
+// Entries cached before "Load more" existed hold a bare list of videos.
+function toVideoPage(cached) {
+    return Array.isArray(cached) ? { videos: cached, nextPageToken: null } : cached;
+}
+
+// The quote tag for the current filter: quotes follow the tip category when one is chosen.
+function getQuoteTag() {
+    return currentCategory === 'all' ? '' : currentCategory;
+}
+
+// Today's quote via the API cache: the key includes the local date (and tag), so the quote stays
+// fixed for the calendar day and a new one is requested after midnight (or on manual refresh).
+async function loadQuote({ force = false } = {}) {
+    const tag = getQuoteTag();
+    quoteTag = tag;
+
+    let quote;
+    try {
+        const cacheKey = `quote:${getLocalDateKey()}${tag ? `:${tag}` : ''}`;
+        quote = await apiCache.fetch(cacheKey, () => getQuote({ tag }), { ttl: Infinity, force });
+    } catch (e) {
+        console.error("Error fetching quote (using last shown quote or fallback):", e);
+        quote = quoteHistory[0] || FALLBACK_QUOTE;
+    }
+    // Another category may have been chosen while this quote was loading.
+    if (quoteTag !== tag) return;
+
+    // Entries cached by older builds are "Quote Text — Author Name" strings.
+    if (typeof quote === 'string') {
+        const parts = quote.split('—').map(s => s.trim());
+        quote = { q: parts[0] || quote, a: parts.length > 1 ? parts.slice(1).join('—') : 'Zen Master' };
+    }
+    const { q, a } = quote;
+
+    currentQuote = { q, a, id: getQuoteId(q, a) };
+    recordQuoteHistory(currentQuote);
+    renderQuote(currentQuote);
+}
+
+// Re-fetch and render videos for the current filter. Skips the request when the query hasn't
+// changed and aborts any older request it supersedes, so late responses never overwrite newer ones.
+async function refreshVideos({ force = false } = {}) {
+    const query = getVideoQuery();
+    if (!force && query === videoQuery) return;
+
+    if (videoRequest) videoRequest.abort();
+    const controller = new AbortController();
+    videoRequest = controller;
+    videoQuery = query;
 
     // Use the fallback logic here too for search/filter updates
     try {
-        const videos = await fetchVideos(videoQuery);
+        const { videos, nextPageToken } = await getVideos(query, {
+            force,
+            signal: controller.signal,
+            // Only swap in background results if no newer query has replaced this one.
+            onRevalidate: freshPage => {
+                if (videoQuery !== query) return;
+                videoNextPageToken = freshPage.nextPageToken;
+                renderVideos(freshPage.videos);
+            }
+        });
+        if (controller.signal.aborted) return;
+        videoNextPageToken = nextPageToken;
+        setVideoStatus('');
         renderVideos(videos);
     } catch (e) {
+        if (e.name === 'AbortError' || controller.signal.aborted) return;
         console.warn("API quota exceeded or network error during content update. Using fallback videos.");
         // Note: For content updates, we cannot easily filter fallback videos, 
         // so we will just display a generic set if the API fails.
-        const fallbackVideos = [
-            { videoId: '4R7tYqW1p5Y', title: 'Guided Meditation for Deep Sleep', channelTitle: 'Calm Channel' },
-            { videoId: 'o2_VnL26-gI', title: 'Full Body Stretching Routine', channelTitle: 'Fitness Daily' },
-        ];
-        renderVideos(fallbackVideos);
+        videoNextPageToken = null;
+        renderVideos(FALLBACK_VIDEOS);
+    } finally {
+        if (videoRequest === controller) videoRequest = null;
+    }
+}
+
+function setVideoStatus(message, isError = false) {
+    if (!els.videoStatus) return;
+    els.videoStatus.textContent = message;
+    els.videoStatus.classList.toggle('text-red-500', isError);
+}
+
+// "Load more videos": appends the next page of results for the current query.
+async function handleLoadMoreVideos() {
+    if (!videoNextPageToken || videoRequest) return;
+
+    const query = videoQuery;
+    const controller = new AbortController();
+    videoRequest = controller;
+    els.videoLoadMore.disabled = true;
+    setVideoStatus('Loading more videos...');
+    try {
+        const { videos, nextPageToken } = await requestVideoPage(query, { pageToken: videoNextPageToken, signal: controller.signal });
+        if (controller.signal.aborted) return;
+        const shown = new Set(currentVideos.map(video => video.videoId));
+        videoNextPageToken = nextPageToken;
+        setVideoStatus('');
+        renderVideos([...currentVideos, ...videos.filter(video => !shown.has(video.videoId))]);
+    } catch (e) {
+        if (e.name === 'AbortError' || controller.signal.aborted) return;
+        console.warn('Could not load more videos.', e);
+        setVideoStatus("Couldn't load more videos. Please try again.", true);
+    } finally {
+        if (videoRequest === controller) videoRequest = null;
+        els.videoLoadMore.disabled = false;
+    }
+}
+
+// Renders the next page of tips (from the button or the infinite scroll observer), dropping the
+// earliest cards once more than TIPS_WINDOW_SIZE are on the page.
+function showMoreTips() {
+    if (tipsWindow.end >= tipsTotal) return;
+    const end = tipsWindow.end + TIPS_PAGE_SIZE;
+    moveTipsWindow({ start: Math.max(0, end - TIPS_WINDOW_SIZE), end });
+}
+
+// Brings back the page of tips before the first one rendered, dropping cards from the end.
+function showEarlierTips() {
+    if (tipsWindow.start === 0) return;
+    const start = Math.max(0, tipsWindow.start - TIPS_PAGE_SIZE);
+    moveTipsWindow({ start, end: Math.min(tipsWindow.end, start + TIPS_WINDOW_SIZE) });
+}
+
+// Renders another slice of the tips. Cards added or dropped above the first card in view would make
+// the page jump, so the scroll position is corrected to keep that card where it was.
+function moveTipsWindow(range) {
+    const anchor = [...els.tipsList.children].find(card => card.getBoundingClientRect().bottom > 0);
+    const anchorTop = anchor?.getBoundingClientRect().top;
+    tipsWindow = range;
+    renderTips(localTipsData);
+    if (anchor?.isConnected) window.scrollBy(0, anchor.getBoundingClientRect().top - anchorTop);
+}
+
+// Typing only re-renders tips instantly; the video request waits until the user pauses.
+const scheduleVideoRefresh = debounce(refreshVideos, VIDEO_SEARCH_DEBOUNCE_MS);
+
+// Manual "Refresh" action: bypasses the cache for today's quote and the current videos.
+async function handleRefresh() {
+    els.refreshButton.disabled = true;
+    els.refreshButton.classList.add('animate-spin');
+    try {
+        await Promise.all([loadQuote({ force: true }), refreshVideos({ force: true })]);
+    } finally {
+        els.refreshButton.disabled = false;
+        els.refreshButton.classList.remove('animate-spin');
     }
 }
 
+// Drops cache entries for previous days' quotes and videos past their stale window.
+function pruneApiCache() {
+    const today = getLocalDateKey();
+    apiCache.prune((key, entry) => {
+        if (key.startsWith('quote:')) return key === `quote:${today}` || key.startsWith(`quote:${today}:`);
+        return Date.now() - entry.timestamp < VIDEO_CACHE_TTL + VIDEO_CACHE_STALE;
+    });
+}
+
+// Favorites toolbar (type chips, search, sort) is reflected in #/favorites?type=&q=&sort=
+function getFavoritesQuery() {
+    return {
+        type: favoritesType === 'all' ? '' : favoritesType,
+        q: favoritesSearchTerm,
+        sort: favoritesSort === 'newest' ? '' : favoritesSort
+    };
+}
+
+function handleFavoritesToolbar(event) {
+    const chip = event.target.closest('.favorites-type-chip');
+    if (event.type === 'click' && !chip) return;
+
+    if (chip) favoritesType = chip.dataset.type;
+    favoritesSearchTerm = els.favoritesSearch.value;
+    favoritesSort = els.favoritesSort.value;
+    navigate(buildHash('/favorites', getFavoritesQuery()), { replace: true });
+}
+
+// Saves and syncs favorites merged in from a backup file (see js/favorites-transfer.js).
+function handleFavoritesImport({ favorites: merged, added, updated }) {
+    favorites = merged;
+    storage.set(keys.FAVORITES, favorites);
+    [...added, ...updated].forEach(item => {
+        queueFavoriteChange({ action: 'add', id: item.id, type: item.type, item });
+        updateHeartButtons(document, item.id, true);
+    });
+    flushFavoriteChanges().then(updateOfflineIndicator);
+    renderFavorites();
+}
+
+function handleVideoSearchToggle() {
+    searchVideos = els.videoSearchToggle.checked;
+    storage.set(keys.VIDEO_SEARCH, searchVideos);
+    refreshVideos();
+}
+
+function handleSettingsSubmit(event) {
+    event.preventDefault();
+    const form = els.settingsForm.elements;
+    const { valid, errors } = saveSettings({
+        favoritesSyncUrl: form.favoritesSyncUrl.value,
+        youtubeApiKey: form.youtubeApiKey.value,
+        maxResults: form.maxResults.value,
+        videoDuration: form.videoDuration.value,
+        regionCode: form.regionCode.value,
+        relevanceLanguage: form.relevanceLanguage.value,
+        safeSearch: form.safeSearch.value,
+        creativeCommonsOnly: form.creativeCommonsOnly.checked
+    });
+
+    showSettingsErrors(errors);
+    setSettingsStatus(valid ? 'Settings saved. Videos will use them from now on.' : 'Please fix the highlighted settings.', !valid);
+}
+
+async function handleTestApiKey() {
+    setSettingsStatus('Testing key...');
+    const { ok, message } = await verifyApiKey(els.settingsForm.elements.youtubeApiKey.value);
+    setSettingsStatus(message, !ok);
+}
+
+function handleSettingsReset() {
+    resetSettings();
+    renderSettingsForm();
+    setSettingsStatus('Settings reset to defaults.');
+}
+
+// New video settings make every cached search stale, so drop them and re-fetch.
+function handleSettingsChange() {
+    apiCache.invalidate('videos:');
+    videoQuery = null;
+    if (isDataLoaded) refreshVideos();
+}
+
+// Shows the offline banner (with any favorite changes waiting to sync) and swaps
+// video placeholders back to players when the connection returns.
+function updateOfflineIndicator() {
+    if (!els.offlineIndicator) return;
+
+    const pending = isSyncEnabled() ? getPendingCount() : 0;
+    const isOffline = !navigator.onLine;
+    els.offlineIndicator.classList.toggle('hidden', !isOffline);
+    if (isOffline) {
+        els.offlineIndicator.textContent = pending > 0
+            ? `You're offline. Showing saved content; ${pending} favorite change${pending === 1 ? '' : 's'} will sync when you reconnect.`
+            : "You're offline. Showing saved content.";
+    }
+}
+
+function handleConnectivityChange() {
+    updateOfflineIndicator();
+    renderVideos(currentVideos);
+    if (currentView === 'favorites') renderFavorites();
+}
+
+// Tells the user which saved data was unreadable and reset, instead of failing silently.
+function renderStorageNotice(issues) {
+    if (!els.storageNotice || issues.length === 0) return;
+
+    const labels = [...new Set(issues.map(issue => issue.label))].join(', ');
+    const message = els.storageNotice.querySelector('[data-message]');
+    message.textContent = `Some saved data couldn't be read and was reset: ${labels}. A copy of the unreadable data was kept in this browser.`;
+    els.storageNotice.classList.remove('hidden');
+}
+
+// Startup failed part-way (e.g. a render threw on unexpected data): say so rather than leave a half-drawn page.
+function renderStartupError(error) {
+    console.error('Initial data load failed:', error);
+    const message = els.storageNotice.querySelector('[data-message]');
+    message.textContent = "Some content couldn't be loaded. Refresh the page to try again.";
+    els.storageNotice.classList.remove('hidden');
+}
+
+// Registers sw.js (next to index.html).
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register('./sw.js')
+        .catch(e => console.warn('Service worker registration failed; offline support is unavailable.', e));
+    // A clicked reminder notification asks the open page to show its tip.
+    navigator.serviceWorker.addEventListener('message', event => {
+        if (event.data?.type === 'open-url') window.location.href = event.data.url;
+    });
+}
+
+// Nav buttons push a new history entry; the router then calls applyRoute().
 function handleNavigation(event) {
     const view = event.target.closest('.nav-button')?.dataset.page;
-    if (!view || view === currentView) return;
+    if (!view) return;
 
+    if (view === 'favorites') {
+        navigate(buildHash('/favorites', getFavoritesQuery()));
+    } else if (view === 'quotes') {
+        navigate(buildHash('/quotes'));
+    } else if (view === 'plan' || view === 'progress' || view === 'reminders' || view === 'my-tips') {
+        navigate(buildHash(`/${view}`));
+    } else if (view === 'playlists') {
+        navigate(buildHash('/playlists', activePlaylistId ? { list: activePlaylistId } : {}));
+    } else {
+        navigate(buildHash(view === 'tips' ? '/tips' : '/', getFilterQuery()));
+    }
+}
+
+// Toggles the top-level sections for a view. 'tip' is the single tip detail page.
+function showView(view) {
     // 1. Reset view visibility for top-level containers
     els.homeSection.classList.add('hidden');
     els.favoritesSection.classList.add('hidden');
+    els.tipDetailSection?.classList.add('hidden');
+    els.quoteHistorySection?.classList.add('hidden');
+    els.settingsSection?.classList.add('hidden');
+    els.planSection?.classList.add('hidden');
+    els.progressSection?.classList.add('hidden');
+    els.remindersSection?.classList.add('hidden');
+    els.myTipsSection?.classList.add('hidden');
+    els.playlistsSection?.classList.add('hidden');
     document.querySelectorAll('.nav-button').forEach(btn => btn.classList.remove('font-bold', 'text-primary-light', 'dark:text-primary-dark'));
 
-    // Set new view and bold the button
-    currentView = view;
-    const navButton = event.target.closest('.nav-button');
+    // Bold the nav button for the view (the detail page belongs to Wellness Tips)
+    const navPage = view === 'tip' ? 'tips' : view;
+    const navButton = document.querySelector(`.nav-button[data-page="${navPage}"]`);
     if (navButton) {
         navButton.classList.add('font-bold', 'text-primary-light', 'dark:text-primary-dark');
     }
@@ -306,7 +1309,6 @@ function handleNavigation(event) {
         els.quoteSection.classList.remove('hidden');
         els.videoSidebar.classList.remove('hidden');
         els.tipsSection.classList.remove('hidden');
-        loadInitialData(false);
 
     } else if (view === 'tips') {
         // TIPS: Show Home section but hide non-tip sub-sections
@@ -318,7 +1320,6 @@ function handleNavigation(event) {
 
         // Ensure Tips section is visible
         els.tipsSection.classList.remove('hidden');
-        loadInitialData(false);
 
     } else if (view === 'favorites') {
         // FAVORITES: Show ONLY favorites section.
@@ -330,108 +1331,360 @@ function handleNavigation(event) {
         els.videoSidebar.classList.add('hidden');
         els.tipsSection.classList.add('hidden');
 
+    } else if (view === 'tip') {
+        // TIP DETAIL: Show ONLY the single tip page.
+        els.tipDetailSection?.classList.remove('hidden');
+
+    } else if (view === 'quotes') {
+        // PAST QUOTES: Show ONLY the quote history archive.
+        els.quoteHistorySection?.classList.remove('hidden');
+
+    } else if (view === 'settings') {
+        // SETTINGS: Show ONLY the settings panel.
+        els.settingsSection?.classList.remove('hidden');
+
+    } else if (view === 'plan') {
+        // PLAN MY DAY: Show ONLY the routine planner.
+        els.planSection?.classList.remove('hidden');
+
+    } else if (view === 'progress') {
+        // MY PROGRESS: Show ONLY streaks and the practice calendar.
+        els.progressSection?.classList.remove('hidden');
+
+    } else if (view === 'reminders') {
+        // REMINDERS: Show ONLY the reminder schedule and quiet hours.
+        els.remindersSection?.classList.remove('hidden');
+
+    } else if (view === 'my-tips') {
+        // MY TIPS: Show ONLY the custom tip editor.
+        els.myTipsSection?.classList.remove('hidden');
+
+    } else if (view === 'playlists') {
+        // PLAYLISTS: Show ONLY the playlists and the queue player.
+        els.playlistsSection?.classList.remove('hidden');
+    }
+}
+
+// Renders whatever the current view needs from already-loaded data.
+function renderCurrentView() {
+    if (currentView === 'favorites') {
         renderFavorites();
+    } else if (currentView === 'tip') {
+        renderTipDetail(currentTipId);
+    } else if (currentView === 'quotes') {
+        renderQuoteHistory();
+    } else if (currentView === 'settings') {
+        renderSettingsForm();
+        renderDataDiagnostics(els.dataDiagnostics, tipsDiagnostics, customTipsDiagnostics);
+    } else if (currentView === 'plan') {
+        plannerPage.render();
+    } else if (currentView === 'progress') {
+        progressPage.render();
+    } else if (currentView === 'reminders') {
+        remindersPage.render();
+    } else if (currentView === 'my-tips') {
+        myTipsPage.render(editingTipId);
+    } else if (currentView === 'playlists') {
+        playlistsPage.render(activePlaylistId);
+    } else {
+        if (currentView === 'home' && currentQuote) renderQuote(currentQuote);
+        renderTips(localTipsData);
+    }
+}
+
+// Keeps the search box and category select in sync with router state.
+function syncFilterControls() {
+    if (els.categoryFilter && els.categoryFilter.value !== currentCategory) {
+        els.categoryFilter.value = currentCategory;
+    }
+    if (els.videoSearchToggle) {
+        els.videoSearchToggle.checked = searchVideos;
+    }
+    if (els.trendingFilter) {
+        els.trendingFilter.checked = tipFilters.trending;
+    }
+    if (els.sortSelect) {
+        els.sortSelect.value = tipFilters.sort;
+    }
+    // Only write when different so the caret doesn't jump while typing.
+    if (els.searchInput && els.searchInput.value !== currentSearchTerm) {
+        els.searchInput.value = currentSearchTerm;
+    }
+}
+
+// Router listener: the URL is the source of truth for view, category and search.
+function applyRoute(route) {
+    const path = route.hash.split('?')[0];
+    const pathChanged = path !== currentPath;
+    currentPath = path;
+    currentView = route.view;
+    currentTipId = route.view === 'tip' ? route.params.id : null;
+
+    if (route.view === 'home' || route.view === 'tips') {
+        currentCategory = route.query.category || 'all';
+        currentSearchTerm = route.query.q || '';
+        tipFilters = {
+            difficulty: route.query.difficulty || 'all',
+            duration: route.query.duration || 'all',
+            trending: route.query.trending === '1',
+            sort: SORT_OPTIONS.some(option => option.value === route.query.sort) ? route.query.sort : DEFAULT_FILTERS.sort
+        };
+        storage.set(keys.LAST_CATEGORY, currentCategory);
+        storage.set(keys.TIP_FILTERS, tipFilters);
+        syncFilterControls();
+    } else if (route.view === 'favorites') {
+        favoritesType = route.query.type || 'all';
+        favoritesSearchTerm = route.query.q || '';
+        favoritesSort = route.query.sort || 'newest';
+    } else if (route.view === 'quotes') {
+        quoteHistoryPage = parseInt(route.query.page, 10) || 1;
+    } else if (route.view === 'my-tips') {
+        editingTipId = route.query.edit || null;
+    } else if (route.view === 'playlists') {
+        activePlaylistId = route.query.list || null;
+    }
+
+    showView(currentView);
+    if (pathChanged && currentView !== 'home') window.scrollTo(0, 0);
+    if (!isDataLoaded) return; // loadInitialData() renders once the data arrives
+
+    renderCurrentView();
+    if (currentView === 'home') {
+        if (quoteTag !== getQuoteTag()) loadQuote();
+        scheduleVideoRefresh();
     }
 }
 
 
 // --- INITIAL DATA LOAD & APPLICATION STARTUP ---
+
+// Fetches data/data.json and keeps the records that match the schema. Problems are
+// recorded in tipsDiagnostics rather than thrown, so one bad entry can't hide every tip.
+async function loadBundledTips() {
+    let data;
+    try {
+        const response = await fetch(LOCAL_TIPS_URL);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        data = await response.json();
+    } catch (e) {
+        console.warn('Local data.json could not be loaded.', e);
+        tipsDiagnostics = { total: 0, loaded: 0, issues: [{ entry: null, id: '', field: null, message: `could not be loaded or parsed (${e.message})` }] };
+        return [];
+    }
+
+    const { tips, issues } = validateTipsData(data);
+    issues.forEach(issue => console.warn(`Skipped tip data. ${describeDataIssue(issue)}`));
+    tipsDiagnostics = { total: Array.isArray(data) ? data.length : 0, loaded: tips.length, issues };
+    return tips;
+}
+
 async function loadInitialData(fullFetch = true) {
     // 1. Load Local Tips Data (always load, as it's quick)
-    if (localTipsData.length === 0) {
-        try {
-            const mockResponse = await fetch(LOCAL_TIPS_URL);
-            localTipsData = await mockResponse.json();
-        } catch (e) {
-            console.warn("Local data.json fetch failed. Using embedded mock data.");
-            localTipsData = [{ id: 'fail', title: 'Data Load Error', content: 'Could not load local tips.', category: 'Error', source: 'System' }];
-        }
+    if (!tipsDiagnostics) {
+        bundledTips = await loadBundledTips();
+        localTipsData = mergeTips(bundledTips, customTips);
+        renderTipsDataNotice(els.tipsDataNotice, tipsDiagnostics, customTipsDiagnostics);
     }
 
 
     if (fullFetch) {
-        // 2. Fetch and render API data (Quote + Videos)
-        try {
-            const quoteString = await fetchQuote();
-            const parts = quoteString.split('—').map(s => s.trim());
-            const q = parts[0] || quoteString;
-            const a = parts.length > 1 ? parts.slice(1).join('—') : 'Zen Master';
-            const quoteId = getDailyQuoteId();
-
-            renderQuote({ q, a, id: quoteId });
-        } catch (e) {
-            console.error("Critical error in loadInitialData during quote fetch/render:", e.message);
-            renderQuote({ q: `Error loading quote: ${e.message}`, a: "System Error", id: getDailyQuoteId() });
-        }
+        // 2. Fetch and render API data (Quote + Videos), served from the cache when fresh.
+        // Settings (YouTube key and search options) must be known before the first video request.
+        await loadSettings();
+        await loadQuote();
 
         // 3. YouTube Video Fetch (Now includes fallback)
-        try {
-            const videoQuery = currentCategory === 'all' ? 'daily wellness' : currentCategory;
-            const videos = await fetchVideos(videoQuery);
-            renderVideos(videos);
-        } catch (e) {
-            console.error("Critical error in loadInitialData during video fetch (Likely Quota Exceeded):", e.message);
-
-            // --- FALLBACK VIDEO DATA FOR DEPLOYMENT ---
-            const fallbackVideos = [
-                { videoId: '4R7tYqW1p5Y', title: 'Guided Meditation for Deep Sleep', channelTitle: 'Calm Channel' },
-                { videoId: 'o2_VnL26-gI', title: 'Full Body Stretching Routine', channelTitle: 'Fitness Daily' },
-                { videoId: 'wFk-y_Y_rYI', title: 'Healthy Meal Prep Ideas', channelTitle: 'Cooking Light' },
-            ];
-
-            renderVideos(fallbackVideos);
-        }
+        await refreshVideos();
     }
 
-    // 4. Render Tips
-    renderTips(localTipsData);
-
-    // 5. Set initial view/filters
-    if (els.categoryFilter) {
-        els.categoryFilter.value = currentCategory;
-    }
-    const initialNavButton = document.querySelector(`[data-page="${currentView}"]`);
-    if (initialNavButton) {
-        // Call handleNavigation to ensure the correct sections are visible/hidden
-        handleNavigation({ target: initialNavButton });
-    } else {
-        currentView = 'home';
-        document.getElementById('home-section')?.classList.remove('hidden');
-    }
+    // 4. Render whatever view the router has selected
+    isDataLoaded = true;
+    renderCurrentView();
 }
 
 // Event Handler #6: Initialization
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     // Cache ALL required DOM Elements
     els.quoteContent = document.getElementById('quote-content');
     els.tipsList = document.getElementById('tips-list');
+    els.tipsMore = document.getElementById('tips-more');
+    els.tipsEarlier = document.getElementById('tips-earlier');
     els.videoList = document.getElementById('video-list');
+    els.videoLoadMore = document.getElementById('video-load-more');
+    els.hideWatchedToggle = document.getElementById('hide-watched-toggle');
+    els.videoStatus = document.getElementById('video-status');
     els.favoritesList = document.getElementById('favorites-list');
     els.searchInput = document.getElementById('search-input');
     els.categoryFilter = document.getElementById('category-filter');
+    els.videoSearchToggle = document.getElementById('video-search-toggle');
+    els.difficultyFilter = document.getElementById('difficulty-filter');
+    els.durationFilter = document.getElementById('duration-filter');
+    els.trendingFilter = document.getElementById('trending-filter');
+    els.trendingCount = document.getElementById('trending-count');
+    els.sortSelect = document.getElementById('sort-select');
     els.themeToggle = document.getElementById('theme-toggle');
+    els.refreshButton = document.getElementById('refresh-content');
+    els.offlineIndicator = document.getElementById('offline-indicator');
+    els.storageNotice = document.getElementById('storage-notice');
     els.homeSection = document.getElementById('home-section');
     els.favoritesSection = document.getElementById('favorites-section');
     els.tipsSection = document.getElementById('tips-section');
     els.quoteSection = document.getElementById('quote-section');
     els.videoSidebar = document.getElementById('video-sidebar');
+    els.favoritesTypeChips = document.getElementById('favorites-type-chips');
+    els.favoritesSearch = document.getElementById('favorites-search');
+    els.favoritesSort = document.getElementById('favorites-sort');
+    els.settingsSection = document.getElementById('settings-section');
+    els.settingsForm = document.getElementById('settings-form');
+    els.settingsStatus = document.getElementById('settings-status');
+    els.quoteHistorySection = document.getElementById('quote-history-section');
+    els.quoteHistoryList = document.getElementById('quote-history-list');
+    els.quoteHistoryPager = document.getElementById('quote-history-pager');
+    els.tipDetailSection = document.getElementById('tip-detail-section');
+    els.tipDetail = document.getElementById('tip-detail');
+    els.tipDetailBack = document.getElementById('tip-detail-back');
+    els.planSection = document.getElementById('plan-section');
+    els.progressSection = document.getElementById('progress-section');
+    els.remindersSection = document.getElementById('reminders-section');
+    els.myTipsSection = document.getElementById('my-tips-section');
+    els.playlistsSection = document.getElementById('playlists-section');
+    els.tipsDataNotice = document.getElementById('tips-data-notice');
+    els.dataDiagnostics = document.getElementById('data-diagnostics');
 
     if (!els.quoteContent) {
         console.error("Initialization Failed: Could not find element with ID 'quote-content'. Check your index.html.");
     }
 
-    // Apply saved theme immediately
+    // Apply saved theme immediately (it lives in localStorage, so it is readable before open())
     if (storage.get(keys.THEME) === 'dark') {
         document.documentElement.classList.add('dark');
     }
 
+    // Load favorites and history (IndexedDB) and run storage migrations before anything renders.
+    await storage.open();
+    favorites = storage.get(keys.FAVORITES);
+    quoteHistory = storage.get(keys.QUOTE_HISTORY);
+    checkIns = storage.get(keys.CHECK_INS);
+    customTips = loadCustomTips();
+    watchProgress = storage.get(keys.WATCH_PROGRESS);
+    watchHistory = storage.get(keys.WATCH_HISTORY);
+    renderStorageNotice(storage.getIssues());
+    pruneApiCache();
+
     // Attach Event Listeners
     document.addEventListener('click', handleToggleFavorite);
+    document.addEventListener('click', handleCheckIn);
+    document.addEventListener('click', handleVideoPlay);
+    document.addEventListener('click', handlePracticeStart);
+    document.addEventListener('keydown', handleEscapeKey);
+    document.addEventListener('click', handleShareOpen);
+    shareDialog = createShareDialog({ root: document.getElementById('share-dialog') });
+    practiceOverlay = createPracticeOverlay({
+        root: document.getElementById('practice-timer'),
+        options: loadPracticeOptions(),
+        onOptionsChange: options => storage.set(keys.PRACTICE_OPTIONS, options),
+        onComplete: handlePracticeComplete
+    });
     els.themeToggle.addEventListener('click', handleThemeToggle);
+    els.storageNotice.querySelector('[data-dismiss]').addEventListener('click', () => els.storageNotice.classList.add('hidden'));
+    els.refreshButton.addEventListener('click', handleRefresh);
+    els.settingsForm.addEventListener('submit', handleSettingsSubmit);
+    document.getElementById('settings-test-key').addEventListener('click', handleTestApiKey);
+    document.getElementById('settings-reset').addEventListener('click', handleSettingsReset);
+    onSettingsChange(handleSettingsChange);
+    window.addEventListener('online', handleConnectivityChange);
+    window.addEventListener('offline', handleConnectivityChange);
     els.searchInput.addEventListener('input', handleContentUpdate);
     els.categoryFilter.addEventListener('change', handleContentUpdate);
+    els.videoSearchToggle.addEventListener('change', handleVideoSearchToggle);
+    [els.difficultyFilter, els.durationFilter, els.trendingFilter, els.sortSelect]
+        .forEach(control => control.addEventListener('change', handleContentUpdate));
+    setHtml(els.sortSelect, SORT_OPTIONS.map(({ value, label }) => html`<option value="${value}">${label}</option>`));
     document.querySelectorAll('.nav-button').forEach(btn => btn.addEventListener('click', handleNavigation));
+    els.favoritesTypeChips.addEventListener('click', handleFavoritesToolbar);
+    els.favoritesSearch.addEventListener('input', handleFavoritesToolbar);
+    els.favoritesSort.addEventListener('change', handleFavoritesToolbar);
+    setupFavoritesTransfer({
+        root: document.getElementById('favorites-transfer'),
+        getFavorites: () => favorites,
+        onImport: handleFavoritesImport
+    });
+    planExport = createPlanExport({
+        root: document.getElementById('plan-export-form'),
+        printView: document.getElementById('print-view'),
+        options: loadCalendarOptions(),
+        startDate: getLocalDateKey(),
+        getItemDetails: getPlanItemDetails,
+        onOptionsChange: options => storage.set(keys.CALENDAR_OPTIONS, options)
+    });
+    plannerPage = createPlannerPage({
+        root: els.planSection,
+        options: loadPlanOptions(),
+        routines: storage.get(keys.ROUTINES),
+        getCandidates: routine => getPlanCandidates(localTipsData, favorites, routine),
+        getCategories: getTipCategories,
+        onOptionsChange: options => storage.set(keys.PLAN_OPTIONS, options),
+        onRoutinesChange: routines => storage.set(keys.ROUTINES, routines),
+        onRoutineChange: routine => planExport.render(routine)
+    });
+    els.videoLoadMore.addEventListener('click', handleLoadMoreVideos);
+    els.hideWatchedToggle.checked = hideWatched;
+    els.hideWatchedToggle.addEventListener('change', handleHideWatchedToggle);
+    els.tipsMore.querySelector('[data-more]').addEventListener('click', showMoreTips);
+    els.tipsEarlier.querySelector('[data-earlier]').addEventListener('click', showEarlierTips);
+    // Infinite scroll: the next page of tips renders as the footer nears the viewport, and dropped
+    // tips come back as "Show earlier tips" nears it when scrolling up.
+    if ('IntersectionObserver' in window) {
+        const tipsObserver = new IntersectionObserver(entries => {
+            entries.filter(entry => entry.isIntersecting).forEach(entry => (entry.target === els.tipsMore ? showMoreTips() : showEarlierTips()));
+        }, { rootMargin: '400px' });
+        tipsObserver.observe(els.tipsMore);
+        tipsObserver.observe(els.tipsEarlier);
+    }
+    progressPage = createProgressPage({
+        root: els.progressSection,
+        getCheckIns: () => checkIns,
+        getWatchHistory: () => watchHistory,
+        getTips: () => localTipsData
+    });
+    remindersPage = createRemindersPage({
+        root: els.remindersSection,
+        banner: document.getElementById('reminder-banner'),
+        settings: loadReminderSettings(),
+        getTips: () => localTipsData,
+        getCategories: getTipCategories,
+        onChange: settings => storage.set(keys.REMINDERS, settings)
+    });
+    myTipsPage = createMyTipsPage({
+        root: els.myTipsSection,
+        tips: customTips,
+        getCategories: getTipCategories,
+        onChange: setCustomTips,
+        onSave: refreshFavoriteTip
+    });
+    playlistsPage = createPlaylistsPage({
+        root: els.playlistsSection,
+        playlists: storage.get(keys.PLAYLISTS),
+        options: loadQueueOptions(),
+        getVideos: getPlaylistVideos,
+        getWatchProgress: () => watchProgress,
+        onWatchProgress: handleWatchProgress,
+        onPlaylistsChange: playlists => storage.set(keys.PLAYLISTS, playlists),
+        onOptionsChange: options => storage.set(keys.QUEUE_OPTIONS, options)
+    });
 
-    // Start App
-    loadInitialData();
+    // Start App: a bare URL restores the last saved filter, then the router takes over.
+    if (!window.location.hash) {
+        history.replaceState(history.state, '', buildHash('/', getFilterQuery()));
+    }
+    startRouter(applyRoute);
+    updateOfflineIndicator();
+    registerServiceWorker();
+    // Sync and reminders don't depend on the loaded content, so they start even when loading failed.
+    loadInitialData()
+        .catch(renderStartupError)
+        .then(() => {
+            startFavoritesSync(updateOfflineIndicator);
+            startReminderScheduler({ getState: remindersPage.getState, onDue: remindersPage.fire, onMissed: remindersPage.skip });
+        });
 });
@@ -0,0 +1,122 @@
+/**
+ * AUTHORING MODULE (js/authoring.js)
+ * Custom tips written in the app, stored in this browser and merged with the bundled
+ * data/data.json tips, so search, facets, the planner and favorites treat them alike.
+ * * * Custom tips:
+ * 1. Same fields as bundled tips (title, content, category, difficulty, durationMinutes,
+ *    keywords, source, publishedDate), checked by validateTip() on every save
+ * 2. Marked with custom: true, plus createdAt / updatedAt
+ * 3. Ids start with "custom-", so they never collide with a bundled tip
+ */
+
+export const TIP_DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+
+export const TIP_LIMITS = { title: 80, content: 1000, category: 40, source: 80, keywords: 10, keyword: 30, durationMinutes: 240 };
+
+const CUSTOM_ID_PREFIX = 'custom-';
+const DEFAULT_SOURCE = 'My tips';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @param {string} id Tip id.
+ * @returns {boolean} Whether the tip was written in the app.
+ */
+export function isCustomTipId(id) {
+    return String(id).startsWith(CUSTOM_ID_PREFIX);
+}
+
+/**
+ * Splits "sleep, #focus, Sleep" into ['sleep', 'focus'].
+ * @param {string} text Comma-separated keywords.
+ * @returns {Array<string>}
+ */
+export function parseKeywords(text) {
+    const keywords = String(text || '').split(',').map(word => word.trim().replace(/^#+/, '').toLowerCase()).filter(Boolean);
+    return [...new Set(keywords)];
+}
+
+function isValidDate(text) {
+    if (!DATE_PATTERN.test(text)) return false;
+    const date = new Date(`${text}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(text);
+}
+
+/**
+ * Checks the editor fields and builds the tip's data fields from them.
+ * @param {Object} fields Raw form values; keywords may be an array or comma-separated text.
+ * @returns {{tip: Object|null, errors: Object<string, string>}} errors is keyed by field and empty when valid.
+ */
+export function validateTip(fields) {
+    const text = name => String(fields[name] ?? '').trim();
+    const errors = {};
+
+    const title = text('title');
+    if (!title) errors.title = 'Give the tip a title.';
+    else if (title.length > TIP_LIMITS.title) errors.title = `Keep the title under ${TIP_LIMITS.title} characters.`;
+
+    const content = text('content');
+    if (!content) errors.content = 'Describe the practice.';
+    else if (content.length > TIP_LIMITS.content) errors.content = `Keep the description under ${TIP_LIMITS.content} characters.`;
+
+    const category = text('category');
+    if (!category) errors.category = 'Choose or type a category.';
+    else if (category.length > TIP_LIMITS.category) errors.category = `Keep the category under ${TIP_LIMITS.category} characters.`;
+
+    const difficulty = text('difficulty');
+    if (!TIP_DIFFICULTIES.includes(difficulty)) errors.difficulty = `Choose ${TIP_DIFFICULTIES.join(', ')}.`;
+
+    const durationText = text('durationMinutes');
+    const durationMinutes = durationText === '' ? 0 : Number(durationText);
+    if (!Number.isInteger(durationMinutes) || durationMinutes < 0 || durationMinutes > TIP_LIMITS.durationMinutes) {
+        errors.durationMinutes = `Use whole minutes from 0 (no set time) to ${TIP_LIMITS.durationMinutes}.`;
+    }
+
+    const keywords = Array.isArray(fields.keywords) ? parseKeywords(fields.keywords.join(',')) : parseKeywords(fields.keywords);
+    if (keywords.length > TIP_LIMITS.keywords) errors.keywords = `Use at most ${TIP_LIMITS.keywords} keywords.`;
+    else if (keywords.some(word => word.length > TIP_LIMITS.keyword)) errors.keywords = `Keep each keyword under ${TIP_LIMITS.keyword} characters.`;
+
+    const source = text('source') || DEFAULT_SOURCE;
+    if (source.length > TIP_LIMITS.source) errors.source = `Keep the source under ${TIP_LIMITS.source} characters.`;
+
+    const publishedDate = text('publishedDate');
+    if (!isValidDate(publishedDate)) errors.publishedDate = 'Choose a valid date.';
+
+    if (Object.keys(errors).length > 0) return { tip: null, errors };
+    return { tip: { title, content, category, difficulty, durationMinutes, keywords, source, publishedDate }, errors };
+}
+
+/**
+ * Creates a custom tip, or updates one when id is given.
+ * @param {Array<Object>} customTips Saved custom tips (not modified).
+ * @param {Object} fields Editor fields (see validateTip()).
+ * @param {string|null} [id] Id of the custom tip being edited.
+ * @returns {{customTips: Array<Object>, tip: Object|null, errors: Object<string, string>}}
+ */
+export function saveCustomTip(customTips, fields, id = null) {
+    const { tip: data, errors } = validateTip(fields);
+    if (!data) return { customTips, tip: null, errors };
+
+    const now = new Date().toISOString();
+    const existing = id ? customTips.find(tip => tip.id === id) : null;
+    if (id && !existing) return { customTips, tip: null, errors: { title: 'This custom tip no longer exists.' } };
+
+    if (existing) {
+        const tip = { ...existing, ...data, updatedAt: now };
+        return { customTips: customTips.map(item => (item.id === id ? tip : item)), tip, errors };
+    }
+    const tip = { id: `${CUSTOM_ID_PREFIX}${Date.now().toString(36)}`, ...data, custom: true, createdAt: now, updatedAt: now };
+    return { customTips: [...customTips, tip], tip, errors };
+}
+
+/**
+ * Bundled tips followed by custom ones. Anything without a custom- id is left out of the
+ * custom list, so stored data can't shadow a bundled tip.
+ * @param {Array<Object>} bundledTips Tips from data/data.json.
+ * @param {Array<Object>} customTips Saved custom tips.
+ * @returns {Array<Object>}
+ */
+export function mergeTips(bundledTips, customTips) {
+    return bundledTips.concat(customTips.filter(tip => isCustomTipId(tip.id)).map(tip => ({ ...tip, custom: true })));
+}
+
+export default { isCustomTipId, parseKeywords, validateTip, saveCustomTip, mergeTips, TIP_DIFFICULTIES, TIP_LIMITS };
@@ -0,0 +1,157 @@
+/**
+ * BREATHING MODULE (js/breathing.js)
+ * Guided practice timer for tips with a durationMinutes: breathing patterns that pace an
+ * animated circle, an optional Web Audio chime, and pause/resume.
+ * Time is read from the clock rather than counted in ticks, so a throttled background tab
+ * doesn't stretch the session.
+ * * * Patterns:
+ * 1. box  -> in 4, hold 4, out 4, hold 4 (seconds)
+ * 2. 478  -> in 4, hold 7, out 8
+ * 3. none -> a plain countdown with no pacing
+ */
+
+// scale is the circle's size at the end of a phase (1 = full, 0.5 = empty lungs).
+export const BREATHING_PATTERNS = {
+    box: {
+        label: 'Box breathing (4-4-4-4)',
+        phases: [
+            { label: 'Breathe in', seconds: 4, scale: 1 },
+            { label: 'Hold', seconds: 4, scale: 1 },
+            { label: 'Breathe out', seconds: 4, scale: 0.5 },
+            { label: 'Hold', seconds: 4, scale: 0.5 }
+        ]
+    },
+    478: {
+        label: '4-7-8 breathing',
+        phases: [
+            { label: 'Breathe in', seconds: 4, scale: 1 },
+            { label: 'Hold', seconds: 7, scale: 1 },
+            { label: 'Breathe out', seconds: 8, scale: 0.5 }
+        ]
+    },
+    none: { label: 'Timer only', phases: [] }
+};
+
+export const DEFAULT_PATTERN = 'box';
+
+const TICK_MS = 100;
+
+/**
+ * Where a pattern is after some seconds of practice.
+ * @param {string} patternId Key of BREATHING_PATTERNS.
+ * @param {number} elapsedSeconds Seconds since the practice started (pauses excluded).
+ * @returns {{label: string, index: number, remaining: number, scale: number}|null} remaining is whole
+ *   seconds left in the phase; scale is the circle size for this moment. Null for 'none'.
+ */
+export function getBreathingPhase(patternId, elapsedSeconds) {
+    const phases = (BREATHING_PATTERNS[patternId] || BREATHING_PATTERNS[DEFAULT_PATTERN]).phases;
+    if (phases.length === 0) return null;
+
+    const cycle = phases.reduce((total, phase) => total + phase.seconds, 0);
+    let offset = elapsedSeconds % cycle;
+    let index = 0;
+    while (offset >= phases[index].seconds) {
+        offset -= phases[index].seconds;
+        index++;
+    }
+    const phase = phases[index];
+    const from = phases[(index + phases.length - 1) % phases.length].scale;
+    return {
+        label: phase.label,
+        index,
+        remaining: Math.ceil(phase.seconds - offset),
+        scale: from + (phase.scale - from) * (offset / phase.seconds)
+    };
+}
+
+/**
+ * @param {number} seconds Seconds left.
+ * @returns {string} e.g. "4:05".
+ */
+export function formatCountdown(seconds) {
+    const total = Math.max(0, Math.ceil(seconds));
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * A pausable countdown.
+ * @param {Object} options
+ * @param {number} options.durationSeconds Length of the practice.
+ * @param {function(number): void} options.onTick Called several times a second with the elapsed seconds.
+ * @param {function(): void} options.onComplete Called once when the time is up.
+ * @returns {{start: function(): void, pause: function(): void, stop: function(): void, isRunning: function(): boolean}}
+ *   start() also resumes after pause().
+ */
+export function createPracticeTimer({ durationSeconds, onTick, onComplete }) {
+    let elapsedBeforePause = 0; // ms
+    let startedAt = null;
+    let timer = null;
+
+    const getElapsed = () => (elapsedBeforePause + (startedAt === null ? 0 : Date.now() - startedAt)) / 1000;
+
+    const stop = () => {
+        clearInterval(timer);
+        timer = null;
+        if (startedAt !== null) elapsedBeforePause += Date.now() - startedAt;
+        startedAt = null;
+    };
+
+    const tick = () => {
+        const elapsed = Math.min(getElapsed(), durationSeconds);
+        onTick(elapsed);
+        if (elapsed >= durationSeconds) {
+            stop();
+            onComplete();
+        }
+    };
+
+    return {
+        start() {
+            if (timer) return;
+            startedAt = Date.now();
+            timer = setInterval(tick, TICK_MS);
+            tick();
+        },
+        pause: stop,
+        stop,
+        isRunning: () => timer !== null
+    };
+}
+
+let audioContext = null;
+
+/**
+ * Plays a soft bell tone. Call it from a user action first (e.g. the Start button), since
+ * browsers only let a page start audio after the user has interacted with it.
+ * @param {{frequency?: number, volume?: number, seconds?: number}} [options]
+ * @returns {boolean} False when Web Audio isn't available.
+ */
+export function playChime({ frequency = 528, volume = 0.3, seconds = 1.5 } = {}) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return false;
+    try {
+        audioContext = audioContext || new AudioContextClass();
+        if (audioContext.state === 'suspended') audioContext.resume();
+
+        const now = audioContext.currentTime;
+        const oscillator = audioContext.createOscillator();
+        const gain = audioContext.createGain();
+        oscillator.type = 'sine';
+        oscillator.frequency.value = frequency;
+        // Quick attack, long fade, like a struck bowl.
+        gain.gain.setValueAtTime(0.0001, now);
+        gain.gain.exponentialRampToValueAtTime(volume, now + 0.02);
+        gain.gain.exponentialRampToValueAtTime(0.0001, now + seconds);
+        oscillator.connect(gain).connect(audioContext.destination);
+        oscillator.start(now);
+        oscillator.stop(now + seconds);
+        return true;
+    } catch (e) {
+        console.warn('Could not play the chime.', e);
+        return false;
+    }
+}
+
+export default {
+    getBreathingPhase, formatCountdown, createPracticeTimer, playChime, BREATHING_PATTERNS, DEFAULT_PATTERN
+};
@@ -0,0 +1,133 @@
+/**
+ * CACHE MODULE (js/cache.js)
+ * Persistent response cache with TTL and stale-while-revalidate, used to wrap the
+ * network calls in js/api.js so page loads don't burn API quota.
+ * * * Behaviour of cache.fetch(key, loader, options):
+ * 1. Fresh entry (younger than ttl)       -> returned without a network call
+ * 2. Stale entry (within staleWhileRevalidate) -> returned immediately, refreshed in the background
+ * 3. Missing/expired entry or force=true  -> loader() is awaited and its result stored
+ * 4. Loader fails but any entry exists    -> the old entry is served instead of an error
+ */
+
+/**
+ * Creates a cache persisted to localStorage under a single key.
+ * @param {string} storageKey The localStorage key holding all entries ({ [key]: { data, timestamp } }).
+ * @returns {Object} The cache API: fetch, get, invalidate, prune.
+ */
+export function createCache(storageKey) {
+    const inFlight = new Map(); // key -> pending loader promise, so concurrent callers share one request
+
+    function readEntries() {
+        try {
+            const raw = localStorage.getItem(storageKey);
+            const entries = raw ? JSON.parse(raw) : {};
+            // Older builds stored a bare timestamp under this key; treat anything else as empty.
+            return entries && typeof entries === 'object' && !Array.isArray(entries) ? entries : {};
+        } catch (e) {
+            console.error(`Error reading cache ${storageKey}:`, e);
+            return {};
+        }
+    }
+
+    function writeEntries(entries) {
+        try {
+            localStorage.setItem(storageKey, JSON.stringify(entries));
+        } catch (e) {
+            console.error(`Error writing cache ${storageKey}:`, e);
+        }
+    }
+
+    /**
+     * Returns the stored entry for a key, or null.
+     * @param {string} key The cache key.
+     * @returns {{data: *, timestamp: number}|null}
+     */
+    function get(key) {
+        return readEntries()[key] || null;
+    }
+
+    function set(key, data) {
+        const entries = readEntries();
+        entries[key] = { data, timestamp: Date.now() };
+        writeEntries(entries);
+    }
+
+    function load(key, loader) {
+        if (!inFlight.has(key)) {
+            const request = Promise.resolve()
+                .then(loader)
+                .then(data => {
+                    set(key, data);
+                    return data;
+                })
+                .finally(() => inFlight.delete(key));
+            inFlight.set(key, request);
+        }
+        return inFlight.get(key);
+    }
+
+    /**
+     * Returns cached data for a key, calling loader() only when needed.
+     * @param {string} key The cache key, e.g. "videos:meditation".
+     * @param {function(): Promise<*>} loader Performs the real request; should throw on failure.
+     * @param {Object} [options]
+     * @param {number} [options.ttl=0] Milliseconds an entry is served without revalidating.
+     * @param {number} [options.staleWhileRevalidate=0] Extra milliseconds a stale entry may still be served.
+     * @param {boolean} [options.force=false] Bypass the cache (manual refresh).
+     * @param {function(*): void} [options.onRevalidate] Called with fresh data after a background refresh.
+     * @returns {Promise<*>} The cached or freshly loaded data.
+     */
+    async function fetch(key, loader, { ttl = 0, staleWhileRevalidate = 0, force = false, onRevalidate } = {}) {
+        const entry = get(key);
+        const age = entry ? Date.now() - entry.timestamp : Infinity;
+
+        if (!force && entry && age < ttl) {
+            return entry.data;
+        }
+
+        if (!force && entry && age < ttl + staleWhileRevalidate) {
+            load(key, loader)
+                .then(data => onRevalidate && onRevalidate(data))
+                .catch(e => console.warn(`Background refresh of ${key} failed; keeping cached copy.`, e));
+            return entry.data;
+        }
+
+        try {
+            return await load(key, loader);
+        } catch (e) {
+            if (entry) {
+                console.warn(`Request for ${key} failed; serving cached copy from ${new Date(entry.timestamp).toLocaleString()}.`);
+                return entry.data;
+            }
+            throw e;
+        }
+    }
+
+    /**
+     * Removes every entry whose key starts with the prefix (all entries when omitted).
+     * @param {string} [prefix='']
+     */
+    function invalidate(prefix = '') {
+        const entries = readEntries();
+        Object.keys(entries)
+            .filter(key => key.startsWith(prefix))
+            .forEach(key => delete entries[key]);
+        writeEntries(entries);
+    }
+
+    /**
+     * Drops entries the predicate rejects, e.g. expired videos or yesterday's quote.
+     * @param {function(string, {data: *, timestamp: number}): boolean} keep
+     */
+    function prune(keep) {
+        const entries = readEntries();
+        Object.keys(entries)
+            .filter(key => !keep(key, entries[key]))
+            .forEach(key => delete entries[key]);
+        writeEntries(entries);
+    }
+
+    return { fetch, get, invalidate, prune };
+}
+
+export default { createCache };
@@ -0,0 +1,211 @@
+/**
+ * CALENDAR MODULE (js/calendar.js)
+ * Exports practice plans and reminders as an iCalendar (.ics) file (RFC 5545), so they can
+ * live in the user's own calendar app.
+ * * * Events:
+ * 1. Plan items run back to back from a start time, each lasting its durationMinutes
+ * 2. They repeat weekly on the chosen days (daily when all seven are chosen); items pushed past
+ *    midnight repeat on the following weekdays
+ * 3. Daily reminders repeat every day at their time, with an alert
+ * Times are "floating" local times: 07:00 stays 07:00 wherever the calendar is opened.
+ */
+
+export const WEEKDAYS = [
+    { code: 'MO', label: 'Mon' },
+    { code: 'TU', label: 'Tue' },
+    { code: 'WE', label: 'Wed' },
+    { code: 'TH', label: 'Thu' },
+    { code: 'FR', label: 'Fri' },
+    { code: 'SA', label: 'Sat' },
+    { code: 'SU', label: 'Sun' }
+];
+
+export const DEFAULT_CALENDAR_OPTIONS = { days: ['MO', 'TU', 'WE', 'TH', 'FR'], time: '07:00' };
+
+// "Anytime" tips (durationMinutes 0) still get a short slot so they show up in the day.
+export const UNTIMED_EVENT_MINUTES = 5;
+
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']; // Indexed by Date.getDay()
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const UID_DOMAIN = 'wellness-hub';
+const MAX_LINE_OCTETS = 75;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = number => String(number).padStart(2, '0');
+
+function parseLocal(date, time) {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    return new Date(year, month - 1, day, hours, minutes);
+}
+
+// 2026-10-20
+function formatDate(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// 20261020T070000 (local, no zone)
+function formatLocal(date) {
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}T${pad(date.getHours())}${pad(date.getMinutes())}00`;
+}
+
+// 20261019T141600Z
+function formatUtc(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(text) {
+    return String(text ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Long lines are split into 75-octet pieces joined by CRLF + space (never inside a character).
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1; // Continuations start with a space
+        if (octets + size > limit) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * Checks the export form.
+ * @param {{days: Array<string>, time: string, startDate: string}} options
+ * @returns {Object<string, string>} Error messages keyed by field; empty when valid.
+ */
+export function validateCalendarOptions({ days, time, startDate }) {
+    const errors = {};
+    if (!Array.isArray(days) || days.length === 0 || !days.every(code => DAY_CODES.includes(code))) errors.days = 'Choose at least one day.';
+    if (!TIME_PATTERN.test(time || '')) errors.time = 'Choose a start time such as 07:00.';
+    // Dates like 2026-02-30 parse, but roll over into the next month.
+    if (!DATE_PATTERN.test(startDate || '') || formatDate(parseLocal(startDate, '00:00')) !== startDate) errors.startDate = 'Choose a start date.';
+    return errors;
+}
+
+/**
+ * The first date on or after startDate that falls on one of the days.
+ * @param {string} startDate 'YYYY-MM-DD'.
+ * @param {Array<string>} days Day codes such as 'MO'.
+ * @returns {string} 'YYYY-MM-DD'.
+ */
+export function getFirstOccurrence(startDate, days) {
+    const date = parseLocal(startDate, '00:00');
+    for (let i = 0; i < 7 && !days.includes(DAY_CODES[date.getDay()]); i++) date.setDate(date.getDate() + 1);
+    return formatDate(date);
+}
+
+// Whole calendar days from one local date to another (rounded, so DST changes don't matter).
+function daysBetween(from, to) {
+    const midnight = date => new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+    return Math.round((midnight(to) - midnight(from)) / DAY_MS);
+}
+
+function buildRecurrence(days, dayOffset) {
+    if (days.length === 7) return 'FREQ=DAILY';
+    const shifted = days.map(code => DAY_CODES[(DAY_CODES.indexOf(code) + dayOffset) % 7]);
+    return `FREQ=WEEKLY;BYDAY=${WEEKDAYS.map(day => day.code).filter(code => shifted.includes(code)).join(',')}`;
+}
+
+/**
+ * Lays plan items out back to back from the start time.
+ * @param {Array<{kind: string, id: string, title: string, minutes: number, description?: string, url?: string}>} items
+ * @param {{days: Array<string>, time: string, startDate: string}} options Checked by validateCalendarOptions().
+ * @returns {Array<Object>} Events for buildCalendar(), each with start (Date) and minutes. UIDs depend only on
+ *   the item and its position, so re-importing the plan with another start updates the events instead of
+ *   duplicating them.
+ */
+export function scheduleItems(items, { days, time, startDate }) {
+    const planStart = parseLocal(getFirstOccurrence(startDate, days), time);
+    let start = planStart;
+    return items.map((item, index) => {
+        const minutes = item.minutes > 0 ? item.minutes : UNTIMED_EVENT_MINUTES;
+        const event = {
+            uid: `${item.kind}-${item.id}-${index + 1}@${UID_DOMAIN}`,
+            start,
+            minutes,
+            summary: item.title,
+            description: item.description || '',
+            url: item.url || '',
+            rrule: buildRecurrence(days, daysBetween(planStart, start))
+        };
+        start = new Date(start.getTime() + minutes * 60 * 1000);
+        return event;
+    });
+}
+
+/**
+ * Daily reminders as events with an alert. Interval reminders are left out, since calendar
+ * apps handle events every few hours poorly.
+ * @param {Array<Object>} reminders Reminders (see js/reminders.js); only enabled ones are used.
+ * @param {{startDate: string, url?: string}} options startDate is the first day; url links back to the app.
+ * @returns {Array<Object>} Events for buildCalendar().
+ */
+export function scheduleReminders(reminders, { startDate, url = '' }) {
+    return reminders
+        .filter(reminder => reminder.enabled && reminder.kind === 'daily' && TIME_PATTERN.test(reminder.time || ''))
+        .map(reminder => ({
+            uid: `${reminder.id}@${UID_DOMAIN}`,
+            start: parseLocal(startDate, reminder.time),
+            minutes: UNTIMED_EVENT_MINUTES,
+            summary: reminder.label,
+            url,
+            rrule: 'FREQ=DAILY',
+            alarm: true
+        }));
+}
+
+/**
+ * Serialises events as an iCalendar file.
+ * @param {Array<{uid: string, start: Date, minutes: number, summary: string, description?: string, url?: string, rrule?: string, alarm?: boolean}>} events
+ *   alarm adds a notification at the start time.
+ * @param {{name: string}} calendar Shown as the calendar's name by apps that support it.
+ * @returns {string} The .ics text (CRLF line endings).
+ */
+export function buildCalendar(events, { name }) {
+    const stamp = formatUtc(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Wellness Hub//Practice Plans//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`
+    ];
+    events.forEach(event => {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${formatLocal(event.start)}`,
+            `DURATION:PT${event.minutes}M`,
+            `SUMMARY:${escapeText(event.summary)}`
+        );
+        if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+        if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        if (event.url) lines.push(`URL:${event.url}`);
+        if (event.alarm) {
+            lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${escapeText(event.summary)}`, 'TRIGGER:PT0M', 'END:VALARM');
+        }
+        lines.push('END:VEVENT');
+    });
+    lines.push('END:VCALENDAR');
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+export default {
+    validateCalendarOptions, getFirstOccurrence, scheduleItems, scheduleReminders, buildCalendar,
+    WEEKDAYS, DEFAULT_CALENDAR_OPTIONS, UNTIMED_EVENT_MINUTES
+};
@@ -0,0 +1,252 @@
+/**
+ * COMPONENTS MODULE (js/components.js)
+ * Reusable card components built on the escaping html`` tag from js/render.js.
+ * Each returns markup with a single root element so it can be used with renderKeyed().
+ * * * Components:
+ * 1. HeartButton -> favorite toggle; only the id and type go in data-* attributes
+ * 2. ShareButton -> opens the share card for a quote or tip (see js/share.js)
+ * 3. VideoFacade -> lazy thumbnail with a play button and watch progress; the player loads on click
+ * 4. CheckIn     -> "Done today" toggle with the tip's streak
+ * 5. PracticeButton -> opens the guided practice timer for a timed tip (see js/breathing.js)
+ * 6. CustomBadge -> marks tips written in the app (see js/authoring.js)
+ * 7. TipCard     -> tip in the tips list, with search highlights
+ * 8. VideoCard   -> video in the sidebar
+ * formatSavedDate() gives the "Saved Mar 3, 2026" line shown on saved items.
+ */
+import { html, raw, setHtml, syncKeyed } from './render.js';
+import { highlightMatches } from './search.js';
+import { buildHash } from './router.js';
+import { formatPlaybackTime } from './player.js';
+
+const HEART_PATH = 'M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z';
+
+function heartLabel(isFav) {
+    return isFav ? 'Remove from Favorites' : 'Save to Favorites';
+}
+
+/**
+ * Heart toggle. handleToggleFavorite() in js/app.js looks the item up by id and type,
+ * so quote or title text never has to survive an attribute round trip.
+ * @param {Object} props
+ * @param {string} props.id Favorite id.
+ * @param {string} props.type 'quote' | 'tip' | 'video'.
+ * @param {boolean} props.isFav Whether the item is saved.
+ * @param {string} [props.size='w-7 h-7'] Icon size classes.
+ * @param {string} [props.className='text-3xl'] Extra button classes.
+ */
+export function HeartButton({ id, type, isFav, size = 'w-7 h-7', className = 'text-3xl' }) {
+    return html`
+        <button type="button" class="favorite-btn ${className} transition duration-200 ${isFav ? 'text-red-500' : ''}"
+            data-id="${id}" data-type="${type}" aria-pressed="${isFav}" title="${heartLabel(isFav)}">
+            <svg class="${size}" fill="${isFav ? 'red' : 'none'}" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="${HEART_PATH}"></path></svg>
+            <span class="sr-only">${heartLabel(isFav)}</span>
+        </button>
+    `;
+}
+
+/**
+ * Updates every heart for an item in place, without re-rendering the cards around it. Cards in
+ * renderKeyed() lists are synced, so a later re-render doesn't replace them (a playing video keeps playing).
+ * @param {ParentNode} root Where to look, usually document.
+ * @param {string} id Favorite id.
+ * @param {boolean} isFav Whether the item is now saved.
+ */
+export function updateHeartButtons(root, id, isFav) {
+    root.querySelectorAll('.favorite-btn').forEach(button => {
+        if (button.dataset.id !== id) return;
+        button.classList.toggle('text-red-500', isFav);
+        button.setAttribute('aria-pressed', String(isFav));
+        button.title = heartLabel(isFav);
+        const svg = button.querySelector('svg');
+        if (svg) svg.setAttribute('fill', isFav ? 'red' : 'none');
+        const label = button.querySelector('.sr-only');
+        if (label) label.textContent = heartLabel(isFav);
+        const card = button.closest('[data-key]');
+        if (card) syncKeyed(card);
+    });
+}
+
+const SHARE_PATH = 'M8.684 13.342C8.886 12.938 9 12.482 9 12c0-.482-.114-.938-.316-1.342m0 2.684a3 3 0 110-2.684m0 2.684l6.632 3.316m-6.632-6l6.632-3.316m0 0a3 3 0 105.367-2.684 3 3 0 00-5.367 2.684zm0 9.316a3 3 0 105.368 2.684 3 3 0 00-5.368-2.684z';
+
+/**
+ * Share toggle shown next to a heart. handleShareOpen() in js/app.js looks the item up by id and
+ * type, like HeartButton.
+ * @param {Object} props
+ * @param {string} props.id Quote or tip id.
+ * @param {string} props.type 'quote' | 'tip'.
+ * @param {string} [props.size='w-7 h-7'] Icon size classes.
+ * @param {string} [props.className='text-3xl'] Extra button classes.
+ */
+export function ShareButton({ id, type, size = 'w-7 h-7', className = 'text-3xl' }) {
+    return html`
+        <button type="button" class="share-btn ${className} transition duration-200 hover:text-primary-light dark:hover:text-primary-dark"
+            data-id="${id}" data-type="${type}" title="Share as an image">
+            <svg class="${size}" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="${SHARE_PATH}"></path></svg>
+            <span class="sr-only">Share</span>
+        </button>
+    `;
+}
+
+const PLAY_ICON = html`<svg class="w-16 h-12 drop-shadow-lg transition duration-200 group-hover:scale-110" viewBox="0 0 68 48" aria-hidden="true"><path fill="#f00" d="M66.5 7.7a8.5 8.5 0 0 0-6-6C55.2.3 34 .3 34 .3s-21.2 0-26.5 1.4a8.5 8.5 0 0 0-6 6C.1 13 .1 24 .1 24s0 11 1.4 16.3a8.5 8.5 0 0 0 6 6C12.8 47.7 34 47.7 34 47.7s21.2 0 26.5-1.4a8.5 8.5 0 0 0 6-6C67.9 35 67.9 24 67.9 24s0-11-1.4-16.3z"></path><path fill="#fff" d="M45 24 27 14v20"></path></svg>`;
+
+/**
+ * Video placeholder: the thumbnail (lazy-loaded as it scrolls into view), title, play button and
+ * watch progress. The YouTube player, which is far heavier, is only created on click (see
+ * mountPlayer() in js/player.js). Offline the play button is replaced by a note, since the player
+ * could only show an error page.
+ * @param {Object} props
+ * @param {string} props.videoId YouTube video id.
+ * @param {string} props.title Video title, shown over the thumbnail.
+ * @param {string} [props.className] Sizing classes, e.g. 'aspect-video'.
+ * @param {{progress: number, watched: boolean, resumeAt: number}} [props.watch] Saved progress (0-1),
+ *   watched state and resume position in seconds.
+ */
+export function VideoFacade({ videoId, title, className = '', watch = null }) {
+    const isOffline = !navigator.onLine;
+    const resumeAt = watch && !watch.watched ? watch.resumeAt : 0;
+    const progress = watch ? (watch.watched ? 1 : watch.progress) : 0;
+    const playLabel = resumeAt > 0 ? `Resume ${title} from ${formatPlaybackTime(resumeAt)}` : `Play ${title}`;
+    return html`
+        <div class="video-facade relative overflow-hidden bg-black ${className}" data-video-id="${videoId}" data-title="${title}">
+            <img src="https://i.ytimg.com/vi/${encodeURIComponent(videoId)}/hqdefault.jpg" alt="" loading="lazy" decoding="async"
+                class="absolute inset-0 w-full h-full object-cover ${(isOffline || watch?.watched) && 'opacity-50'}">
+            <span class="absolute top-0 inset-x-0 p-3 text-sm font-semibold text-white bg-gradient-to-b from-black/70 to-transparent line-clamp-2">${title}</span>
+            ${isOffline
+                ? html`<p class="absolute inset-0 flex items-center justify-center p-4 text-center text-sm text-white">This video will play when you're back online.</p>`
+                : html`<button type="button" class="video-play group absolute inset-0 w-full h-full flex items-center justify-center" aria-label="${playLabel}">${PLAY_ICON}</button>`}
+            ${watch?.watched && html`<span class="absolute bottom-3 right-3 px-2 py-0.5 rounded-full text-xs font-semibold text-white bg-black/80">&check; Watched</span>`}
+            ${resumeAt > 0 && html`<span class="absolute bottom-3 left-3 px-2 py-0.5 rounded-full text-xs font-semibold text-white bg-black/80">Resume from ${formatPlaybackTime(resumeAt)}</span>`}
+            ${progress > 0 && html`<span class="absolute bottom-0 left-0 h-1 bg-red-600" style="width: ${Math.round(progress * 100)}%;"></span>`}
+        </div>
+    `;
+}
+
+/**
+ * Replaces a facade's thumbnail with a plain YouTube embed. Used when the IFrame Player API
+ * can't load (e.g. a content blocker); the video plays but progress isn't tracked.
+ * @param {HTMLElement} facade A .video-facade element rendered by VideoFacade().
+ * @param {{start?: number}} [options] Seconds to start from.
+ */
+export function activateVideoFacade(facade, { start = 0 } = {}) {
+    const { videoId, title } = facade.dataset;
+    setHtml(facade, html`
+        <iframe
+            src="https://www.youtube.com/embed/${encodeURIComponent(videoId)}?autoplay=1&start=${Math.floor(start)}"
+            title="${title}"
+            frameborder="0"
+            allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
+            allowfullscreen
+            class="absolute inset-0 w-full h-full"
+        ></iframe>
+    `);
+}
+
+/**
+ * "Done today" toggle for a tip, plus its current streak.
+ * @param {Object} props
+ * @param {string} props.tipId Tip id.
+ * @param {boolean} props.done Whether the tip is done today.
+ * @param {number} props.streak Current streak in days (see js/habits.js).
+ */
+export function CheckIn({ tipId, done, streak }) {
+    return html`
+        <span class="inline-flex items-center space-x-3">
+            <button type="button" class="checkin-btn px-3 py-1 rounded-full border-2 text-sm font-semibold transition duration-200 ${done ? 'text-white' : ''}"
+                style="border-color: var(--primary-color); ${done ? 'background-color: var(--primary-color);' : ''}"
+                data-tip-id="${tipId}" aria-pressed="${done}">
+                ${done ? '✓ Done today' : 'Done today'}
+            </button>
+            ${streak > 0 && html`<span class="text-sm text-gray-500 dark:text-gray-400">${streak}-day streak</span>`}
+        </span>
+    `;
+}
+
+/**
+ * "Start" button for a tip with a set duration; handled by handlePracticeStart() in js/app.js.
+ * @param {Object} props
+ * @param {Object} props.tip Tip with durationMinutes.
+ */
+export function PracticeButton({ tip }) {
+    return html`
+        <button type="button" class="practice-start-btn px-3 py-1 rounded-full border-2 text-sm font-semibold transition duration-200"
+            style="border-color: var(--primary-color);" data-tip-id="${tip.id}" aria-label="Start the ${tip.durationMinutes}-minute practice: ${tip.title}">
+            &#9654; Start ${tip.durationMinutes} min
+        </button>
+    `;
+}
+
+/**
+ * "Custom" label for tips written in the app, linking to their editor.
+ * @param {Object} props
+ * @param {string} props.tipId Custom tip id.
+ */
+export function CustomBadge({ tipId }) {
+    return html`<a href="${buildHash('/my-tips', { edit: tipId })}" class="inline-block px-2 py-0.5 rounded-full text-xs font-semibold border-2 align-middle hover:underline" style="border-color: var(--primary-color);" title="Written by you. Edit this tip">Custom</a>`;
+}
+
+/**
+ * Tip in the tips list.
+ * @param {Object} props
+ * @param {Object} props.tip Tip from data/data.json.
+ * @param {boolean} props.isFav Whether the tip is saved.
+ * @param {Set<string>} [props.matchedWords] Search matches to highlight (see js/search.js).
+ * @param {boolean} [props.doneToday] Whether the tip has been checked in today.
+ * @param {number} [props.streak] Current streak in days.
+ */
+export function TipCard({ tip, isFav, matchedWords, doneToday = false, streak = 0 }) {
+    // highlightMatches() escapes its input, so its output is trusted markup.
+    const highlight = text => raw(highlightMatches(text, matchedWords));
+    const keywords = (tip.keywords || []).map(keyword => html`#${highlight(keyword)} `);
+
+    return html`
+        <article class="p-6 card rounded-xl shadow-lg space-y-3 border-l-8 border-primary-light dark:border-primary-dark hover:shadow-xl transition duration-300 animated-content">
+            <div class="flex justify-between items-start">
+                <h3 class="text-2xl font-heading text-primary-light dark:text-primary-dark"><a href="${buildHash(`/tips/${encodeURIComponent(tip.id)}`)}" class="hover:underline">${highlight(tip.title)}</a> ${tip.custom && CustomBadge({ tipId: tip.id })}</h3>
+                <div class="flex items-center space-x-3 ml-4">
+                    ${ShareButton({ id: tip.id, type: 'tip' })}
+                    ${HeartButton({ id: tip.id, type: 'tip', isFav })}
+                </div>
+            </div>
+            <p class="text-base">${highlight(tip.content)}</p>
+            ${keywords.length > 0 && html`<p class="text-sm text-gray-500 dark:text-gray-400">${keywords}</p>`}
+            <div class="flex flex-wrap items-center gap-3">
+                ${CheckIn({ tipId: tip.id, done: doneToday, streak })}
+                ${tip.durationMinutes > 0 && PracticeButton({ tip })}
+            </div>
+            <footer class="text-sm font-medium text-gray-500 dark:text-gray-400 pt-2 border-t border-gray-200 dark:border-gray-700">
+                Category: ${tip.category} | Source: ${highlight(tip.source)}
+            </footer>
+        </article>
+    `;
+}
+
+/**
+ * Video in the sidebar.
+ * @param {Object} props
+ * @param {{videoId: string, title: string, channelTitle: string}} props.video
+ * @param {boolean} props.isFav Whether the video is saved.
+ * @param {Object} [props.watch] Saved progress (see VideoFacade).
+ */
+export function VideoCard({ video, isFav, watch = null }) {
+    return html`
+        <div class="card rounded-xl shadow-md overflow-hidden border-b-4 border-gray-300 dark:border-gray-700 animated-content">
+            ${VideoFacade({ videoId: video.videoId, title: video.title, className: 'aspect-video', watch })}
+            <div class="p-4 space-y-2">
+                <h3 class="text-lg font-heading">${video.title}</h3>
+                <p class="text-sm text-gray-500 dark:text-gray-400">${video.channelTitle}</p>
+                ${HeartButton({ id: video.videoId, type: 'video', isFav, className: 'text-3xl float-right' })}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * @param {string} [savedAt] ISO timestamp; older saved items may not have one.
+ * @returns {string} e.g. 'Saved Mar 3, 2026', or 'Saved earlier'.
+ */
+export function formatSavedDate(savedAt) {
+    if (!savedAt) return 'Saved earlier';
+    return `Saved ${new Date(savedAt).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' })}`;
+}
+
+export default { HeartButton, updateHeartButtons, ShareButton, VideoFacade, activateVideoFacade, CheckIn, PracticeButton, CustomBadge, TipCard, VideoCard, formatSavedDate };
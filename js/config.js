@@ -0,0 +1,197 @@
+/**
+ * CONFIG MODULE (js/config.js)
+ * Runtime configuration for the YouTube video search (and the optional favorites
+ * sync endpoint), so the API key and search options can change without editing source.
+ * * * Sources, later ones win:
+ * 1. DEFAULT_SETTINGS below
+ * 2. settings.json next to index.html (optional; copy settings.example.json, it is git-ignored
+ *    so a key never lands in source control)
+ * 3. Values saved from the in-app Settings panel (localStorage)
+ */
+
+const SETTINGS_FILE_URL = './settings.json';
+const SETTINGS_STORAGE_KEY = 'wellness-hub-2025-settings';
+
+export const DEFAULT_SETTINGS = {
+    youtubeApiKey: '',
+    maxResults: 5,
+    videoDuration: 'short',      // any | short (<4 min) | medium (4-20 min) | long (>20 min)
+    regionCode: '',              // ISO 3166-1 alpha-2, e.g. "US"
+    relevanceLanguage: '',       // ISO 639-1, e.g. "en"
+    safeSearch: 'moderate',      // none | moderate | strict
+    creativeCommonsOnly: true,   // Only Creative Commons videos (more likely to be embeddable)
+    favoritesSyncUrl: ''         // Optional endpoint that receives favorite changes (see js/sync.js)
+};
+
+export const VIDEO_DURATIONS = ['any', 'short', 'medium', 'long'];
+export const SAFE_SEARCH_LEVELS = ['none', 'moderate', 'strict'];
+
+// YouTube Data API keys are 39 characters starting with "AIza".
+const API_KEY_PATTERN = /^AIza[0-9A-Za-z_-]{35}$/;
+
+let fileSettings = {};
+let settings = { ...DEFAULT_SETTINGS };
+const listeners = [];
+
+function readSavedSettings() {
+    try {
+        const data = localStorage.getItem(SETTINGS_STORAGE_KEY);
+        return data ? JSON.parse(data) : {};
+    } catch (e) {
+        console.error(`Error reading key ${SETTINGS_STORAGE_KEY}:`, e);
+        return {};
+    }
+}
+
+// Keeps only known setting names so stray keys in settings.json don't leak through.
+function pickKnown(source) {
+    return Object.fromEntries(Object.entries(source || {}).filter(([key]) => key in DEFAULT_SETTINGS));
+}
+
+/**
+ * Checks the shape of a YouTube API key (no network call).
+ * @param {string} key The API key.
+ * @returns {boolean}
+ */
+export function isValidApiKeyFormat(key) {
+    return API_KEY_PATTERN.test(String(key || '').trim());
+}
+
+/**
+ * Validates a full settings object.
+ * @param {Object} candidate Settings to check.
+ * @returns {{valid: boolean, errors: Object<string, string>}} Error messages keyed by setting name.
+ */
+export function validateSettings(candidate) {
+    const errors = {};
+
+    if (candidate.youtubeApiKey && !isValidApiKeyFormat(candidate.youtubeApiKey)) {
+        errors.youtubeApiKey = 'API keys are 39 characters long and start with "AIza".';
+    }
+    const maxResults = Number(candidate.maxResults);
+    if (!Number.isInteger(maxResults) || maxResults < 1 || maxResults > 50) {
+        errors.maxResults = 'Choose a whole number from 1 to 50.';
+    }
+    if (!VIDEO_DURATIONS.includes(candidate.videoDuration)) {
+        errors.videoDuration = `Use one of: ${VIDEO_DURATIONS.join(', ')}.`;
+    }
+    if (candidate.regionCode && !/^[A-Za-z]{2}$/.test(candidate.regionCode)) {
+        errors.regionCode = 'Use a two-letter country code such as "US" or "GB".';
+    }
+    if (candidate.relevanceLanguage && !/^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})?$/.test(candidate.relevanceLanguage)) {
+        errors.relevanceLanguage = 'Use a language code such as "en" or "pt-BR".';
+    }
+    if (!SAFE_SEARCH_LEVELS.includes(candidate.safeSearch)) {
+        errors.safeSearch = `Use one of: ${SAFE_SEARCH_LEVELS.join(', ')}.`;
+    }
+    if (candidate.favoritesSyncUrl && !/^https?:\/\/\S+$/.test(candidate.favoritesSyncUrl)) {
+        errors.favoritesSyncUrl = 'Use a full http:// or https:// address.';
+    }
+
+    return { valid: Object.keys(errors).length === 0, errors };
+}
+
+// Trims strings and coerces types coming from form fields or JSON.
+function normalise(candidate) {
+    return {
+        ...candidate,
+        youtubeApiKey: String(candidate.youtubeApiKey || '').trim(),
+        maxResults: Number(candidate.maxResults),
+        regionCode: String(candidate.regionCode || '').trim().toUpperCase(),
+        relevanceLanguage: String(candidate.relevanceLanguage || '').trim(),
+        creativeCommonsOnly: Boolean(candidate.creativeCommonsOnly),
+        favoritesSyncUrl: String(candidate.favoritesSyncUrl || '').trim()
+    };
+}
+
+function notify() {
+    listeners.forEach(listener => listener(getSettings()));
+}
+
+/**
+ * Loads settings.json (if present) and merges saved overrides. Call once at startup.
+ * @returns {Promise<Object>} The effective settings.
+ */
+export async function loadSettings() {
+    try {
+        const response = await fetch(SETTINGS_FILE_URL, { cache: 'no-cache' });
+        fileSettings = response.ok ? pickKnown(await response.json()) : {};
+    } catch (e) {
+        console.warn('No settings.json found; using defaults and saved settings only.');
+        fileSettings = {};
+    }
+
+    const merged = normalise({ ...DEFAULT_SETTINGS, ...fileSettings, ...pickKnown(readSavedSettings()) });
+    const { valid, errors } = validateSettings(merged);
+    if (!valid) {
+        console.error('Invalid settings; falling back to defaults for:', errors);
+        Object.keys(errors).forEach(key => { merged[key] = DEFAULT_SETTINGS[key]; });
+    }
+    settings = merged;
+    return getSettings();
+}
+
+/**
+ * @returns {Object} A copy of the effective settings.
+ */
+export function getSettings() {
+    return { ...settings };
+}
+
+/**
+ * Validates and saves settings entered in the Settings panel.
+ * @param {Object} changes Settings to change.
+ * @returns {{valid: boolean, errors: Object<string, string>}} Nothing is saved when invalid.
+ */
+export function saveSettings(changes) {
+    const candidate = normalise({ ...settings, ...pickKnown(changes) });
+    const result = validateSettings(candidate);
+    if (!result.valid) return result;
+
+    settings = candidate;
+    try {
+        localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    } catch (e) {
+        console.error(`Error writing key ${SETTINGS_STORAGE_KEY}:`, e);
+    }
+    notify();
+    return result;
+}
+
+/**
+ * Forgets saved overrides, returning to settings.json and the defaults.
+ */
+export function resetSettings() {
+    localStorage.removeItem(SETTINGS_STORAGE_KEY);
+    settings = normalise({ ...DEFAULT_SETTINGS, ...fileSettings });
+    notify();
+}
+
+/**
+ * Subscribes to settings changes.
+ * @param {function(Object): void} listener Called with the new settings.
+ */
+export function onSettingsChange(listener) {
+    listeners.push(listener);
+}
+
+/**
+ * Checks a key against the YouTube API with a cheap (1 quota unit) request.
+ * @param {string} key The API key to test.
+ * @returns {Promise<{ok: boolean, message: string}>}
+ */
+export async function verifyApiKey(key) {
+    if (!isValidApiKeyFormat(key)) {
+        return { ok: false, message: 'That does not look like a YouTube Data API key.' };
+    }
+    try {
+        const response = await fetch(`https://www.googleapis.com/youtube/v3/i18nRegions?part=snippet&hl=en&key=${encodeURIComponent(key.trim())}`);
+        if (response.ok) return { ok: true, message: 'Key accepted by YouTube.' };
+        const data = await response.json().catch(() => ({}));
+        return { ok: false, message: data.error?.message || `YouTube rejected the key (status ${response.status}).` };
+    } catch (e) {
+        return { ok: false, message: 'Could not reach YouTube to test the key. Check your connection.' };
+    }
+}
+
+export default { loadSettings, getSettings, saveSettings, resetSettings, onSettingsChange, validateSettings, isValidApiKeyFormat, verifyApiKey, DEFAULT_SETTINGS };
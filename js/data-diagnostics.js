@@ -0,0 +1,96 @@
+/**
+ * DATA DIAGNOSTICS MODULE (js/data-diagnostics.js)
+ * Shows what validateTipsData() (js/schema.js) found wrong with data/data.json: a short note
+ * above the tips list while entries are being skipped, and a table of every problem in Settings.
+ * The diagnostics passed in are { total, loaded, issues }, or null until data.json has been read.
+ * Saved custom tips that failed validateCustomTips() are shown the same way, with the
+ * localStorage key (backupKey) where the saved list was copied before they were left out.
+ */
+import { buildHash } from './router.js';
+import { html, setHtml } from './render.js';
+
+/**
+ * @param {{entry: number|null, id: string, field: string|null, message: string}} issue From validateTipsData().
+ * @returns {string} e.g. 'Entry 3 (id "tip-3"): title is missing'.
+ */
+export function describeDataIssue({ entry, id, field, message }) {
+    const where = entry === null ? 'data.json' : `Entry ${entry}${id ? ` (id "${id}")` : ''}`;
+    return `${where}: ${field ? `${field} ` : ''}${message}`;
+}
+
+/**
+ * Shows the Tips page note when data.json or the saved custom tips had problems, and hides it otherwise.
+ * @param {HTMLElement} container #tips-data-notice.
+ * @param {Object|null} diagnostics
+ * @param {Object|null} [customDiagnostics] From checking the saved custom tips.
+ */
+export function renderTipsDataNotice(container, diagnostics, customDiagnostics = null) {
+    if (!diagnostics) return;
+
+    const skipped = diagnostics.total - diagnostics.loaded;
+    const skippedCustom = customDiagnostics ? customDiagnostics.total - customDiagnostics.loaded : 0;
+    const hasIssues = diagnostics.issues.length > 0 || skippedCustom > 0;
+    container.classList.toggle('hidden', !hasIssues);
+    if (!hasIssues) return;
+    setHtml(container, html`
+        ${diagnostics.issues.length > 0 && (skipped > 0
+            ? `Skipped ${skipped} ${skipped === 1 ? 'entry' : 'entries'} in data/data.json that ${skipped === 1 ? "doesn't" : "don't"} match the tip format.`
+            : 'The tips file data/data.json could not be read.')}
+        ${skippedCustom > 0 && `Left out ${skippedCustom} saved custom tip${skippedCustom === 1 ? " that doesn't" : "s that don't"} match the tip format.`}
+        <a href="${buildHash('/settings')}" class="font-semibold underline">See the diagnostics</a>
+    `);
+}
+
+function renderIssueTable(issues) {
+    const cellClass = 'py-2 pr-4 align-top';
+    return html`
+        <div class="overflow-x-auto">
+            <table class="w-full text-sm text-left">
+                <thead class="border-b border-gray-200 dark:border-gray-700">
+                    <tr><th class="${cellClass}">Entry</th><th class="${cellClass}">Id</th><th class="${cellClass}">Field</th><th class="${cellClass}">Problem</th></tr>
+                </thead>
+                <tbody>
+                    ${issues.map(issue => html`
+                        <tr class="border-b border-gray-200 dark:border-gray-700">
+                            <td class="${cellClass}">${issue.entry ?? 'File'}</td>
+                            <td class="${cellClass} font-mono">${issue.id || '-'}</td>
+                            <td class="${cellClass} font-mono">${issue.field || '-'}</td>
+                            <td class="${cellClass}">${issue.message}</td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Fills the Settings panel with how many tips loaded and a row per problem.
+ * @param {HTMLElement} container #data-diagnostics.
+ * @param {Object|null} diagnostics
+ * @param {Object|null} [customDiagnostics] From checking the saved custom tips; listed only when some were left out.
+ */
+export function renderDataDiagnostics(container, diagnostics, customDiagnostics = null) {
+    if (!diagnostics) return;
+
+    const { total, loaded, issues } = diagnostics;
+    const custom = customDiagnostics && customDiagnostics.issues.length > 0 ? customDiagnostics : null;
+    setHtml(container, html`
+        <p class="${issues.length > 0 ? 'text-red-500 font-semibold' : ''}">
+            ${loaded} of ${total} tip${total === 1 ? '' : 's'} in data/data.json loaded${issues.length > 0 ? `; ${issues.length} problem${issues.length === 1 ? '' : 's'} found.` : '. No problems found.'}
+        </p>
+        ${issues.length > 0 && html`
+            ${renderIssueTable(issues)}
+            <p class="text-sm text-gray-500 dark:text-gray-400">Entries with problems are left out of the app until the file is fixed. Valid entries still load.</p>
+        `}
+        ${custom && html`
+            <p class="text-red-500 font-semibold">
+                ${custom.loaded} of ${custom.total} saved custom tip${custom.total === 1 ? '' : 's'} loaded; ${custom.issues.length} problem${custom.issues.length === 1 ? '' : 's'} found.
+            </p>
+            ${renderIssueTable(custom.issues)}
+            <p class="text-sm text-gray-500 dark:text-gray-400">These tips were removed from My Tips. The list as it was saved is kept in this browser's localStorage under "${custom.backupKey}".</p>
+        `}
+    `);
+}
+
+export default { describeDataIssue, renderTipsDataNotice, renderDataDiagnostics };
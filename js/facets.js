@@ -0,0 +1,153 @@
+/**
+ * FACETS MODULE (js/facets.js)
+ * Builds tip filters from the data itself and applies them, so new categories,
+ * difficulty levels or durations in data/data.json show up without editing the HTML.
+ * * * Facets:
+ * 1. category      -> every category present, with counts
+ * 2. difficulty    -> every difficulty present (Easy/Medium/Hard first), with counts
+ * 3. duration      -> fixed ranges over durationMinutes, with counts
+ * 4. trending      -> isTrending only
+ * Sort options: relevance (search order), newest, shortest (untimed tips last), trending first.
+ */
+
+// Friendlier labels for category values stored in data.json.
+const CATEGORY_LABELS = {
+    Growth: 'Personal Growth'
+};
+
+const DIFFICULTY_ORDER = ['Easy', 'Medium', 'Hard'];
+
+export const DURATION_RANGES = [
+    { value: 'anytime', label: 'No set time', test: minutes => !minutes },
+    { value: 'under-5', label: 'Under 5 minutes', test: minutes => minutes > 0 && minutes < 5 },
+    { value: '5-15', label: '5 to 15 minutes', test: minutes => minutes >= 5 && minutes <= 15 },
+    { value: 'over-15', label: 'Over 15 minutes', test: minutes => minutes > 15 }
+];
+
+export const SORT_OPTIONS = [
+    { value: 'relevance', label: 'Best match' },
+    { value: 'newest', label: 'Newest' },
+    { value: 'shortest', label: 'Shortest' },
+    { value: 'trending', label: 'Trending first' }
+];
+
+export const DEFAULT_FILTERS = {
+    category: 'all',
+    difficulty: 'all',
+    duration: 'all',
+    trending: false,
+    sort: 'relevance'
+};
+
+export function getCategoryLabel(category) {
+    return CATEGORY_LABELS[category] || category;
+}
+
+// Each facet test, keyed by filter name, ignoring 'all'/false values.
+const FACET_TESTS = {
+    category: (tip, value) => tip.category === value,
+    difficulty: (tip, value) => tip.difficulty === value,
+    duration: (tip, value) => {
+        const range = DURATION_RANGES.find(r => r.value === value);
+        return range ? range.test(Number(tip.durationMinutes) || 0) : true;
+    },
+    trending: (tip, value) => !value || tip.isTrending === true
+};
+
+function matchesFacets(tip, filters, skipFacet = null) {
+    return Object.entries(FACET_TESTS).every(([facet, test]) => {
+        if (facet === skipFacet) return true;
+        const value = filters[facet];
+        if (value === undefined || value === 'all' || value === false) return true;
+        return test(tip, value);
+    });
+}
+
+/**
+ * Keeps only items whose tip matches every active facet.
+ * @param {Array<Object>} items Items to filter.
+ * @param {Object} filters Filter values (see DEFAULT_FILTERS).
+ * @param {function(Object): Object} [getTip] Extracts the tip from an item (defaults to the item itself).
+ * @returns {Array<Object>} The matching items, order preserved.
+ */
+export function applyFacets(items, filters, getTip = item => item) {
+    return items.filter(item => matchesFacets(getTip(item), filters));
+}
+
+function countBy(tips, keyFn) {
+    const counts = new Map();
+    tips.forEach(tip => {
+        const key = keyFn(tip);
+        if (key) counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    return counts;
+}
+
+/**
+ * Builds facet options with counts. Each facet is counted against the tips that match
+ * all the *other* active facets, so the counts always show what choosing an option would yield.
+ * @param {Array<Object>} tips Tips to count (typically already narrowed by the search box).
+ * @param {Object} filters Current filter values.
+ * @returns {{categories: Array, difficulties: Array, durations: Array, trendingCount: number, total: number}}
+ */
+export function buildFacets(tips, filters) {
+    const forFacet = facet => tips.filter(tip => matchesFacets(tip, filters, facet));
+
+    const categoryTips = forFacet('category');
+    const categories = [...countBy(categoryTips, tip => tip.category)]
+        .sort(([a], [b]) => getCategoryLabel(a).localeCompare(getCategoryLabel(b)))
+        .map(([value, count]) => ({ value, label: getCategoryLabel(value), count }));
+
+    const difficultyCounts = countBy(forFacet('difficulty'), tip => tip.difficulty);
+    const rank = value => {
+        const index = DIFFICULTY_ORDER.indexOf(value);
+        return index === -1 ? DIFFICULTY_ORDER.length : index;
+    };
+    const difficulties = [...difficultyCounts]
+        .sort(([a], [b]) => rank(a) - rank(b) || a.localeCompare(b))
+        .map(([value, count]) => ({ value, label: value, count }));
+
+    const durationTips = forFacet('duration');
+    const durations = DURATION_RANGES.map(({ value, label, test }) => ({
+        value,
+        label,
+        count: durationTips.filter(tip => test(Number(tip.durationMinutes) || 0)).length
+    }));
+
+    return {
+        categories,
+        difficulties,
+        durations,
+        trendingCount: forFacet('trending').filter(tip => tip.isTrending === true).length,
+        total: categoryTips.length
+    };
+}
+
+/**
+ * Sorts tips for display. 'relevance' keeps the incoming (search-ranked) order.
+ * @param {Array<Object>} items Items to sort.
+ * @param {string} sort One of SORT_OPTIONS values.
+ * @param {function(Object): Object} [getTip] Extracts the tip from an item (defaults to the item itself).
+ * @returns {Array<Object>} A new, sorted array.
+ */
+export function sortTips(items, sort, getTip = item => item) {
+    const indexed = items.map((item, position) => ({ item, tip: getTip(item), position }));
+    const byDate = tip => Date.parse(tip.publishedDate) || 0;
+    // Untimed ("No set time") tips have no length to compare, so they go after every timed one.
+    const byLength = tip => Number(tip.durationMinutes) || Infinity;
+
+    const comparators = {
+        newest: (a, b) => byDate(b.tip) - byDate(a.tip),
+        shortest: (a, b) => (byLength(a.tip) === byLength(b.tip) ? 0 : byLength(a.tip) - byLength(b.tip)),
+        trending: (a, b) => Number(b.tip.isTrending === true) - Number(a.tip.isTrending === true)
+    };
+    const compare = comparators[sort];
+    if (!compare) return items.slice();
+
+    // Ties keep the incoming order so trending/shortest still respect search relevance.
+    return indexed
+        .sort((a, b) => compare(a, b) || a.position - b.position)
+        .map(({ item }) => item);
+}
+
+export default { applyFacets, buildFacets, sortTips, getCategoryLabel, DURATION_RANGES, SORT_OPTIONS, DEFAULT_FILTERS };
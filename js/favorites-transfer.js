@@ -0,0 +1,84 @@
+/**
+ * FAVORITES TRANSFER MODULE (js/favorites-transfer.js)
+ * Wires the backup card on the Favorites page (#favorites-transfer in index.html) to the
+ * formats and merge rules in js/transfer.js.
+ * * * Controls:
+ * 1. Format + Export      -> downloads every favorite as JSON, CSV or Markdown
+ * 2. File + On conflict   -> imports a JSON or CSV backup, merged by id
+ * The status line says what was added, updated and skipped, and names the first few
+ * invalid items so the file can be fixed.
+ */
+import { exportFavorites, parseFavoritesFile, mergeFavorites, EXPORT_FORMATS, CONFLICT_STRATEGIES } from './transfer.js';
+import { downloadBlob } from './share.js';
+import { html, setHtml } from './render.js';
+
+// Names the first few rejected items so the user can fix the file.
+function describeInvalidItems(invalid) {
+    if (invalid.length === 0) return '';
+    const details = invalid.slice(0, 3).map(({ row, id, error }) => `item ${row}${id ? ` "${id}"` : ''}: ${error}`);
+    if (invalid.length > 3) details.push('...');
+    return ` ${invalid.length} invalid item${invalid.length === 1 ? ' was' : 's were'} ignored (${details.join('; ')}).`;
+}
+
+/**
+ * Wires up the backup card.
+ * @param {Object} options
+ * @param {HTMLElement} options.root The card (#favorites-transfer).
+ * @param {function(): Array<Object>} options.getFavorites Saved favorites.
+ * @param {function({favorites: Array<Object>, added: Array<Object>, updated: Array<Object>}): void} options.onImport
+ *   Called with the merged favorites and the items that changed, so they can be saved and synced.
+ */
+export function setupFavoritesTransfer({ root, getFavorites, onImport }) {
+    const ui = {
+        format: root.querySelector('#favorites-export-format'),
+        exportButton: root.querySelector('#favorites-export'),
+        file: root.querySelector('#favorites-import-file'),
+        conflict: root.querySelector('#favorites-import-conflict'),
+        status: root.querySelector('#favorites-transfer-status')
+    };
+
+    function setStatus(message, isError = false) {
+        ui.status.textContent = message;
+        ui.status.classList.toggle('text-red-500', isError);
+    }
+
+    // Offers the favorites as a file download in the chosen format.
+    function handleExport() {
+        const favorites = getFavorites();
+        if (favorites.length === 0) {
+            setStatus('There are no favorites to export yet.', true);
+            return;
+        }
+
+        const { filename, mimeType, content } = exportFavorites(favorites, ui.format.value);
+        downloadBlob(new Blob([content], { type: `${mimeType};charset=utf-8` }), filename);
+        setStatus(`Exported ${favorites.length} favorite${favorites.length === 1 ? '' : 's'} to ${filename}.`);
+    }
+
+    // Validates the chosen file, merges it by id and reports what changed.
+    async function handleImport() {
+        const file = ui.file.files[0];
+        if (!file) return;
+        // Clear the input so choosing the same file again still fires "change".
+        ui.file.value = '';
+
+        let parsed;
+        try {
+            parsed = parseFavoritesFile(await file.text(), file.name);
+        } catch (e) {
+            setStatus(`Could not import ${file.name}: ${e.message}`, true);
+            return;
+        }
+
+        const { favorites, added, updated, skipped } = mergeFavorites(getFavorites(), parsed.items, ui.conflict.value);
+        onImport({ favorites, added, updated });
+        setStatus(`Imported ${file.name}: ${added.length} added, ${updated.length} updated, ${skipped.length} skipped.${describeInvalidItems(parsed.invalid)}`, parsed.items.length === 0);
+    }
+
+    setHtml(ui.format, Object.entries(EXPORT_FORMATS).map(([value, { label }]) => html`<option value="${value}">${label}</option>`));
+    setHtml(ui.conflict, Object.entries(CONFLICT_STRATEGIES).map(([value, label]) => html`<option value="${value}">${label}</option>`));
+    ui.exportButton.addEventListener('click', handleExport);
+    ui.file.addEventListener('change', handleImport);
+}
+
+export default { setupFavoritesTransfer };
@@ -0,0 +1,131 @@
+/**
+ * HABITS MODULE (js/habits.js)
+ * "Done today" check-ins for tips, streaks and the calendar heatmap data.
+ * Check-ins are plain records, { tipId, date: 'YYYY-MM-DD' (local day), at: ISO time },
+ * stored by js/app.js next to favorites.
+ * * * Streaks:
+ * 1. Per tip   -> consecutive days that tip was done
+ * 2. Overall   -> consecutive days with at least one practice
+ * A streak stays alive until the day is over, so it counts back from yesterday
+ * when nothing has been done yet today.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const HEATMAP_WEEKS = 17; // About four months
+
+// Date keys are calendar days, so the arithmetic is done in UTC where every day is 24 hours.
+function toDayNumber(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return Date.UTC(year, month - 1, day) / DAY_MS;
+}
+
+function fromDayNumber(dayNumber) {
+    return new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * The local calendar day, the key check-ins are stored under (toISOString() would use UTC and
+ * put late-evening practice on the next day).
+ * @param {Date} [date=new Date()]
+ * @returns {string} 'YYYY-MM-DD'.
+ */
+export function getLocalDateKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * @param {string} dateKey 'YYYY-MM-DD'.
+ * @param {number} days Days to add (negative to go back).
+ * @returns {string} The shifted 'YYYY-MM-DD'.
+ */
+export function addDays(dateKey, days) {
+    return fromDayNumber(toDayNumber(dateKey) + days);
+}
+
+/**
+ * @param {Array<Object>} checkIns All check-ins.
+ * @param {string} tipId Tip id.
+ * @param {string} date 'YYYY-MM-DD'.
+ * @returns {boolean} Whether the tip was done that day.
+ */
+export function isDone(checkIns, tipId, date) {
+    return checkIns.some(checkIn => checkIn.tipId === tipId && checkIn.date === date);
+}
+
+/**
+ * Records a tip as done on a day, or undoes it if it already was.
+ * @returns {{checkIns: Array<Object>, done: boolean}} The new list and the tip's new state.
+ */
+export function toggleCheckIn(checkIns, tipId, date) {
+    if (isDone(checkIns, tipId, date)) {
+        return { checkIns: checkIns.filter(checkIn => !(checkIn.tipId === tipId && checkIn.date === date)), done: false };
+    }
+    return { checkIns: [...checkIns, { tipId, date, at: new Date().toISOString() }], done: true };
+}
+
+function countStreak(dates, today) {
+    let day = dates.has(today) ? today : addDays(today, -1);
+    let count = 0;
+    while (dates.has(day)) {
+        count++;
+        day = addDays(day, -1);
+    }
+    return count;
+}
+
+/**
+ * @returns {number} Current streak in days for one tip.
+ */
+export function getTipStreak(checkIns, tipId, today) {
+    return countStreak(new Set(checkIns.filter(checkIn => checkIn.tipId === tipId).map(checkIn => checkIn.date)), today);
+}
+
+/**
+ * @returns {number} Current streak in days with any practice.
+ */
+export function getOverallStreak(checkIns, today) {
+    return countStreak(new Set(checkIns.map(checkIn => checkIn.date)), today);
+}
+
+/**
+ * @returns {number} Longest run of consecutive days with any practice.
+ */
+export function getLongestStreak(checkIns) {
+    const days = [...new Set(checkIns.map(checkIn => toDayNumber(checkIn.date)))].sort((a, b) => a - b);
+    let longest = 0;
+    let run = 0;
+    days.forEach((day, i) => {
+        run = i > 0 && day === days[i - 1] + 1 ? run + 1 : 1;
+        longest = Math.max(longest, run);
+    });
+    return longest;
+}
+
+/**
+ * Builds a GitHub-style calendar: one column per week (Sunday first), ending with this week.
+ * @param {Array<Object>} checkIns All check-ins.
+ * @param {string} today 'YYYY-MM-DD'.
+ * @param {number} [weeks=HEATMAP_WEEKS] Columns to show.
+ * @returns {Array<Array<{date: string, count: number, level: number}|null>>}
+ *   Weeks of 7 days; days after today are null. level is 0 (none) to 4 (4+ practices).
+ */
+export function buildHeatmap(checkIns, today, weeks = HEATMAP_WEEKS) {
+    const counts = new Map();
+    checkIns.forEach(checkIn => counts.set(checkIn.date, (counts.get(checkIn.date) || 0) + 1));
+
+    const todayNumber = toDayNumber(today);
+    const weekday = new Date(todayNumber * DAY_MS).getUTCDay();
+    const start = todayNumber - weekday - (weeks - 1) * 7;
+
+    return Array.from({ length: weeks }, (_, week) => Array.from({ length: 7 }, (_, day) => {
+        const dayNumber = start + week * 7 + day;
+        if (dayNumber > todayNumber) return null;
+        const date = fromDayNumber(dayNumber);
+        const count = counts.get(date) || 0;
+        return { date, count, level: Math.min(count, 4) };
+    }));
+}
+
+export default { getLocalDateKey, addDays, isDone, toggleCheckIn, getTipStreak, getOverallStreak, getLongestStreak, buildHeatmap, HEATMAP_WEEKS };
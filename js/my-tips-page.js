@@ -0,0 +1,144 @@
+/**
+ * MY TIPS PAGE MODULE (js/my-tips-page.js)
+ * Renders #/my-tips (#my-tips-section in index.html): an editor that starts blank, or filled in
+ * for #/my-tips?edit=ID, above the list of tips the user has written. Field checks and ids come
+ * from js/authoring.js; merging the saved tips into the rest of the app is left to the caller.
+ */
+import { saveCustomTip, parseKeywords, TIP_DIFFICULTIES } from './authoring.js';
+import { getLocalDateKey } from './habits.js';
+import { getCategoryLabel } from './facets.js';
+import { buildHash, navigate } from './router.js';
+import { html, setHtml, renderKeyed } from './render.js';
+import { formatSavedDate } from './components.js';
+
+/**
+ * Wires up the My Tips page.
+ * @param {Object} options
+ * @param {HTMLElement} options.root The view (#my-tips-section).
+ * @param {Array<Object>} options.tips Saved custom tips.
+ * @param {function(): Array<string>} options.getCategories Categories suggested in the editor.
+ * @param {function(Array<Object>): void} options.onChange Called with the custom tips after every save or delete.
+ * @param {function(Object): void} options.onSave Called with a tip after it is added or edited.
+ * @returns {{render: function(string|null): void}} render() takes the id of the tip being edited (null for a new tip).
+ */
+export function createMyTipsPage({ root, tips: initialTips, getCategories, onChange, onSave }) {
+    const ui = {
+        form: root.querySelector('#tip-editor-form'),
+        heading: root.querySelector('#tip-editor-heading'),
+        cancel: root.querySelector('#tip-editor-cancel'),
+        status: root.querySelector('#tip-editor-status'),
+        categoryOptions: root.querySelector('#tip-category-options'),
+        list: root.querySelector('#my-tips-list')
+    };
+    let tips = initialTips;
+    let editingId = null; // From the last render()
+
+    function setStatus(message, isError = false) {
+        ui.status.textContent = message;
+        ui.status.classList.toggle('text-red-500', isError);
+    }
+
+    function showErrors(errors) {
+        ui.form.querySelectorAll('.tip-editor-error').forEach(el => {
+            el.textContent = errors[el.dataset.field] || '';
+        });
+    }
+
+    function setTips(updated) {
+        tips = updated;
+        onChange(tips);
+    }
+
+    // Fills the editor with the tip being edited, or blank values for a new tip.
+    function renderEditor() {
+        const form = ui.form.elements;
+        const tip = tips.find(t => t.id === editingId);
+        if (editingId && !tip) setStatus(`We couldn't find the custom tip "${editingId}". It may have been deleted.`, true);
+
+        setHtml(ui.categoryOptions, getCategories().map(category => html`<option value="${category}"></option>`));
+
+        form.title.value = tip ? tip.title : '';
+        form.content.value = tip ? tip.content : '';
+        form.category.value = tip ? tip.category : '';
+        form.difficulty.value = tip ? tip.difficulty : TIP_DIFFICULTIES[0];
+        form.durationMinutes.value = tip ? tip.durationMinutes : 5;
+        form.keywords.value = tip ? tip.keywords.join(', ') : '';
+        form.source.value = tip ? tip.source : '';
+        form.publishedDate.value = tip ? tip.publishedDate : getLocalDateKey();
+
+        ui.heading.textContent = tip ? `Edit "${tip.title}"` : 'Write a Tip';
+        ui.cancel.classList.toggle('hidden', !tip);
+        showErrors({});
+    }
+
+    function renderList() {
+        renderKeyed(ui.list, tips, {
+            key: tip => tip.id,
+            render: tip => html`
+                <div class="card rounded-xl shadow p-4 flex flex-col sm:flex-row sm:items-center justify-between space-y-3 sm:space-y-0 sm:space-x-4 ${tip.id === editingId && 'border-l-8 border-primary-light dark:border-primary-dark'}">
+                    <div>
+                        <p class="font-heading text-lg"><a href="${buildHash(`/tips/${encodeURIComponent(tip.id)}`)}" class="hover:underline">${tip.title}</a></p>
+                        <p class="text-sm text-gray-500 dark:text-gray-400">${getCategoryLabel(tip.category)} | ${tip.difficulty} | ${tip.durationMinutes ? `${tip.durationMinutes} min` : 'Anytime'} | ${formatSavedDate(tip.updatedAt)}</p>
+                    </div>
+                    <div class="flex space-x-2">
+                        <a href="${buildHash('/my-tips', { edit: tip.id })}" class="px-3 py-1 rounded-lg border-2 font-semibold" style="border-color: var(--primary-color);">Edit</a>
+                        <button type="button" class="px-3 py-1 rounded-lg border-2 font-semibold text-red-500 border-red-500" data-delete-tip="${tip.id}">Delete</button>
+                    </div>
+                </div>
+            `,
+            empty: html`<p class="text-gray-500 dark:text-gray-400">You haven't written any tips yet. Custom tips appear in search, filters, the planner and favorites alongside the built-in ones.</p>`
+        });
+    }
+
+    function render(id) {
+        editingId = id;
+        renderEditor();
+        renderList();
+    }
+
+    function handleSubmit(event) {
+        event.preventDefault();
+        const form = ui.form.elements;
+        const fields = Object.fromEntries(['title', 'content', 'category', 'difficulty', 'durationMinutes', 'source', 'publishedDate']
+            .map(name => [name, form[name].value]));
+        const { customTips: updated, tip, errors } = saveCustomTip(tips, { ...fields, keywords: parseKeywords(form.keywords.value) }, editingId);
+        showErrors(errors);
+        if (!tip) {
+            setStatus('Please fix the highlighted fields.', true);
+            return;
+        }
+
+        setTips(updated);
+        onSave(tip);
+
+        const wasEditing = Boolean(editingId);
+        if (wasEditing) {
+            navigate(buildHash('/my-tips'));
+        } else {
+            render(editingId);
+        }
+        setStatus(wasEditing ? `Saved changes to "${tip.title}".` : `Added "${tip.title}". It now appears with the other tips.`);
+    }
+
+    function handleDelete(event) {
+        const button = event.target.closest('[data-delete-tip]');
+        if (!button) return;
+
+        const id = button.dataset.deleteTip;
+        setTips(tips.filter(tip => tip.id !== id));
+        setStatus('Tip deleted. Saved favorites of it are kept.');
+        if (id === editingId) {
+            navigate(buildHash('/my-tips'));
+        } else {
+            renderList();
+        }
+    }
+
+    setHtml(ui.form.elements.difficulty, TIP_DIFFICULTIES.map(difficulty => html`<option value="${difficulty}">${difficulty}</option>`));
+    ui.form.addEventListener('submit', handleSubmit);
+    ui.list.addEventListener('click', handleDelete);
+
+    return { render };
+}
+
+export default { createMyTipsPage };
@@ -0,0 +1,152 @@
+/**
+ * PLAN EXPORT MODULE (js/plan-export.js)
+ * The "Add to Calendar or Print" card shown under the routine on #/plan (#plan-export-form in
+ * index.html). The checked practices can be downloaded as weekly recurring .ics events or laid
+ * out in #print-view for printing; the days and start time used are passed to onOptionsChange()
+ * so they can be saved. Scheduling and the .ics format are in js/calendar.js.
+ */
+import { validateCalendarOptions, scheduleItems, buildCalendar, WEEKDAYS } from './calendar.js';
+import { getCategoryLabel } from './facets.js';
+import { downloadBlob } from './share.js';
+import { html, setHtml } from './render.js';
+
+/**
+ * Wires up the export card.
+ * @param {Object} options
+ * @param {HTMLFormElement} options.root The card (#plan-export-form).
+ * @param {HTMLElement} options.printView Where the printed plan is laid out (#print-view).
+ * @param {{days: Array<string>, time: string}} options.options Saved weekdays and start time.
+ * @param {string} options.startDate 'YYYY-MM-DD' shown until the user picks another day.
+ * @param {function(Object): Object} options.getItemDetails Adds content, source, description and url to a
+ *   routine item, for the events and the printout.
+ * @param {function({days: Array<string>, time: string}): void} options.onOptionsChange Called with the
+ *   schedule each time it is used, so it can be saved.
+ * @returns {{render: function(Object|null): void}} render() takes the current routine (null for none).
+ */
+export function createPlanExport({ root, printView, options: initialOptions, startDate, getItemDetails, onOptionsChange }) {
+    const ui = {
+        items: root.querySelector('#plan-export-items'),
+        days: root.querySelector('#plan-export-days'),
+        status: root.querySelector('#plan-export-status'),
+        print: root.querySelector('#plan-print')
+    };
+    let routine = null; // The routine the card was last rendered for
+
+    function setStatus(message, isError = false) {
+        ui.status.textContent = message;
+        ui.status.classList.toggle('text-red-500', isError);
+    }
+
+    // Offered once the routine has something in it. A new or loaded routine starts with every item
+    // checked; moves, swaps and removals keep the user's unchecked items and message.
+    function render(current) {
+        const items = current ? current.items : [];
+        const sameRoutine = current === routine;
+        const unchecked = new Set(sameRoutine
+            ? [...ui.items.querySelectorAll('input[name="items"]:not(:checked)')].map(input => input.value)
+            : []);
+        if (!sameRoutine) setStatus('');
+        routine = current;
+
+        root.classList.toggle('hidden', items.length === 0);
+        setHtml(ui.items, items.map(item => html`
+            <label class="inline-flex items-center space-x-2 cursor-pointer">
+                <input type="checkbox" name="items" value="${item.kind}:${item.id}" class="w-4 h-4 accent-green-600" ${!unchecked.has(`${item.kind}:${item.id}`) && 'checked'}>
+                <span>${item.title}</span>
+            </label>
+        `));
+    }
+
+    // The checked items and schedule, or null (with the problem shown) when incomplete.
+    function read() {
+        const schedule = {
+            days: [...root.querySelectorAll('input[name="days"]:checked')].map(input => input.value),
+            time: root.elements.time.value,
+            startDate: root.elements.startDate.value
+        };
+        const checked = [...root.querySelectorAll('input[name="items"]:checked')].map(input => input.value);
+        const items = routine.items.filter(item => checked.includes(`${item.kind}:${item.id}`)).map(getItemDetails);
+
+        const errors = validateCalendarOptions(schedule);
+        if (items.length === 0) errors.items = 'Choose at least one practice.';
+        if (Object.keys(errors).length > 0) {
+            setStatus(Object.values(errors).join(' '), true);
+            return null;
+        }
+
+        onOptionsChange({ days: schedule.days, time: schedule.time });
+        return { items, options: schedule };
+    }
+
+    // Fills the print view with the plan: when each practice starts and the full text of each tip.
+    function renderPrintView({ items, options }) {
+        const events = scheduleItems(items, options);
+        const formatTime = date => date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const days = WEEKDAYS.filter(day => options.days.includes(day.code)).map(day => day.label);
+        const totalMinutes = events.reduce((total, event) => total + event.minutes, 0);
+
+        setHtml(printView, html`
+            <h1 class="text-3xl font-heading">My Practice Plan</h1>
+            <p class="font-semibold">
+                ${days.length === 7 ? 'Every day' : days.join(', ')} from ${formatTime(events[0].start)}, starting
+                ${events[0].start.toLocaleDateString([], { weekday: 'long', month: 'long', day: 'numeric' })} | ${totalMinutes} minutes
+            </p>
+            <ol class="space-y-4">
+                ${items.map((item, index) => {
+                    const { start, minutes } = events[index];
+                    const details = [item.minutes ? `${item.minutes} min` : 'Anytime', item.kind === 'video' ? 'Video' : getCategoryLabel(item.category), item.difficulty];
+                    return html`
+                        <li class="card rounded-xl p-4 space-y-2">
+                            <p class="text-sm font-semibold">${formatTime(start)} - ${formatTime(new Date(start.getTime() + minutes * 60 * 1000))}</p>
+                            <h2 class="text-xl font-heading">${item.title}</h2>
+                            <p class="text-sm text-gray-500">${details.filter(Boolean).join(' | ')}</p>
+                            ${item.content && html`<p class="leading-relaxed">${item.content}</p>`}
+                            ${item.source && html`<p class="text-sm text-gray-500">Source: ${item.source}</p>`}
+                            ${item.kind === 'video' && html`<p class="text-sm break-all">${item.url}</p>`}
+                        </li>
+                    `;
+                })}
+            </ol>
+            <p class="text-sm text-gray-500">Printed from Wellness Hub on ${new Date().toLocaleDateString()}</p>
+        `);
+    }
+
+    // "Download .ics": the checked items as weekly recurring events.
+    function handleDownload(event) {
+        event.preventDefault();
+        const plan = read();
+        if (!plan) return;
+
+        const events = scheduleItems(plan.items, plan.options);
+        const content = buildCalendar(events, { name: 'Wellness Hub practice plan' });
+        downloadBlob(new Blob([content], { type: 'text/calendar;charset=utf-8' }), `wellness-plan-${plan.options.startDate}.ics`);
+        setStatus(`Downloaded ${events.length} event${events.length === 1 ? '' : 's'}. Open the file to add them to your calendar.`);
+    }
+
+    // "Print plan": only the print view is printed while body.print-plan is set (removed on afterprint).
+    function handlePrint() {
+        const plan = read();
+        if (!plan) return;
+
+        renderPrintView(plan);
+        document.body.classList.add('print-plan');
+        window.print();
+    }
+
+    setHtml(ui.days, WEEKDAYS.map(day => html`
+        <label class="inline-flex items-center space-x-2 cursor-pointer">
+            <input type="checkbox" name="days" value="${day.code}" class="w-4 h-4 accent-green-600" ${initialOptions.days.includes(day.code) && 'checked'}>
+            <span>${day.label}</span>
+        </label>
+    `));
+    root.elements.time.value = initialOptions.time;
+    root.elements.startDate.value = startDate;
+
+    root.addEventListener('submit', handleDownload);
+    ui.print.addEventListener('click', handlePrint);
+    window.addEventListener('afterprint', () => document.body.classList.remove('print-plan'));
+
+    return { render };
+}
+
+export default { createPlanExport };
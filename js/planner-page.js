@@ -0,0 +1,224 @@
+/**
+ * PLANNER PAGE MODULE (js/planner-page.js)
+ * Renders "Plan My Day" (#plan-section in index.html) and handles its form, the routine being
+ * edited and the saved routines list. Choosing items for the time budget, moving and swapping
+ * them is done by js/planner.js; storing the form choices and saved routines is left to the caller.
+ */
+import { getTotalMinutes, buildRoutine, getSwapOptions, moveItem, BUDGET_LIMITS } from './planner.js';
+import { getCategoryLabel } from './facets.js';
+import { buildHash } from './router.js';
+import { html, setHtml, renderKeyed } from './render.js';
+import { formatSavedDate } from './components.js';
+
+/**
+ * Wires up the planner page.
+ * @param {Object} options
+ * @param {HTMLElement} options.root The view (#plan-section).
+ * @param {{budget: number, categories: Array<string>, includeVideos: boolean}} options.options Saved form choices.
+ * @param {Array<Object>} options.routines Saved routines, newest first.
+ * @param {function(Object): Array<Object>} options.getCandidates Tips and videos that can go in a routine with
+ *   the given categories and includeVideos (see getPlanCandidates() in js/planner.js).
+ * @param {function(): Array<string>} options.getCategories Categories offered in the form.
+ * @param {function(Object): void} options.onOptionsChange Called with the form choices each time a plan is built.
+ * @param {function(Array<Object>): void} options.onRoutinesChange Called with the saved routines after a save or delete.
+ * @param {function(Object|null): void} options.onRoutineChange Called with the routine being edited (null for none)
+ *   each time it is shown.
+ * @returns {{render: function(): void}}
+ */
+export function createPlannerPage({ root, options: initialOptions, routines: initialRoutines, getCandidates, getCategories, onOptionsChange, onRoutinesChange, onRoutineChange }) {
+    const ui = {
+        form: root.querySelector('#plan-form'),
+        categories: root.querySelector('#plan-categories'),
+        status: root.querySelector('#plan-status'),
+        routine: root.querySelector('#plan-routine'),
+        saved: root.querySelector('#plan-saved')
+    };
+    let options = initialOptions;
+    let routines = initialRoutines;
+    let routine = null; // { budget, categories, includeVideos, items } being edited
+
+    function setStatus(message, isError = false) {
+        ui.status.textContent = message;
+        ui.status.classList.toggle('text-red-500', isError);
+    }
+
+    function setRoutines(updated) {
+        routines = updated;
+        onRoutinesChange(routines);
+    }
+
+    function renderForm() {
+        ui.form.elements.budget.value = options.budget;
+        ui.form.elements.includeVideos.checked = options.includeVideos;
+
+        setHtml(ui.categories, getCategories().map(category => html`
+            <label class="inline-flex items-center space-x-2 cursor-pointer">
+                <input type="checkbox" name="categories" value="${category}" class="w-4 h-4 accent-green-600" ${options.categories.includes(category) && 'checked'}>
+                <span>${getCategoryLabel(category)}</span>
+            </label>
+        `));
+    }
+
+    function renderItem(item, index, candidates) {
+        const { items } = routine;
+        const swapOptions = getSwapOptions(items, candidates, index, routine.budget);
+        const buttonClass = 'px-3 py-1 rounded-lg border-2 font-semibold disabled:opacity-40';
+        const details = [item.minutes ? `${item.minutes} min` : 'Anytime', item.kind === 'video' ? 'Video' : getCategoryLabel(item.category)];
+
+        return html`
+            <li class="card rounded-xl shadow p-4 flex flex-col sm:flex-row sm:items-center justify-between space-y-3 sm:space-y-0 sm:space-x-4">
+                <div>
+                    <p class="font-heading text-lg">
+                        <span class="text-primary-light dark:text-primary-dark">${index + 1}.</span>
+                        ${item.kind === 'tip' ? html`<a href="${buildHash(`/tips/${encodeURIComponent(item.id)}`)}" class="hover:underline">${item.title}</a>` : item.title}
+                    </p>
+                    <p class="text-sm text-gray-500 dark:text-gray-400">${details.join(' | ')}</p>
+                </div>
+                <div class="flex flex-wrap items-center gap-2">
+                    <button type="button" class="${buttonClass}" style="border-color: var(--primary-color);" data-plan-action="up" data-index="${index}" aria-label="Move up" ${index === 0 && 'disabled'}>&uarr;</button>
+                    <button type="button" class="${buttonClass}" style="border-color: var(--primary-color);" data-plan-action="down" data-index="${index}" aria-label="Move down" ${index === items.length - 1 && 'disabled'}>&darr;</button>
+                    ${swapOptions.length > 0 && html`
+                        <select class="plan-swap p-1 rounded-lg border-2 cursor-pointer" data-index="${index}" aria-label="Swap ${item.title}"
+                            style="border-color: var(--primary-color); background-color: var(--card-bg); color: var(--text-color);">
+                            <option value="">Swap for...</option>
+                            ${swapOptions.map(option => html`<option value="${option.kind}:${option.id}">${option.title} (${option.minutes ? `${option.minutes} min` : 'anytime'})</option>`)}
+                        </select>
+                    `}
+                    <button type="button" class="${buttonClass}" style="border-color: var(--primary-color);" data-plan-action="remove" data-index="${index}">Remove</button>
+                </div>
+            </li>
+        `;
+    }
+
+    function renderRoutine() {
+        onRoutineChange(routine);
+        if (!routine) {
+            setHtml(ui.routine, html`<p class="text-center text-xl text-gray-500 p-8 card rounded-xl">Choose how much time you have and build a plan.</p>`);
+            return;
+        }
+
+        const { items, budget } = routine;
+        const candidates = getCandidates(routine);
+        setHtml(ui.routine, html`
+            <p class="font-semibold">Your routine: ${getTotalMinutes(items)} of ${budget} minutes planned</p>
+            ${items.length === 0
+                ? html`<p class="text-center text-gray-500 p-4 card rounded-xl">This routine is empty. Build a new plan to fill it.</p>`
+                : html`<ol class="space-y-3">${items.map((item, index) => renderItem(item, index, candidates))}</ol>`}
+            <form id="plan-save-form" class="flex flex-col sm:flex-row space-y-3 sm:space-y-0 sm:space-x-4">
+                <input type="text" name="name" maxlength="60" placeholder="Name this routine, e.g. Morning reset" aria-label="Routine name"
+                    class="w-full p-3 rounded-lg border-2" style="border-color: var(--primary-color); background-color: var(--card-bg); color: var(--text-color);">
+                <button type="submit" class="px-4 py-2 rounded-lg border-2 font-semibold whitespace-nowrap" style="border-color: var(--primary-color);" ${items.length === 0 && 'disabled'}>Save routine</button>
+            </form>
+        `);
+    }
+
+    function renderSaved() {
+        renderKeyed(ui.saved, routines, {
+            key: saved => saved.id,
+            render: saved => html`
+                <div class="card rounded-xl shadow p-4 flex items-center justify-between space-x-4">
+                    <div>
+                        <p class="font-heading text-lg">${saved.name}</p>
+                        <p class="text-sm text-gray-500 dark:text-gray-400">${saved.items.length} item${saved.items.length === 1 ? '' : 's'}, ${getTotalMinutes(saved.items)} min | ${formatSavedDate(saved.savedAt)}</p>
+                    </div>
+                    <div class="flex space-x-2">
+                        <button type="button" class="px-3 py-1 rounded-lg border-2 font-semibold" style="border-color: var(--primary-color);" data-plan-action="load" data-routine-id="${saved.id}">Use</button>
+                        <button type="button" class="px-3 py-1 rounded-lg border-2 font-semibold text-red-500 border-red-500" data-plan-action="delete" data-routine-id="${saved.id}">Delete</button>
+                    </div>
+                </div>
+            `,
+            empty: html`<p class="text-gray-500 dark:text-gray-400">No saved routines yet.</p>`
+        });
+    }
+
+    function render() {
+        renderForm();
+        renderRoutine();
+        renderSaved();
+    }
+
+    // "Build my plan": validates the budget, remembers the options and builds a fresh routine.
+    function handleSubmit(event) {
+        event.preventDefault();
+        const budget = Number(ui.form.elements.budget.value);
+        if (!Number.isInteger(budget) || budget < BUDGET_LIMITS.min || budget > BUDGET_LIMITS.max) {
+            setStatus(`Choose a whole number of minutes from ${BUDGET_LIMITS.min} to ${BUDGET_LIMITS.max}.`, true);
+            return;
+        }
+
+        options = {
+            budget,
+            categories: [...ui.form.querySelectorAll('input[name="categories"]:checked')].map(input => input.value),
+            includeVideos: ui.form.elements.includeVideos.checked
+        };
+        onOptionsChange(options);
+
+        const items = buildRoutine(getCandidates(options), budget);
+        routine = { ...options, items };
+        setStatus(items.length === 0 ? 'Nothing fits that time budget. Try more minutes or other categories.' : '', items.length === 0);
+        renderRoutine();
+    }
+
+    // Move, remove, use and delete buttons.
+    function handleAction(event) {
+        const button = event.target.closest('[data-plan-action]');
+        if (!button) return;
+
+        const action = button.dataset.planAction;
+        const index = Number(button.dataset.index);
+        if (action === 'up' || action === 'down') {
+            routine.items = moveItem(routine.items, index, action === 'up' ? index - 1 : index + 1);
+        } else if (action === 'remove') {
+            routine.items = routine.items.filter((item, i) => i !== index);
+        } else if (action === 'load') {
+            const saved = routines.find(r => r.id === button.dataset.routineId);
+            if (!saved) return;
+            routine = { budget: saved.budget, categories: saved.categories, includeVideos: saved.includeVideos, items: saved.items.slice() };
+            setStatus(`Loaded "${saved.name}".`);
+        } else if (action === 'delete') {
+            setRoutines(routines.filter(r => r.id !== button.dataset.routineId));
+            renderSaved();
+            return;
+        }
+        renderRoutine();
+    }
+
+    // "Swap for..." select: replaces one routine item with the chosen candidate.
+    function handleSwap(event) {
+        const select = event.target.closest('.plan-swap');
+        if (!select || !select.value) return;
+
+        const replacement = getCandidates(routine).find(item => `${item.kind}:${item.id}` === select.value);
+        if (!replacement) return;
+        const index = Number(select.dataset.index);
+        routine.items = routine.items.map((item, i) => (i === index ? replacement : item));
+        renderRoutine();
+    }
+
+    function handleSave(event) {
+        if (event.target.id !== 'plan-save-form') return;
+        event.preventDefault();
+
+        const name = event.target.elements.name.value.trim() || `${getTotalMinutes(routine.items)}-minute routine`;
+        setRoutines([{
+            id: `routine-${Date.now().toString(36)}`,
+            name,
+            budget: routine.budget,
+            categories: routine.categories,
+            includeVideos: routine.includeVideos,
+            items: routine.items,
+            savedAt: new Date().toISOString()
+        }, ...routines]);
+        setStatus(`Saved "${name}".`);
+        renderSaved();
+    }
+
+    ui.form.addEventListener('submit', handleSubmit);
+    root.addEventListener('click', handleAction);
+    root.addEventListener('change', handleSwap);
+    ui.routine.addEventListener('submit', handleSave);
+
+    return { render };
+}
+
+export default { createPlannerPage };
@@ -0,0 +1,118 @@
+/**
+ * PLANNER MODULE (js/planner.js)
+ * Builds a daily routine of tips (and favorited videos) that fits a time budget.
+ * * * How a routine is built:
+ * 1. Candidates: tips in the chosen categories, plus favorite videos when asked
+ * 2. Timed items are picked to fill as much of the budget as possible (0/1 knapsack on minutes),
+ *    from a shuffled list so "Build" again gives a different mix
+ * 3. Up to MAX_UNTIMED_ITEMS tips with no set time (durationMinutes 0) are added on top, picked at random
+ * 4. The routine starts with the easiest items
+ */
+
+// Favorites don't store a video's length, so each counts as this many minutes.
+export const FAVORITE_VIDEO_MINUTES = 10;
+
+export const BUDGET_LIMITS = { min: 5, max: 240 };
+
+// Untimed tips cost no minutes, so without a cap a large catalogue would fill any plan with them.
+export const MAX_UNTIMED_ITEMS = 2;
+
+const DIFFICULTY_RANK = { Easy: 0, Medium: 1, Hard: 2 };
+
+/**
+ * Turns tips and favorite videos into plan items.
+ * @param {Array<Object>} tips Tips from data/data.json.
+ * @param {Array<Object>} favorites Saved favorites (only videos are used).
+ * @param {{categories?: Array<string>, includeVideos?: boolean}} options No categories means all.
+ * @returns {Array<{kind: 'tip'|'video', id: string, title: string, minutes: number, category: string|null, difficulty: string|null}>}
+ */
+export function getPlanCandidates(tips, favorites, { categories = [], includeVideos = false } = {}) {
+    const tipItems = tips
+        .filter(tip => categories.length === 0 || categories.includes(tip.category))
+        .map(tip => ({
+            kind: 'tip',
+            id: tip.id,
+            title: tip.title,
+            minutes: Math.max(0, Number(tip.durationMinutes) || 0),
+            category: tip.category,
+            difficulty: tip.difficulty || null
+        }));
+    const videoItems = !includeVideos ? [] : favorites
+        .filter(fav => fav.type === 'video')
+        .map(fav => ({ kind: 'video', id: fav.id, title: fav.title || 'Saved video', minutes: FAVORITE_VIDEO_MINUTES, category: null, difficulty: null }));
+    return tipItems.concat(videoItems);
+}
+
+/**
+ * @param {Array<{minutes: number}>} items Plan items.
+ * @returns {number} Total minutes.
+ */
+export function getTotalMinutes(items) {
+    return items.reduce((sum, item) => sum + item.minutes, 0);
+}
+
+function shuffle(items, random) {
+    const copy = items.slice();
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
+
+/**
+ * Picks the candidates that fill the budget best.
+ * @param {Array<Object>} candidates Items from getPlanCandidates().
+ * @param {number} budget Minutes available.
+ * @param {{random?: function(): number}} [options] Random source, for repeatable plans.
+ * @returns {Array<Object>} The routine, easiest items first.
+ */
+export function buildRoutine(candidates, budget, { random = Math.random } = {}) {
+    const limit = Math.max(0, Math.floor(budget));
+    const timed = shuffle(candidates.filter(item => item.minutes > 0 && item.minutes <= limit), random);
+
+    // best[m] lists the items of the first combination found that adds up to exactly m minutes.
+    const best = new Array(limit + 1).fill(null);
+    best[0] = [];
+    timed.forEach(item => {
+        for (let m = limit; m >= item.minutes; m--) {
+            if (!best[m] && best[m - item.minutes]) best[m] = [...best[m - item.minutes], item];
+        }
+    });
+    let filled = limit;
+    while (!best[filled]) filled--;
+
+    const untimed = shuffle(candidates.filter(item => item.minutes === 0), random).slice(0, MAX_UNTIMED_ITEMS);
+    const rank = item => DIFFICULTY_RANK[item.difficulty] ?? 1;
+    return [...untimed, ...best[filled]].sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Items that could replace routine[index] without going over the budget.
+ * @param {Array<Object>} routine Current routine.
+ * @param {Array<Object>} candidates Items from getPlanCandidates().
+ * @param {number} index Position of the item to swap out.
+ * @param {number} budget Minutes available.
+ * @returns {Array<Object>}
+ */
+export function getSwapOptions(routine, candidates, index, budget) {
+    const inRoutine = new Set(routine.map(item => `${item.kind}:${item.id}`));
+    const available = budget - (getTotalMinutes(routine) - routine[index].minutes);
+    return candidates.filter(item => !inRoutine.has(`${item.kind}:${item.id}`) && item.minutes <= available);
+}
+
+/**
+ * @param {Array<Object>} routine Current routine.
+ * @param {number} from Index to move.
+ * @param {number} to Destination index.
+ * @returns {Array<Object>} A new, reordered routine.
+ */
+export function moveItem(routine, from, to) {
+    if (to < 0 || to >= routine.length) return routine.slice();
+    const copy = routine.slice();
+    const [item] = copy.splice(from, 1);
+    copy.splice(to, 0, item);
+    return copy;
+}
+
+export default { getPlanCandidates, getTotalMinutes, buildRoutine, getSwapOptions, moveItem, FAVORITE_VIDEO_MINUTES, BUDGET_LIMITS, MAX_UNTIMED_ITEMS };
@@ -0,0 +1,219 @@
+/**
+ * PLAYER MODULE (js/player.js)
+ * Drives video facades through the YouTube IFrame Player API so the app knows what was watched.
+ * * * Tracked data (stored by js/app.js):
+ * 1. Progress per videoId -> { position, duration, watched, title, updatedAt } (seconds)
+ * 2. Watch history        -> [{ date: 'YYYY-MM-DD', seconds }], one record per local day
+ * While a video plays its position is reported every few seconds and on pause/end. Only real
+ * playback counts towards the history; seeking ahead does not.
+ */
+
+const PLAYER_API_URL = 'https://www.youtube.com/iframe_api';
+const PROGRESS_INTERVAL_MS = 5000;
+const WATCHED_FRACTION = 0.9; // Watching 90% counts as watched (the credits rarely get seen)
+const MIN_RESUME_SECONDS = 10;
+const WATCH_HISTORY_DAYS = 365;
+
+// --- WATCH DATA ---
+
+/**
+ * Records a progress report for a video.
+ * @param {Object<string, Object>} progress Progress by videoId (not modified).
+ * @param {string} videoId YouTube video id.
+ * @param {{position: number, duration: number, ended?: boolean, title?: string}} report From the player.
+ * @returns {Object<string, Object>} The updated progress map.
+ */
+export function updateWatchProgress(progress, videoId, { position, duration, ended = false, title }) {
+    const previous = progress[videoId] || {};
+    const watched = Boolean(previous.watched || ended || (duration > 0 && position / duration >= WATCHED_FRACTION));
+    return {
+        ...progress,
+        [videoId]: {
+            position: ended ? 0 : Math.floor(position),
+            duration: Math.floor(duration) || previous.duration || 0,
+            watched,
+            title: title || previous.title || '',
+            updatedAt: new Date().toISOString()
+        }
+    };
+}
+
+/**
+ * Where playback should start: the saved position, unless it's too close to either end to matter.
+ * @param {Object<string, Object>} progress Progress by videoId.
+ * @param {string} videoId YouTube video id.
+ * @returns {number} Seconds.
+ */
+export function getResumePosition(progress, videoId) {
+    const record = progress[videoId];
+    if (!record || record.position < MIN_RESUME_SECONDS) return 0;
+    if (record.duration && record.duration - record.position < MIN_RESUME_SECONDS) return 0;
+    return record.position;
+}
+
+/**
+ * Adds watched seconds to a day's total.
+ * @param {Array<{date: string, seconds: number}>} history Watch history (not modified).
+ * @param {string} date 'YYYY-MM-DD'.
+ * @param {number} seconds Seconds of playback to add.
+ * @returns {Array<{date: string, seconds: number}>} Newest day first, capped to WATCH_HISTORY_DAYS.
+ */
+export function addWatchTime(history, date, seconds) {
+    if (!(seconds > 0)) return history;
+    const today = history.find(day => day.date === date);
+    const rest = history.filter(day => day.date !== date);
+    return [{ date, seconds: (today ? today.seconds : 0) + seconds }, ...rest]
+        .sort((a, b) => b.date.localeCompare(a.date))
+        .slice(0, WATCH_HISTORY_DAYS);
+}
+
+/**
+ * @param {number} seconds Position in seconds.
+ * @returns {string} e.g. "3:07" or "1:02:30".
+ */
+export function formatPlaybackTime(seconds) {
+    const total = Math.floor(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+// --- IFRAME PLAYER API ---
+
+let apiPromise = null;
+
+/**
+ * Loads the IFrame Player API script once.
+ * @returns {Promise<Object>} window.YT.
+ */
+export function loadPlayerApi() {
+    if (window.YT && window.YT.Player) return Promise.resolve(window.YT);
+    if (!apiPromise) {
+        apiPromise = new Promise((resolve, reject) => {
+            const previousReady = window.onYouTubeIframeAPIReady;
+            window.onYouTubeIframeAPIReady = () => {
+                if (typeof previousReady === 'function') previousReady();
+                resolve(window.YT);
+            };
+            const script = document.createElement('script');
+            script.src = PLAYER_API_URL;
+            script.async = true;
+            script.onerror = () => {
+                apiPromise = null; // Let a later click try again
+                reject(new Error('The YouTube player API could not be loaded.'));
+            };
+            document.head.append(script);
+        });
+    }
+    return apiPromise;
+}
+
+// Mounted players. One observer destroys any whose element is removed from the page or emptied,
+// so a paused player that is re-rendered away doesn't leave its iframe and listeners behind.
+const mountedPlayers = new Set();
+let removalObserver = null;
+
+function destroyDetachedPlayers() {
+    mountedPlayers.forEach(mounted => {
+        if (!mounted.isAttached()) mounted.destroy();
+    });
+}
+
+function trackMountedPlayer(mounted) {
+    mountedPlayers.add(mounted);
+    if (!removalObserver && typeof MutationObserver === 'function') {
+        removalObserver = new MutationObserver(destroyDetachedPlayers);
+        removalObserver.observe(document.body, { childList: true, subtree: true });
+    }
+}
+
+function untrackMountedPlayer(mounted) {
+    mountedPlayers.delete(mounted);
+    if (mountedPlayers.size === 0 && removalObserver) {
+        removalObserver.disconnect();
+        removalObserver = null;
+    }
+}
+
+/**
+ * Replaces an element's content with a YouTube player and reports its progress. Emptying the
+ * element (or removing it) stops the reports and destroys the player straight away.
+ * @param {HTMLElement} element Container (a video facade); the player fills it.
+ * @param {Object} options
+ * @param {string} options.videoId YouTube video id.
+ * @param {number} [options.start=0] Seconds to start from.
+ * @param {function({position: number, duration: number, watchedSeconds: number, ended: boolean}): void} options.onProgress
+ *   Called every few seconds while playing and on pause/end. watchedSeconds is playback since the last report.
+ * @param {function(): void} [options.onEnded] Called after the final report when a video ends, e.g. to load
+ *   the next one in a queue with player.loadVideoById().
+ * @returns {Promise<Object>} The YT.Player.
+ * @throws {Error} When the API script can't be loaded (e.g. blocked); the caller can fall back to a plain embed.
+ */
+export async function mountPlayer(element, { videoId, start = 0, onProgress, onEnded }) {
+    const YT = await loadPlayerApi();
+    const target = document.createElement('div');
+    element.replaceChildren(target);
+
+    let timer = null;
+    let iframe = null;
+    let lastPosition = start;
+    const stopTimer = () => {
+        clearInterval(timer);
+        timer = null;
+    };
+
+    // The iframe only exists from onReady; until then being on the page is enough.
+    const mounted = {
+        isAttached: () => element.isConnected && (!iframe || element.contains(iframe)),
+        destroy: () => {
+            untrackMountedPlayer(mounted);
+            stopTimer();
+            player.destroy();
+        }
+    };
+
+    const report = (ended = false) => {
+        // Fallback for browsers without MutationObserver: notice the removal on the next report.
+        if (!mounted.isAttached()) {
+            mounted.destroy();
+            return;
+        }
+        const position = player.getCurrentTime();
+        const delta = position - lastPosition;
+        lastPosition = position;
+        // Up to 2x playback speed counts; bigger jumps are seeks.
+        const watchedSeconds = delta > 0 && delta <= (PROGRESS_INTERVAL_MS / 1000) * 2.5 ? delta : 0;
+        onProgress({ position, duration: player.getDuration(), watchedSeconds, ended });
+    };
+
+    const player = new YT.Player(target, {
+        videoId,
+        width: '100%',
+        height: '100%',
+        playerVars: { autoplay: 1, start: Math.floor(start), playsinline: 1, rel: 0 },
+        events: {
+            onReady: event => {
+                iframe = event.target.getIframe();
+                iframe.classList.add('absolute', 'inset-0', 'w-full', 'h-full');
+                event.target.playVideo();
+            },
+            onStateChange: ({ data }) => {
+                if (data === YT.PlayerState.PLAYING) {
+                    lastPosition = player.getCurrentTime();
+                    if (!timer) timer = setInterval(report, PROGRESS_INTERVAL_MS);
+                } else if (data === YT.PlayerState.PAUSED || data === YT.PlayerState.ENDED) {
+                    stopTimer();
+                    report(data === YT.PlayerState.ENDED);
+                    if (data === YT.PlayerState.ENDED && element.isConnected && onEnded) onEnded();
+                }
+            }
+        }
+    });
+    trackMountedPlayer(mounted);
+    return player;
+}
+
+export default {
+    updateWatchProgress, getResumePosition, addWatchTime, formatPlaybackTime, loadPlayerApi, mountPlayer
+};
@@ -0,0 +1,380 @@
+/**
+ * PLAYLISTS PAGE MODULE (js/playlists-page.js)
+ * Renders #/playlists (#playlists-section in index.html): the saved playlists beside the open one
+ * (#/playlists?list=ID), whose videos can be reordered with the arrows or by drag and drop. One
+ * tracked player (js/player.js) plays the queue and moves on when a video ends, following shuffle
+ * and repeat; without the player API it falls back to a plain embed moved with Previous/Next.
+ * Editing a playing playlist updates its queue without stopping it. Editing and queue order are
+ * in js/playlists.js.
+ */
+import {
+    createPlaylist, addToPlaylist, removeFromPlaylist, movePlaylistItem, buildQueueOrder, getNextQueueIndex, REPEAT_MODES
+} from './playlists.js';
+import { getResumePosition, mountPlayer } from './player.js';
+import { VideoFacade, activateVideoFacade } from './components.js';
+import { buildHash, navigate } from './router.js';
+import { html, setHtml, renderKeyed } from './render.js';
+
+/**
+ * Wires up the playlists page.
+ * @param {Object} options
+ * @param {HTMLElement} options.root The view (#playlists-section).
+ * @param {Array<Object>} options.playlists Saved playlists.
+ * @param {{shuffle: boolean, repeat: string}} options.options Saved queue choices.
+ * @param {function(): Array<{videoId: string, title: string, channelTitle: string, from: string}>} options.getVideos
+ *   Videos that can be added, in the order to offer them; duplicates and videos already in the playlist are left out.
+ * @param {function(): Object} options.getWatchProgress Saved watch progress (see js/player.js).
+ * @param {function(string, string, Object): void} options.onWatchProgress Called with the video id, title and
+ *   each report from the queue player.
+ * @param {function(Array<Object>): void} options.onPlaylistsChange Called with the playlists after every edit.
+ * @param {function({shuffle: boolean, repeat: string}): void} options.onOptionsChange Called when shuffle or repeat changes.
+ * @returns {{render: function(string|null): void}} render() takes the id of the open playlist (null for none).
+ */
+export function createPlaylistsPage({ root, playlists: initialPlaylists, options: initialOptions, getVideos, getWatchProgress, onWatchProgress, onPlaylistsChange, onOptionsChange }) {
+    const ui = {
+        form: root.querySelector('#playlist-form'),
+        status: root.querySelector('#playlist-status'),
+        list: root.querySelector('#playlists-list'),
+        detail: root.querySelector('#playlist-detail'),
+        heading: root.querySelector('#playlist-heading'),
+        player: root.querySelector('#playlist-player'),
+        nowPlaying: root.querySelector('#playlist-now-playing'),
+        shuffle: root.querySelector('#playlist-shuffle'),
+        repeat: root.querySelector('#playlist-repeat'),
+        items: root.querySelector('#playlist-items'),
+        candidates: root.querySelector('#playlist-candidates')
+    };
+    let playlists = initialPlaylists;
+    let options = initialOptions;
+    let activeId = null; // The open playlist, from the last render()
+    let queue = null; // { playlistId, order: [videoIds], index, player, finished } while a playlist plays
+
+    function setStatus(message, isError = false) {
+        ui.status.textContent = message;
+        ui.status.classList.toggle('text-red-500', isError);
+    }
+
+    function setOptions(changes) {
+        options = { ...options, ...changes };
+        onOptionsChange(options);
+    }
+
+    function getActivePlaylist() {
+        return playlists.find(playlist => playlist.id === activeId) || null;
+    }
+
+    function setPlaylists(updated) {
+        playlists = updated;
+        onPlaylistsChange(playlists);
+        syncQueue();
+    }
+
+    // The queue item playing now, or null (e.g. it was removed from the playlist mid-play).
+    function getQueueVideo() {
+        if (!queue) return null;
+        const playlist = playlists.find(p => p.id === queue.playlistId);
+        const videoId = queue.order[queue.index];
+        return playlist?.items.find(item => item.videoId === videoId) || null;
+    }
+
+    function getCandidates(playlist) {
+        const inPlaylist = new Set(playlist.items.map(item => item.videoId));
+        const seen = new Set();
+        return getVideos().filter(video => !inPlaylist.has(video.videoId) && !seen.has(video.videoId) && seen.add(video.videoId));
+    }
+
+    function renderList() {
+        renderKeyed(ui.list, playlists, {
+            key: playlist => playlist.id,
+            render: playlist => html`
+                <a href="${buildHash('/playlists', { list: playlist.id })}" class="block card rounded-xl shadow p-4 hover:shadow-lg transition duration-200 ${playlist.id === activeId && 'border-l-8 border-primary-light dark:border-primary-dark'}">
+                    <p class="font-heading text-lg">${playlist.name}</p>
+                    <p class="text-sm text-gray-500 dark:text-gray-400">${playlist.items.length} video${playlist.items.length === 1 ? '' : 's'}${queue?.playlistId === playlist.id && ' | Playing'}</p>
+                </a>
+            `,
+            empty: html`<p class="text-gray-500 dark:text-gray-400">No playlists yet. Create one, e.g. "Morning stretch" or "Wind down", then add videos to it.</p>`
+        });
+    }
+
+    function renderItems(playlist) {
+        const playingId = queue?.playlistId === playlist.id && !queue.finished ? queue.order[queue.index] : null;
+        const watchProgress = getWatchProgress();
+        const buttonClass = 'px-3 py-1 rounded-lg border-2 font-semibold disabled:opacity-40';
+        renderKeyed(ui.items, playlist.items, {
+            key: item => item.videoId,
+            render: (item, index) => html`
+                <li class="card rounded-xl shadow p-3 flex flex-col sm:flex-row sm:items-center justify-between space-y-3 sm:space-y-0 sm:space-x-4 cursor-move ${item.videoId === playingId && 'border-l-8 border-primary-light dark:border-primary-dark'}"
+                    draggable="true" data-index="${index}">
+                    <button type="button" class="text-left" data-playlist-action="play-item" data-video-id="${item.videoId}" title="Play from here">
+                        <span class="block font-heading text-lg"><span class="text-primary-light dark:text-primary-dark">${item.videoId === playingId ? html`&#9654;` : `${index + 1}.`}</span> ${item.title}</span>
+                        <span class="block text-sm text-gray-500 dark:text-gray-400">${[item.channelTitle, watchProgress[item.videoId]?.watched && 'Watched'].filter(Boolean).join(' | ')}</span>
+                    </button>
+                    <div class="flex flex-wrap items-center gap-2">
+                        <button type="button" class="${buttonClass}" style="border-color: var(--primary-color);" data-playlist-action="up" data-index="${index}" aria-label="Move up" ${index === 0 && 'disabled'}>&uarr;</button>
+                        <button type="button" class="${buttonClass}" style="border-color: var(--primary-color);" data-playlist-action="down" data-index="${index}" aria-label="Move down" ${index === playlist.items.length - 1 && 'disabled'}>&darr;</button>
+                        <button type="button" class="${buttonClass}" style="border-color: var(--primary-color);" data-playlist-action="remove" data-video-id="${item.videoId}">Remove</button>
+                    </div>
+                </li>
+            `,
+            empty: html`<p class="text-center text-gray-500 p-4">This playlist is empty. Add videos from the list below.</p>`
+        });
+    }
+
+    function renderCandidates(playlist) {
+        renderKeyed(ui.candidates, getCandidates(playlist), {
+            key: video => video.videoId,
+            render: video => html`
+                <div class="flex items-center justify-between space-x-4 py-2 border-b border-gray-200 dark:border-gray-700">
+                    <div>
+                        <p class="font-semibold">${video.title}</p>
+                        <p class="text-sm text-gray-500 dark:text-gray-400">${[video.channelTitle, video.from].filter(Boolean).join(' | ')}</p>
+                    </div>
+                    <button type="button" class="px-3 py-1 rounded-lg border-2 font-semibold whitespace-nowrap" style="border-color: var(--primary-color);"
+                        data-playlist-action="add" data-video-id="${video.videoId}">Add</button>
+                </div>
+            `,
+            empty: html`<p class="text-gray-500 dark:text-gray-400">No more videos to add. Save videos to your favorites with the heart, or load more on Home.</p>`
+        });
+    }
+
+    // Now playing line and the queue controls; the player itself is managed by play().
+    function renderQueue() {
+        const video = getQueueVideo();
+        const queuePlaylist = playlists.find(p => p.id === queue?.playlistId);
+        if (!queue) {
+            ui.nowPlaying.textContent = '';
+        } else if (queue.finished) {
+            ui.nowPlaying.textContent = `Finished ${queuePlaylist.name}.`;
+        } else if (video) {
+            ui.nowPlaying.textContent = `Now playing ${queue.index + 1} of ${queue.order.length} from ${queuePlaylist.name}: ${video.title}`;
+        } else {
+            ui.nowPlaying.textContent = `Playing from ${queuePlaylist.name}.`;
+        }
+
+        const playlist = getActivePlaylist();
+        ui.detail.querySelector('[data-playlist-action="play"]').disabled = !playlist || playlist.items.length === 0;
+        ui.detail.querySelectorAll('[data-playlist-action="previous"], [data-playlist-action="next"]')
+            .forEach(button => { button.disabled = !queue || queue.order.length === 0; });
+        ui.shuffle.setAttribute('aria-pressed', String(options.shuffle));
+        ui.shuffle.classList.toggle('text-white', options.shuffle);
+        ui.shuffle.style.backgroundColor = options.shuffle ? 'var(--primary-color)' : '';
+        ui.repeat.value = options.repeat;
+    }
+
+    function renderPage() {
+        renderList();
+
+        const playlist = getActivePlaylist();
+        if (activeId && !playlist) setStatus("We couldn't find that playlist. It may have been deleted.", true);
+        ui.detail.classList.toggle('hidden', !playlist);
+        if (playlist) {
+            ui.heading.textContent = playlist.name;
+            renderItems(playlist);
+            renderCandidates(playlist);
+        }
+        renderQueue();
+    }
+
+    function render(id) {
+        activeId = id;
+        renderPage();
+    }
+
+    // Keeps a playing queue in step with edits to its playlist: removed videos drop out, added ones
+    // join the end, and without shuffle the order follows the playlist.
+    function syncQueue() {
+        if (!queue) return;
+        const playlist = playlists.find(p => p.id === queue.playlistId);
+        if (!playlist) {
+            stop();
+            return;
+        }
+
+        const currentId = queue.order[queue.index];
+        const ids = playlist.items.map(item => item.videoId);
+        const order = options.shuffle
+            ? queue.order.filter(id => ids.includes(id)).concat(ids.filter(id => !queue.order.includes(id)))
+            : ids;
+        // A removed video keeps playing; the queue then carries on with the one that followed it.
+        const index = order.indexOf(currentId);
+        queue.index = index !== -1 ? index : Math.min(queue.index, order.length) - 1;
+        queue.order = order;
+    }
+
+    // Plays the queue's current video: in the tracked player once it is up, or as a plain embed
+    // when the player API couldn't load (the queue then only moves with Previous/Next).
+    function loadQueueVideo() {
+        const video = getQueueVideo();
+        if (!video) return;
+        const start = getResumePosition(getWatchProgress(), video.videoId);
+        queue.finished = false;
+        if (queue.player) {
+            queue.player.loadVideoById({ videoId: video.videoId, startSeconds: start });
+        } else {
+            setHtml(ui.player, VideoFacade({ videoId: video.videoId, title: video.title, className: 'w-full h-full' }));
+            activateVideoFacade(ui.player.firstElementChild, { start });
+        }
+        renderPage();
+    }
+
+    async function play(playlist, firstVideoId) {
+        const order = buildQueueOrder(playlist.items, { shuffle: options.shuffle, firstVideoId });
+        const index = firstVideoId ? order.indexOf(firstVideoId) : 0;
+        if (order.length === 0) return;
+
+        if (queue?.player) {
+            // One player for everything: just point it at the new queue.
+            Object.assign(queue, { playlistId: playlist.id, order, index });
+            loadQueueVideo();
+            return;
+        }
+
+        stop();
+        const started = { playlistId: playlist.id, order, index, player: null, finished: false };
+        queue = started;
+        ui.player.classList.remove('hidden');
+        renderPage();
+
+        const video = getQueueVideo();
+        const start = getResumePosition(getWatchProgress(), video.videoId);
+        try {
+            const player = await mountPlayer(ui.player, { videoId: video.videoId, start, onProgress: handleProgress, onEnded: handleEnded });
+            if (queue === started) started.player = player;
+        } catch (e) {
+            console.warn('YouTube player API unavailable; playlists will not advance on their own.', e);
+            if (queue === started) loadQueueVideo();
+        }
+    }
+
+    // Empties the player; mountPlayer() then stops tracking and destroys it.
+    function stop() {
+        queue = null;
+        setHtml(ui.player, '');
+        ui.player.classList.add('hidden');
+    }
+
+    function step(by) {
+        if (!queue || queue.order.length === 0) return;
+        const { length } = queue.order;
+        let index = queue.index + by;
+        if (options.repeat === 'all') index = (index + length) % length;
+        queue.index = Math.min(Math.max(index, 0), length - 1);
+        loadQueueVideo();
+    }
+
+    // Reports from the queue player count towards the video playing at the time.
+    function handleProgress(report) {
+        const video = getQueueVideo();
+        if (video) onWatchProgress(video.videoId, video.title, report);
+    }
+
+    function handleEnded() {
+        if (!queue) return;
+        const next = getNextQueueIndex(queue.order.length, queue.index, options.repeat);
+        if (next === null) {
+            queue.finished = true;
+            renderPage();
+            return;
+        }
+        queue.index = next;
+        loadQueueVideo();
+    }
+
+    function handleSubmit(event) {
+        event.preventDefault();
+        const { playlists: updated, playlist, error } = createPlaylist(playlists, ui.form.elements.name.value);
+        if (!playlist) {
+            setStatus(error, true);
+            return;
+        }
+
+        setPlaylists(updated);
+        ui.form.reset();
+        setStatus(`Created "${playlist.name}". Add videos to it below.`);
+        navigate(buildHash('/playlists', { list: playlist.id }));
+    }
+
+    // Play, queue, reorder, add and remove buttons in the open playlist.
+    function handleAction(event) {
+        const button = event.target.closest('[data-playlist-action]');
+        const playlist = getActivePlaylist();
+        if (!button || !playlist) return;
+
+        const action = button.dataset.playlistAction;
+        const { videoId } = button.dataset;
+        if (action === 'play' || action === 'play-item') {
+            play(playlist, action === 'play-item' ? videoId : undefined);
+            return;
+        }
+        if (action === 'previous' || action === 'next') {
+            step(action === 'next' ? 1 : -1);
+            return;
+        }
+        if (action === 'shuffle') {
+            setOptions({ shuffle: !options.shuffle });
+            // Reshuffle (or restore playlist order) around the video playing now.
+            if (queue) {
+                const queuePlaylist = playlists.find(p => p.id === queue.playlistId);
+                const currentId = queue.order[queue.index];
+                queue.order = buildQueueOrder(queuePlaylist.items, { shuffle: options.shuffle, firstVideoId: currentId });
+                queue.index = Math.max(0, queue.order.indexOf(currentId));
+            }
+        } else if (action === 'delete-playlist') {
+            setPlaylists(playlists.filter(p => p.id !== playlist.id));
+            setStatus(`Deleted "${playlist.name}".`);
+            navigate(buildHash('/playlists'));
+            return;
+        } else if (action === 'add') {
+            const video = getCandidates(playlist).find(candidate => candidate.videoId === videoId);
+            if (!video) return;
+            const { playlists: updated, error } = addToPlaylist(playlists, playlist.id, video);
+            if (error) {
+                setStatus(error, true);
+                return;
+            }
+            setPlaylists(updated);
+            setStatus(`Added "${video.title}" to ${playlist.name}.`);
+        } else if (action === 'remove') {
+            setPlaylists(removeFromPlaylist(playlists, playlist.id, videoId));
+        } else if (action === 'up' || action === 'down') {
+            const index = Number(button.dataset.index);
+            setPlaylists(movePlaylistItem(playlists, playlist.id, index, action === 'up' ? index - 1 : index + 1));
+        }
+        renderPage();
+    }
+
+    // Drag and drop reordering; the arrow buttons do the same from the keyboard.
+    function handleDrag(event) {
+        const item = event.target.closest('li[data-index]');
+        if (!item) return;
+
+        if (event.type === 'dragstart') {
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', item.dataset.index);
+            item.classList.add('opacity-50');
+        } else if (event.type === 'dragover') {
+            event.preventDefault(); // Allows the drop
+            event.dataTransfer.dropEffect = 'move';
+        } else if (event.type === 'drop') {
+            event.preventDefault();
+            const from = Number(event.dataTransfer.getData('text/plain'));
+            const to = Number(item.dataset.index);
+            if (Number.isInteger(from) && from !== to) {
+                setPlaylists(movePlaylistItem(playlists, activeId, from, to));
+                renderPage();
+            }
+        } else if (event.type === 'dragend') {
+            item.classList.remove('opacity-50');
+        }
+    }
+
+    setHtml(ui.repeat, Object.entries(REPEAT_MODES).map(([value, label]) => html`<option value="${value}">${label}</option>`));
+    ui.form.addEventListener('submit', handleSubmit);
+    ui.detail.addEventListener('click', handleAction);
+    ui.repeat.addEventListener('change', () => setOptions({ repeat: ui.repeat.value }));
+    ['dragstart', 'dragover', 'drop', 'dragend'].forEach(type => ui.items.addEventListener(type, handleDrag));
+
+    return { render };
+}
+
+export default { createPlaylistsPage };
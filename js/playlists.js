@@ -0,0 +1,122 @@
+/**
+ * PLAYLISTS MODULE (js/playlists.js)
+ * Named playlists of YouTube videos (e.g. "Morning stretch", "Wind down") and the queue
+ * that plays one back in a single player (see mountPlayer() in js/player.js).
+ * * * Playlist shape:
+ * { id, name, items: [{ videoId, title, channelTitle }], createdAt, updatedAt }
+ * * * Queue:
+ * 1. order  -> item videoIds in play order (playlist order, or shuffled with the first pick kept first)
+ * 2. repeat -> 'off' stops after the last video, 'all' starts over, 'one' replays the current video
+ */
+import { moveItem } from './planner.js';
+
+export const PLAYLIST_LIMITS = { name: 40, items: 100 };
+
+export const REPEAT_MODES = {
+    off: 'Repeat off',
+    all: 'Repeat playlist',
+    one: 'Repeat video'
+};
+
+const PLAYLIST_ID_PREFIX = 'playlist-';
+
+function touch(playlists, id, update) {
+    const now = new Date().toISOString();
+    return playlists.map(playlist => (playlist.id === id ? { ...update(playlist), updatedAt: now } : playlist));
+}
+
+/**
+ * Creates an empty playlist.
+ * @param {Array<Object>} playlists Saved playlists (not modified).
+ * @param {string} name Playlist name.
+ * @returns {{playlists: Array<Object>, playlist: Object|null, error: string}} error is '' on success.
+ */
+export function createPlaylist(playlists, name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) return { playlists, playlist: null, error: 'Give the playlist a name.' };
+    if (trimmed.length > PLAYLIST_LIMITS.name) return { playlists, playlist: null, error: `Keep the name under ${PLAYLIST_LIMITS.name} characters.` };
+    if (playlists.some(playlist => playlist.name.toLowerCase() === trimmed.toLowerCase())) {
+        return { playlists, playlist: null, error: `You already have a playlist called "${trimmed}".` };
+    }
+
+    const now = new Date().toISOString();
+    const playlist = { id: `${PLAYLIST_ID_PREFIX}${Date.now().toString(36)}`, name: trimmed, items: [], createdAt: now, updatedAt: now };
+    return { playlists: [...playlists, playlist], playlist, error: '' };
+}
+
+/**
+ * Appends a video unless the playlist already has it or is full.
+ * @param {Array<Object>} playlists Saved playlists (not modified).
+ * @param {string} id Playlist id.
+ * @param {{videoId: string, title: string, channelTitle?: string}} video The video.
+ * @returns {{playlists: Array<Object>, error: string}} error is '' when the video was added.
+ */
+export function addToPlaylist(playlists, id, { videoId, title, channelTitle = '' }) {
+    const playlist = playlists.find(p => p.id === id);
+    if (!playlist) return { playlists, error: 'This playlist no longer exists.' };
+    if (playlist.items.some(item => item.videoId === videoId)) return { playlists, error: `"${title}" is already in ${playlist.name}.` };
+    if (playlist.items.length >= PLAYLIST_LIMITS.items) return { playlists, error: `A playlist can hold up to ${PLAYLIST_LIMITS.items} videos.` };
+
+    return { playlists: touch(playlists, id, p => ({ ...p, items: [...p.items, { videoId, title, channelTitle }] })), error: '' };
+}
+
+/**
+ * @param {Array<Object>} playlists Saved playlists (not modified).
+ * @param {string} id Playlist id.
+ * @param {string} videoId Video to remove.
+ * @returns {Array<Object>}
+ */
+export function removeFromPlaylist(playlists, id, videoId) {
+    return touch(playlists, id, p => ({ ...p, items: p.items.filter(item => item.videoId !== videoId) }));
+}
+
+/**
+ * Moves a video within a playlist (drag and drop or the up/down buttons).
+ * @param {Array<Object>} playlists Saved playlists (not modified).
+ * @param {string} id Playlist id.
+ * @param {number} from Current index.
+ * @param {number} to Destination index.
+ * @returns {Array<Object>}
+ */
+export function movePlaylistItem(playlists, id, from, to) {
+    return touch(playlists, id, p => ({ ...p, items: moveItem(p.items, from, to) }));
+}
+
+/**
+ * Play order for a playlist.
+ * @param {Array<{videoId: string}>} items Playlist items.
+ * @param {Object} [options]
+ * @param {boolean} [options.shuffle=false] Shuffle the order.
+ * @param {string} [options.firstVideoId] Video to play first; when shuffling the rest follow in random order.
+ * @returns {Array<string>} videoIds.
+ */
+export function buildQueueOrder(items, { shuffle = false, firstVideoId } = {}) {
+    const ids = items.map(item => item.videoId);
+    if (!shuffle) return ids;
+
+    const rest = ids.filter(videoId => videoId !== firstVideoId);
+    for (let i = rest.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [rest[i], rest[j]] = [rest[j], rest[i]];
+    }
+    return ids.includes(firstVideoId) ? [firstVideoId, ...rest] : rest;
+}
+
+/**
+ * Where the queue goes when a video ends.
+ * @param {number} length Queue length.
+ * @param {number} index Index of the video that ended.
+ * @param {'off'|'all'|'one'} repeat Repeat mode.
+ * @returns {number|null} The next index, or null when playback should stop.
+ */
+export function getNextQueueIndex(length, index, repeat) {
+    if (length === 0) return null;
+    if (repeat === 'one') return index;
+    if (index + 1 < length) return index + 1;
+    return repeat === 'all' ? 0 : null;
+}
+
+export default {
+    createPlaylist, addToPlaylist, removeFromPlaylist, movePlaylistItem, buildQueueOrder, getNextQueueIndex,
+    PLAYLIST_LIMITS, REPEAT_MODES
+};
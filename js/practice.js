@@ -0,0 +1,129 @@
+/**
+ * PRACTICE MODULE (js/practice.js)
+ * Runs the full-screen guided practice overlay (#practice-timer in index.html) opened by the
+ * Start button on timed tips: a pacing circle that grows and shrinks with the breathing pattern,
+ * the countdown, pause/resume and a chime on each phase change. Timing and patterns come from
+ * js/breathing.js. When time is up the caller's onComplete(tip) checks the tip in; closing hands
+ * focus back to the Start button that opened the overlay.
+ */
+import { getBreathingPhase, formatCountdown, createPracticeTimer, playChime, BREATHING_PATTERNS } from './breathing.js';
+import { html, setHtml } from './render.js';
+
+/**
+ * Wires up the practice overlay.
+ * @param {Object} options
+ * @param {HTMLElement} options.root The overlay (#practice-timer).
+ * @param {{pattern: string, chime: boolean}} options.options Starting pattern and chime choice.
+ * @param {function({pattern: string, chime: boolean}): void} options.onOptionsChange Called when the user changes them.
+ * @param {function(Object): void} options.onComplete Called with the tip when its time is up; the
+ *   completion message tells the user it is now checked in for today.
+ * @returns {{open: function(Object): void, close: function(): void, isOpen: function(): boolean}}
+ */
+export function createPracticeOverlay({ root, options: initialOptions, onOptionsChange, onComplete }) {
+    const part = id => root.querySelector(`#practice-${id}`);
+    const ui = {
+        title: part('title'),
+        pattern: part('pattern'),
+        chime: part('chime'),
+        circle: part('circle'),
+        phase: part('phase'),
+        remaining: part('remaining'),
+        status: part('status'),
+        pause: part('pause'),
+        close: part('close')
+    };
+    let options = initialOptions;
+    let practice = null; // { tip, timer, phaseIndex, complete } while the overlay is open
+
+    setHtml(ui.pattern, Object.entries(BREATHING_PATTERNS).map(([value, { label }]) => html`<option value="${value}">${label}</option>`));
+
+    function renderTick(elapsed) {
+        const durationSeconds = practice.tip.durationMinutes * 60;
+        const phase = getBreathingPhase(options.pattern, elapsed);
+        ui.remaining.textContent = formatCountdown(durationSeconds - elapsed);
+        ui.phase.textContent = phase ? `${phase.label} ${phase.remaining}` : '';
+        ui.circle.style.transform = `scale(${phase ? phase.scale.toFixed(3) : 1})`;
+
+        // A quiet, lower tone marks each change of phase.
+        const phaseIndex = phase ? phase.index : null;
+        if (phaseIndex !== practice.phaseIndex && practice.phaseIndex !== null && options.chime) {
+            playChime({ frequency: 396, volume: 0.12, seconds: 0.8 });
+        }
+        practice.phaseIndex = phaseIndex;
+    }
+
+    function complete() {
+        if (options.chime) playChime();
+        practice.complete = true;
+        const { tip } = practice;
+        ui.phase.textContent = 'Well done';
+        ui.circle.style.transform = 'scale(1)';
+        ui.status.textContent = `Practice complete. "${tip.title}" is checked in for today.`;
+        ui.pause.classList.add('hidden');
+        ui.close.textContent = 'Close';
+        ui.close.focus();
+        onComplete(tip);
+    }
+
+    function close() {
+        if (!practice) return;
+        practice.timer.stop();
+        const { tip } = practice;
+        practice = null;
+        root.classList.add('hidden');
+        document.body.classList.remove('overflow-hidden');
+        // Back to the Start button that opened the timer, when it's still on the page.
+        [...document.querySelectorAll('.practice-start-btn')].find(button => button.dataset.tipId === tip.id && button.offsetParent !== null)?.focus();
+    }
+
+    function open(tip) {
+        close();
+        practice = { tip, timer: null, phaseIndex: null, complete: false };
+        practice.timer = createPracticeTimer({
+            durationSeconds: tip.durationMinutes * 60,
+            onTick: renderTick,
+            onComplete: complete
+        });
+
+        ui.pattern.value = options.pattern;
+        ui.chime.checked = options.chime;
+        ui.title.textContent = tip.title;
+        ui.status.textContent = '';
+        ui.pause.textContent = 'Pause';
+        ui.pause.classList.remove('hidden');
+        ui.close.textContent = 'End';
+        root.classList.remove('hidden');
+        document.body.classList.add('overflow-hidden');
+        ui.pause.focus();
+
+        if (options.chime) playChime();
+        practice.timer.start();
+    }
+
+    function togglePause() {
+        if (!practice || practice.complete) return;
+        if (practice.timer.isRunning()) {
+            practice.timer.pause();
+            ui.pause.textContent = 'Resume';
+            ui.status.textContent = 'Paused.';
+        } else {
+            practice.timer.start();
+            ui.pause.textContent = 'Pause';
+            ui.status.textContent = '';
+        }
+    }
+
+    function changeOptions() {
+        options = { pattern: ui.pattern.value, chime: ui.chime.checked };
+        onOptionsChange(options);
+    }
+
+    ui.pause.addEventListener('click', togglePause);
+    ui.close.addEventListener('click', close);
+    ui.pattern.addEventListener('change', changeOptions);
+    ui.chime.addEventListener('change', changeOptions);
+
+    return { open, close, isOpen: () => practice !== null };
+}
+
+export default { createPracticeOverlay };
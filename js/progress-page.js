@@ -0,0 +1,132 @@
+/**
+ * PROGRESS PAGE MODULE (js/progress-page.js)
+ * Renders #/progress (#progress-section in index.html) from the saved check-ins and watch history:
+ * streak totals, the practice calendar, video minutes for the last week and the tips practised
+ * most. Streaks and heatmap levels are worked out by js/habits.js. The "Done today" buttons in the
+ * list are handled by the app like everywhere else.
+ */
+import { getLocalDateKey, addDays, isDone, getTipStreak, getOverallStreak, getLongestStreak, buildHeatmap } from './habits.js';
+import { buildHash } from './router.js';
+import { html, setHtml, renderKeyed } from './render.js';
+import { CheckIn } from './components.js';
+
+const HEATMAP_LEVEL_OPACITY = [0, 0.3, 0.55, 0.8, 1];
+
+function renderHeatmapCell(day) {
+    if (!day) return html`<span class="block w-3 h-3"></span>`;
+    const label = `${day.date}: ${day.count === 0 ? 'no practice' : `${day.count} practice${day.count === 1 ? '' : 's'}`}`;
+    return day.level === 0
+        ? html`<span class="block w-3 h-3 rounded-sm bg-gray-200 dark:bg-gray-700" title="${label}"></span>`
+        : html`<span class="block w-3 h-3 rounded-sm" style="background-color: var(--primary-color); opacity: ${HEATMAP_LEVEL_OPACITY[day.level]};" title="${label}"></span>`;
+}
+
+// Minutes of video watched on each of the last 7 days, oldest first.
+function getWeekWatchMinutes(watchHistory, today) {
+    return Array.from({ length: 7 }, (_, i) => {
+        const date = addDays(today, i - 6);
+        const day = watchHistory.find(entry => entry.date === date);
+        return { date, minutes: day ? Math.round(day.seconds / 60) : 0 };
+    });
+}
+
+/**
+ * Wires up the progress page.
+ * @param {Object} options
+ * @param {HTMLElement} options.root The view (#progress-section).
+ * @param {function(): Array<Object>} options.getCheckIns Saved check-ins (see js/habits.js).
+ * @param {function(): Array<{date: string, seconds: number}>} options.getWatchHistory Video time watched per day.
+ * @param {function(): Array<Object>} options.getTips Tips to list under "practised".
+ * @returns {{render: function(): void}}
+ */
+export function createProgressPage({ root, getCheckIns, getWatchHistory, getTips }) {
+    const ui = {
+        stats: root.querySelector('#progress-stats'),
+        heatmap: root.querySelector('#progress-heatmap'),
+        tips: root.querySelector('#progress-tips'),
+        watch: root.querySelector('#progress-watch')
+    };
+
+    function renderHeatmap(checkIns, today) {
+        const weeks = buildHeatmap(checkIns, today);
+        // A month label sits above the week in which that month's first day falls.
+        const monthLabel = week => {
+            const first = week.find(day => day && day.date.endsWith('-01'));
+            return first ? new Date(`${first.date}T00:00:00`).toLocaleDateString(undefined, { month: 'short' }) : '';
+        };
+
+        setHtml(ui.heatmap, html`
+            <div class="inline-flex space-x-1" role="img" aria-label="Practice calendar for the last ${weeks.length} weeks">
+                ${weeks.map(week => html`
+                    <div class="flex flex-col space-y-1">
+                        <span class="h-4 text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap">${monthLabel(week)}</span>
+                        ${week.map(renderHeatmapCell)}
+                    </div>
+                `)}
+            </div>
+            <p class="flex items-center space-x-1 text-xs text-gray-500 dark:text-gray-400 mt-2">
+                <span>Less</span>
+                ${HEATMAP_LEVEL_OPACITY.map(opacity => opacity === 0
+                    ? html`<span class="block w-3 h-3 rounded-sm bg-gray-200 dark:bg-gray-700"></span>`
+                    : html`<span class="block w-3 h-3 rounded-sm" style="background-color: var(--primary-color); opacity: ${opacity};"></span>`)}
+                <span>More</span>
+            </p>
+        `);
+    }
+
+    function renderWatchHistory(week) {
+        const most = Math.max(1, ...week.map(day => day.minutes));
+        setHtml(ui.watch, week.map(({ date, minutes }) => html`
+            <div class="flex items-center space-x-3 text-sm">
+                <span class="w-24 text-gray-500 dark:text-gray-400">${new Date(`${date}T12:00:00`).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric' })}</span>
+                <span class="flex-1 h-3 rounded-full bg-gray-200 dark:bg-gray-700 overflow-hidden">
+                    <span class="block h-full rounded-full" style="width: ${Math.round((minutes / most) * 100)}%; background-color: var(--primary-color);"></span>
+                </span>
+                <span class="w-16 text-right">${minutes} min</span>
+            </div>
+        `));
+    }
+
+    function render() {
+        const checkIns = getCheckIns();
+        const today = getLocalDateKey();
+        const week = getWeekWatchMinutes(getWatchHistory(), today);
+        const days = count => `${count} day${count === 1 ? '' : 's'}`;
+        const stats = [
+            { label: 'Current streak', value: days(getOverallStreak(checkIns, today)) },
+            { label: 'Longest streak', value: days(getLongestStreak(checkIns)) },
+            { label: 'Practices logged', value: checkIns.length },
+            { label: 'Video minutes this week', value: week.reduce((sum, day) => sum + day.minutes, 0) }
+        ];
+        setHtml(ui.stats, stats.map(({ label, value }) => html`
+            <div class="p-6 card rounded-xl shadow text-center">
+                <p class="text-3xl font-heading text-primary-light dark:text-primary-dark">${value}</p>
+                <p class="text-sm text-gray-500 dark:text-gray-400">${label}</p>
+            </div>
+        `));
+
+        renderHeatmap(checkIns, today);
+        renderWatchHistory(week);
+
+        const practisedTips = getTips()
+            .map(tip => ({ tip, total: checkIns.filter(checkIn => checkIn.tipId === tip.id).length }))
+            .filter(({ total }) => total > 0)
+            .sort((a, b) => b.total - a.total);
+        renderKeyed(ui.tips, practisedTips, {
+            key: ({ tip }) => tip.id,
+            render: ({ tip, total }) => html`
+                <div class="card rounded-xl shadow p-4 flex flex-col sm:flex-row sm:items-center justify-between space-y-3 sm:space-y-0">
+                    <div>
+                        <p class="font-heading text-lg"><a href="${buildHash(`/tips/${encodeURIComponent(tip.id)}`)}" class="hover:underline">${tip.title}</a></p>
+                        <p class="text-sm text-gray-500 dark:text-gray-400">Done ${total} time${total === 1 ? '' : 's'}</p>
+                    </div>
+                    ${CheckIn({ tipId: tip.id, done: isDone(checkIns, tip.id, today), streak: getTipStreak(checkIns, tip.id, today) })}
+                </div>
+            `,
+            empty: html`<p class="text-center text-xl text-gray-500 p-8 card rounded-xl">No practices logged yet. Press "Done today" on a tip after you try it.</p>`
+        });
+    }
+
+    return { render };
+}
+
+export default { createProgressPage };
@@ -0,0 +1,119 @@
+/**
+ * QUOTES MODULE (js/quotes.js)
+ * Pluggable chain of quote providers. Providers are tried in priority order
+ * (lowest number first) until one returns a quote, so the app always has
+ * something wellness-related to show even when every remote API is down.
+ * * * Built-in providers:
+ * 1. quotable (priority 10)  -> api.quotable.io, see requestQuote() in js/api.js
+ * 2. local    (priority 100) -> bundled offline corpus in data/quotes.json
+ */
+import { requestQuote, FALLBACK_QUOTE } from './api.js';
+
+// Loaded relative to the page, like data/data.json in js/app.js.
+const LOCAL_QUOTES_URL = './data/quotes.json';
+
+// Closest Quotable tags for each tip category; unknown categories are sent as-is.
+const QUOTABLE_TAGS = {
+    Meditation: 'wisdom|happiness',
+    Fitness: 'motivational|inspirational',
+    Growth: 'inspirational|wisdom'
+};
+
+const providers = [];
+let localCorpus = null;
+
+/**
+ * Registers (or replaces, by name) a quote provider.
+ * @param {Object} provider
+ * @param {string} provider.name Unique provider name.
+ * @param {number} [provider.priority=50] Lower numbers are tried first.
+ * @param {function({tag?: string, signal?: AbortSignal}): Promise<{q: string, a: string, tags?: Array<string>}|null>} provider.fetchQuote
+ *   Resolves with a quote, or null/throws to pass to the next provider.
+ */
+export function registerQuoteProvider({ name, priority = 50, fetchQuote }) {
+    if (!name || typeof fetchQuote !== 'function') {
+        throw new Error('A quote provider needs a name and a fetchQuote function.');
+    }
+    unregisterQuoteProvider(name);
+    providers.push({ name, priority, fetchQuote });
+    providers.sort((a, b) => a.priority - b.priority);
+}
+
+/**
+ * Removes a registered provider.
+ * @param {string} name The provider name.
+ */
+export function unregisterQuoteProvider(name) {
+    const index = providers.findIndex(provider => provider.name === name);
+    if (index !== -1) providers.splice(index, 1);
+}
+
+/**
+ * @returns {Array<{name: string, priority: number}>} Registered providers in the order they are tried.
+ */
+export function getQuoteProviders() {
+    return providers.map(({ name, priority }) => ({ name, priority }));
+}
+
+function isValidQuote(quote) {
+    return Boolean(quote && typeof quote.q === 'string' && quote.q.trim() && typeof quote.a === 'string');
+}
+
+/**
+ * Asks each provider in turn for a quote, optionally matching a tag such as a tip category.
+ * @param {{tag?: string, signal?: AbortSignal}} [options]
+ * @returns {Promise<{q: string, a: string, tags: Array<string>, provider: string}>} The first quote returned.
+ */
+export async function getQuote({ tag = '', signal } = {}) {
+    for (const provider of providers) {
+        try {
+            const quote = await provider.fetchQuote({ tag, signal });
+            if (isValidQuote(quote)) {
+                return { q: quote.q.trim(), a: quote.a.trim() || 'Unknown', tags: quote.tags || [], provider: provider.name };
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.warn(`Quote provider "${provider.name}" failed; trying the next one.`, error);
+        }
+    }
+    throw new Error('No quote provider returned a quote.');
+}
+
+/**
+ * Loads the bundled quote corpus once.
+ * @returns {Promise<Array<{id: string, q: string, a: string, tags: Array<string>}>>}
+ */
+export async function loadLocalQuotes() {
+    if (!localCorpus) {
+        const response = await fetch(LOCAL_QUOTES_URL);
+        if (!response.ok) throw new Error(`Local quotes failed to load. Status: ${response.status}`);
+        localCorpus = await response.json();
+    }
+    return localCorpus;
+}
+
+// --- BUILT-IN PROVIDERS ---
+
+registerQuoteProvider({
+    name: 'quotable',
+    priority: 10,
+    fetchQuote: ({ tag, signal }) => requestQuote({ tags: tag ? (QUOTABLE_TAGS[tag] || tag.toLowerCase()) : '', signal })
+});
+
+registerQuoteProvider({
+    name: 'local',
+    priority: 100,
+    async fetchQuote({ tag }) {
+        const corpus = await loadLocalQuotes();
+        const wanted = tag.toLowerCase();
+        const tagged = corpus.filter(quote => (quote.tags || []).some(t => t.toLowerCase() === wanted));
+        // No quotes for this tag: any quote beats no quote.
+        const pool = tagged.length > 0 ? tagged : corpus;
+        return pool[Math.floor(Math.random() * pool.length)] || null;
+    }
+});
+
+// Re-exported so callers of the chain have the same last resort as js/api.js.
+export { FALLBACK_QUOTE };
+
+export default { registerQuoteProvider, unregisterQuoteProvider, getQuoteProviders, getQuote, loadLocalQuotes };
@@ -0,0 +1,238 @@
+/**
+ * REMINDERS PAGE MODULE (js/reminders-page.js)
+ * Everything the user sees of reminders: the #/reminders view (#reminders-section in index.html)
+ * and the banner used when a reminder can't be shown as a notification. The schedule itself,
+ * quiet hours and sending are in js/reminders.js.
+ * createRemindersPage() keeps the reminders and quiet hours, hands every change to onChange()
+ * for saving, and returns the callbacks startReminderScheduler() needs (getState, fire, skip).
+ * Daily reminders can also be downloaded as calendar events (see js/calendar.js).
+ */
+import {
+    validateReminder, getNextFireTime, describeSchedule, pickReminderTip, getNotificationPermission,
+    requestNotificationPermission, showNotification, REMINDER_KINDS
+} from './reminders.js';
+import { scheduleReminders, buildCalendar } from './calendar.js';
+import { getLocalDateKey } from './habits.js';
+import { getCategoryLabel } from './facets.js';
+import { buildHash } from './router.js';
+import { html, setHtml, renderKeyed } from './render.js';
+import { downloadBlob } from './share.js';
+
+const PERMISSION_MESSAGES = {
+    granted: 'Notifications are on. Reminders appear even when this tab is in the background.',
+    default: 'Allow notifications to get reminders while you work in other tabs. Until then they show as a banner here.',
+    denied: 'Notifications are blocked in your browser settings, so reminders show as a banner on the page.',
+    unsupported: "This browser can't show notifications, so reminders show as a banner on the page."
+};
+
+function formatNextFire(date) {
+    const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const days = Math.round((new Date(date).setHours(0, 0, 0, 0) - new Date().setHours(0, 0, 0, 0)) / (24 * 60 * 60 * 1000));
+    if (days === 0) return `today at ${time}`;
+    if (days === 1) return `tomorrow at ${time}`;
+    return `${date.toLocaleDateString([], { weekday: 'long' })} at ${time}`;
+}
+
+/**
+ * Wires up the reminders page.
+ * @param {Object} options
+ * @param {HTMLElement} options.root The view (#reminders-section).
+ * @param {HTMLElement} options.banner The in-page fallback for notifications (#reminder-banner).
+ * @param {{reminders: Array<Object>, quietHours: Object}} options.settings Saved reminders and quiet hours.
+ * @param {function(): Array<Object>} options.getTips Tips a reminder can pick from.
+ * @param {function(): Array<string>} options.getCategories Categories offered in the add form.
+ * @param {function({reminders: Array<Object>, quietHours: Object}): void} options.onChange Called with the
+ *   settings after every change, so they can be saved.
+ * @returns {{render: function(): void, getState: function(): Object, fire: function(Object): Promise<void>, skip: function(Object): void}}
+ *   getState, fire and skip are the getState, onDue and onMissed callbacks for startReminderScheduler().
+ */
+export function createRemindersPage({ root, banner, settings, getTips, getCategories, onChange }) {
+    const ui = {
+        permission: root.querySelector('#reminders-permission'),
+        allow: root.querySelector('#reminders-allow'),
+        quietForm: root.querySelector('#reminders-quiet-form'),
+        list: root.querySelector('#reminders-list'),
+        form: root.querySelector('#reminders-form'),
+        exportButton: root.querySelector('#reminders-export'),
+        exportStatus: root.querySelector('#reminders-export-status')
+    };
+    let state = settings;
+
+    function save(changes) {
+        state = { ...state, ...changes };
+        onChange(state);
+    }
+
+    function renderPermission() {
+        const permission = getNotificationPermission();
+        ui.permission.textContent = PERMISSION_MESSAGES[permission];
+        ui.allow.classList.toggle('hidden', permission !== 'default');
+    }
+
+    // Shows the interval or time field for the chosen kind of reminder.
+    function showKindFields() {
+        const kind = ui.form.elements.kind.value;
+        ui.form.querySelectorAll('[data-kind]').forEach(field => field.classList.toggle('hidden', field.dataset.kind !== kind));
+    }
+
+    function renderForm() {
+        const form = ui.form;
+        const selected = form.elements.category.value;
+        setHtml(form.elements.category, html`
+            <option value="">Any category</option>
+            ${getCategories().map(category => html`<option value="${category}" ${category === selected && 'selected'}>${getCategoryLabel(category)}</option>`)}
+        `);
+        showKindFields();
+
+        const { quietHours } = state;
+        ui.quietForm.elements.enabled.checked = quietHours.enabled;
+        ui.quietForm.elements.start.value = quietHours.start;
+        ui.quietForm.elements.end.value = quietHours.end;
+    }
+
+    function renderItem(reminder) {
+        const next = getNextFireTime(reminder, state.quietHours);
+        const details = [describeSchedule(reminder), reminder.category ? `${getCategoryLabel(reminder.category)} tip` : 'Any tip'];
+        if (next) details.push(`next ${formatNextFire(next)}`);
+
+        return html`
+            <div class="card rounded-xl shadow p-4 flex flex-col sm:flex-row sm:items-center justify-between space-y-3 sm:space-y-0 sm:space-x-4">
+                <div>
+                    <p class="font-heading text-lg ${!reminder.enabled && 'text-gray-500 dark:text-gray-400'}">${reminder.label}</p>
+                    <p class="text-sm text-gray-500 dark:text-gray-400">${details.join(' | ')}</p>
+                </div>
+                <div class="flex items-center space-x-4">
+                    <label class="inline-flex items-center space-x-2 cursor-pointer">
+                        <input type="checkbox" class="w-4 h-4 accent-green-600" data-reminder-action="toggle" data-reminder-id="${reminder.id}" ${reminder.enabled && 'checked'}>
+                        <span>On</span>
+                    </label>
+                    <button type="button" class="px-3 py-1 rounded-lg border-2 font-semibold text-red-500 border-red-500" data-reminder-action="delete" data-reminder-id="${reminder.id}">Delete</button>
+                </div>
+            </div>
+        `;
+    }
+
+    function renderList() {
+        renderKeyed(ui.list, state.reminders, {
+            key: reminder => reminder.id,
+            render: renderItem,
+            empty: html`<p class="text-gray-500 dark:text-gray-400">No reminders yet. Add one below.</p>`
+        });
+    }
+
+    function render() {
+        renderPermission();
+        renderForm();
+        renderList();
+    }
+
+    function updateReminder(id, changes) {
+        save({ reminders: state.reminders.map(reminder => (reminder.id === id ? { ...reminder, ...changes } : reminder)) });
+        if (!root.classList.contains('hidden')) renderList();
+    }
+
+    // Fallback for a reminder that couldn't be shown as a system notification.
+    function showBanner({ title, body, link }) {
+        banner.querySelector('[data-title]').textContent = title;
+        banner.querySelector('[data-body]').textContent = body;
+        banner.querySelector('[data-link]').href = link;
+        banner.classList.remove('hidden');
+    }
+
+    // Scheduler callback: sends the reminder with a tip from its category.
+    async function fire(reminder) {
+        // Record the firing first so the next scheduler tick can't send it twice.
+        updateReminder(reminder.id, { lastFiredAt: new Date().toISOString() });
+
+        const tip = pickReminderTip(getTips(), reminder.category);
+        const link = tip ? buildHash(`/tips/${encodeURIComponent(tip.id)}`) : buildHash('/tips');
+        const message = { title: reminder.label, body: tip ? `${tip.title}: ${tip.content}` : 'Time for a wellness break.', link };
+        const shown = await showNotification({ ...message, url: new URL(link, window.location.href).href, tag: reminder.id });
+        if (!shown) showBanner(message);
+    }
+
+    // Reminders that came due while the page was closed are not sent late; they restart from now.
+    function skip(reminder) {
+        updateReminder(reminder.id, { lastFiredAt: new Date().toISOString() });
+    }
+
+    async function handleAllow() {
+        await requestNotificationPermission();
+        renderPermission();
+    }
+
+    function handleSubmit(event) {
+        event.preventDefault();
+        const form = ui.form.elements;
+        const fields = {
+            label: form.label.value.trim(),
+            category: form.category.value,
+            kind: form.kind.value,
+            everyMinutes: Math.round(Number(form.everyHours.value) * 60),
+            time: form.time.value
+        };
+        const errors = validateReminder(fields);
+        ui.form.querySelectorAll('.reminder-error').forEach(el => {
+            el.textContent = errors[el.dataset.field] || '';
+        });
+        if (Object.keys(errors).length > 0) return;
+
+        const now = new Date().toISOString();
+        save({ reminders: [...state.reminders, { id: `reminder-${Date.now().toString(36)}`, ...fields, enabled: true, anchorAt: now, lastFiredAt: null }] });
+        form.label.value = '';
+        renderList();
+    }
+
+    // On/off switches in the reminder list.
+    function handleToggle(event) {
+        const toggle = event.target.closest('[data-reminder-action="toggle"]');
+        if (!toggle) return;
+
+        // Switching a reminder on starts its schedule from now rather than from its last firing.
+        updateReminder(toggle.dataset.reminderId, toggle.checked ? { enabled: true, anchorAt: new Date().toISOString(), lastFiredAt: null } : { enabled: false });
+    }
+
+    function handleDelete(event) {
+        const button = event.target.closest('[data-reminder-action="delete"]');
+        if (!button) return;
+
+        save({ reminders: state.reminders.filter(reminder => reminder.id !== button.dataset.reminderId) });
+        renderList();
+    }
+
+    function handleQuietHoursChange() {
+        const form = ui.quietForm.elements;
+        if (!form.start.value || !form.end.value) return;
+        save({ quietHours: { enabled: form.enabled.checked, start: form.start.value, end: form.end.value } });
+        renderList();
+    }
+
+    // "Add daily reminders to calendar": the enabled daily reminders, with an alert at each.
+    function handleExport() {
+        const events = scheduleReminders(state.reminders, { startDate: getLocalDateKey(), url: new URL(buildHash('/'), window.location.href).href });
+        ui.exportStatus.classList.toggle('text-red-500', events.length === 0);
+        if (events.length === 0) {
+            ui.exportStatus.textContent = 'Turn on a daily reminder first. Reminders every few hours stay in the app.';
+            return;
+        }
+
+        downloadBlob(new Blob([buildCalendar(events, { name: 'Wellness Hub reminders' })], { type: 'text/calendar;charset=utf-8' }), 'wellness-reminders.ics');
+        ui.exportStatus.textContent = `Downloaded ${events.length} daily reminder${events.length === 1 ? '' : 's'}.`;
+    }
+
+    setHtml(ui.form.elements.kind, Object.entries(REMINDER_KINDS).map(([value, label]) => html`<option value="${value}">${label}</option>`));
+    ui.allow.addEventListener('click', handleAllow);
+    ui.quietForm.addEventListener('change', handleQuietHoursChange);
+    ui.list.addEventListener('change', handleToggle);
+    ui.list.addEventListener('click', handleDelete);
+    ui.form.addEventListener('submit', handleSubmit);
+    ui.form.elements.kind.addEventListener('change', showKindFields);
+    ui.exportButton.addEventListener('click', handleExport);
+    const hideBanner = () => banner.classList.add('hidden');
+    banner.querySelector('[data-dismiss]').addEventListener('click', hideBanner);
+    banner.querySelector('[data-link]').addEventListener('click', hideBanner);
+
+    return { render, getState: () => state, fire, skip };
+}
+
+export default { createRemindersPage };
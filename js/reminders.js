@@ -0,0 +1,191 @@
+/**
+ * REMINDERS MODULE (js/reminders.js)
+ * Scheduled wellness reminders shown as browser notifications, with quiet hours.
+ * Reminders are checked by a timer while the app is open in a tab; a static site
+ * has no push server to wake a closed page.
+ * * * Reminder shape:
+ * { id, label, category ('' = any), kind: 'interval'|'daily', everyMinutes, time: 'HH:MM',
+ *   enabled, anchorAt (when it was created or last re-enabled), lastFiredAt }
+ * * * Delivery:
+ * 1. Notification permission granted -> system notification (via the service worker when available)
+ * 2. Denied, unsupported or not asked -> the caller shows an in-page banner instead
+ */
+
+export const REMINDER_KINDS = {
+    interval: 'Every few hours',
+    daily: 'Daily at a set time'
+};
+
+export const DEFAULT_QUIET_HOURS = { enabled: true, start: '22:00', end: '07:00' };
+
+// Examples shown on first use, switched off until the user turns them on.
+export const EXAMPLE_REMINDERS = [
+    { id: 'reminder-hydration', label: 'Drink some water', category: 'Fitness', kind: 'interval', everyMinutes: 120, time: '09:00', enabled: false },
+    { id: 'reminder-meditation', label: 'Morning meditation', category: 'Meditation', kind: 'daily', everyMinutes: 120, time: '09:00', enabled: false }
+];
+
+// Reminders overdue by more than this (e.g. the tab was closed) are skipped rather than fired late.
+const MISSED_GRACE_MS = 15 * 60 * 1000;
+const CHECK_INTERVAL_MS = 30 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+// The first moment at local `time` strictly after `date`.
+function nextTimeOfDay(date, time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const next = new Date(date);
+    next.setHours(hours, minutes, 0, 0);
+    if (next <= date) next.setDate(next.getDate() + 1);
+    return next;
+}
+
+/**
+ * Validates the fields of the "Add reminder" form.
+ * @param {Object} fields { label, kind, everyMinutes, time }
+ * @returns {Object<string, string>} Error messages keyed by field; empty when valid.
+ */
+export function validateReminder({ label, kind, everyMinutes, time }) {
+    const errors = {};
+    if (!String(label || '').trim()) errors.label = 'Give the reminder a name.';
+    if (!(kind in REMINDER_KINDS)) errors.kind = 'Choose how often to be reminded.';
+    if (kind === 'interval' && !(Number.isInteger(everyMinutes) && everyMinutes >= 15 && everyMinutes <= 24 * 60)) {
+        errors.everyMinutes = 'Choose an interval from 15 minutes to 24 hours.';
+    }
+    if (kind === 'daily' && !TIME_PATTERN.test(time || '')) errors.time = 'Choose a time such as 09:00.';
+    return errors;
+}
+
+/**
+ * @param {Date} date The moment to check.
+ * @param {{enabled: boolean, start: string, end: string}} quietHours Start/end may span midnight.
+ * @returns {boolean}
+ */
+export function isQuietTime(date, quietHours) {
+    if (!quietHours || !quietHours.enabled || quietHours.start === quietHours.end) return false;
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+/**
+ * When a reminder fires next, moved to the end of quiet hours if it would fall inside them.
+ * @param {Object} reminder The reminder.
+ * @param {Object} quietHours Quiet hours settings.
+ * @returns {Date|null} Null when the reminder is switched off.
+ */
+export function getNextFireTime(reminder, quietHours) {
+    if (!reminder.enabled) return null;
+
+    const anchor = new Date(reminder.lastFiredAt || reminder.anchorAt || Date.now());
+    const next = reminder.kind === 'daily'
+        ? nextTimeOfDay(anchor, reminder.time)
+        : new Date(anchor.getTime() + reminder.everyMinutes * 60 * 1000);
+
+    return isQuietTime(next, quietHours) ? nextTimeOfDay(next, quietHours.end) : next;
+}
+
+/**
+ * @param {Object} reminder The reminder.
+ * @returns {string} e.g. "Every 2 hours" or "Daily at 09:00".
+ */
+export function describeSchedule(reminder) {
+    if (reminder.kind === 'daily') return `Daily at ${reminder.time}`;
+    const minutes = reminder.everyMinutes;
+    if (minutes % 60 !== 0) return `Every ${minutes} minutes`;
+    return minutes === 60 ? 'Every hour' : `Every ${minutes / 60} hours`;
+}
+
+/**
+ * Picks a random tip for a reminder, from its category when it has one.
+ * @param {Array<Object>} tips Tips from data/data.json.
+ * @param {string} category Reminder category ('' for any).
+ * @returns {Object|null}
+ */
+export function pickReminderTip(tips, category) {
+    const matching = category ? tips.filter(tip => tip.category === category) : [];
+    const pool = matching.length > 0 ? matching : tips;
+    return pool[Math.floor(Math.random() * pool.length)] || null;
+}
+
+/**
+ * @returns {'granted'|'denied'|'default'|'unsupported'}
+ */
+export function getNotificationPermission() {
+    return typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+}
+
+/**
+ * Asks the browser for notification permission (must be called from a user action).
+ * @returns {Promise<string>} The resulting permission.
+ */
+export async function requestNotificationPermission() {
+    if (getNotificationPermission() === 'unsupported') return 'unsupported';
+    return Notification.requestPermission();
+}
+
+/**
+ * Shows a system notification if permission allows.
+ * @param {{title: string, body: string, url: string, tag: string}} message url is opened on click.
+ * @returns {Promise<boolean>} False when the caller should fall back to an in-page banner.
+ */
+export async function showNotification({ title, body, url, tag }) {
+    if (getNotificationPermission() !== 'granted') return false;
+
+    const options = { body, tag, data: { url } };
+    try {
+        // Mobile browsers only allow notifications through a service worker registration.
+        const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+        if (registration) {
+            await registration.showNotification(title, options);
+        } else {
+            const notification = new Notification(title, options);
+            notification.onclick = () => {
+                window.focus();
+                window.location.href = url;
+                notification.close();
+            };
+        }
+        return true;
+    } catch (e) {
+        console.warn('Could not show a notification; falling back to the in-page banner.', e);
+        return false;
+    }
+}
+
+/**
+ * Checks reminders on a timer and reports the ones that are due.
+ * @param {Object} options
+ * @param {function(): {reminders: Array<Object>, quietHours: Object}} options.getState Current reminders.
+ * @param {function(Object): void} options.onDue Called with each reminder that should fire now.
+ * @param {function(Object): void} options.onMissed Called with each reminder that was due too long ago to fire.
+ * @returns {function(): void} Stops the timer.
+ */
+export function startReminderScheduler({ getState, onDue, onMissed }) {
+    const check = () => {
+        const { reminders, quietHours } = getState();
+        const now = Date.now();
+        reminders.forEach(reminder => {
+            const next = getNextFireTime(reminder, quietHours);
+            if (!next || next.getTime() > now) return;
+            if (now - next.getTime() > MISSED_GRACE_MS) {
+                onMissed(reminder);
+            } else {
+                onDue(reminder);
+            }
+        });
+    };
+    check();
+    const timer = setInterval(check, CHECK_INTERVAL_MS);
+    return () => clearInterval(timer);
+}
+
+export default {
+    validateReminder, isQuietTime, getNextFireTime, describeSchedule, pickReminderTip,
+    getNotificationPermission, requestNotificationPermission, showNotification, startReminderScheduler,
+    REMINDER_KINDS, DEFAULT_QUIET_HOURS, EXAMPLE_REMINDERS
+};
@@ -0,0 +1,153 @@
+/**
+ * RENDER MODULE (js/render.js)
+ * Small rendering layer: an `html` template tag that escapes every interpolated
+ * value, and keyed list updates that keep unchanged DOM nodes in place.
+ * * * Usage:
+ * 1. html`<p>${text}</p>`         -> text is escaped (quotes, <, >, &)
+ * 2. html`<ul>${items.map(...)}</ul>` -> arrays of html`` results are joined
+ * 3. raw(markup)                  -> trusted markup, e.g. from highlightMatches()
+ * 4. renderKeyed(list, items, {…}) -> adds, removes, reorders and updates only changed items
+ * 5. syncKeyed(node)              -> after a keyed node was patched in place, so it isn't replaced
+ */
+
+// Marks a string as already-safe markup so html`` doesn't escape it again.
+class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+/**
+ * Escapes text for use in HTML content and attribute values.
+ * @param {*} value Any value; null/undefined become ''.
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Wraps trusted markup so html`` inserts it as-is. Only use for markup built by this app.
+ * @param {string} markup
+ * @returns {SafeHtml}
+ */
+export function raw(markup) {
+    return new SafeHtml(String(markup ?? ''));
+}
+
+// null, undefined and false render nothing, so `${cond && html`...`}` works.
+function toMarkup(value) {
+    if (value instanceof SafeHtml) return value.markup;
+    if (Array.isArray(value)) return value.map(toMarkup).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHtml(value);
+}
+
+/**
+ * Template tag that escapes every interpolated value.
+ * @returns {SafeHtml} Safe to nest inside other html`` templates or pass to setHtml().
+ */
+export function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((markup, part, i) => markup + part + (i < values.length ? toMarkup(values[i]) : ''), ''));
+}
+
+/**
+ * Replaces an element's content with html`` output.
+ * @param {Element} container
+ * @param {SafeHtml|Array<SafeHtml>} content
+ */
+export function setHtml(container, content) {
+    container.innerHTML = toMarkup(content);
+}
+
+// Markup each keyed node was last rendered from, so unchanged items are left alone.
+const renderedMarkup = new WeakMap();
+// The render() and items (by key, with their index) of each container's last renderKeyed(), for syncKeyed().
+const renderedItems = new WeakMap();
+
+function createNode(markup) {
+    const template = document.createElement('template');
+    template.innerHTML = markup.trim();
+    return template.content.firstElementChild;
+}
+
+/**
+ * Renders a list by key: nodes whose markup hasn't changed are kept (so an embedded
+ * video keeps playing), changed ones are replaced, and the rest are added, moved or removed.
+ * Each rendered item must have a single root element.
+ * @param {Element} container The list element.
+ * @param {Array<*>} items Items in display order.
+ * @param {Object} options
+ * @param {function(*): string} options.key Stable id for an item.
+ * @param {function(*, number): SafeHtml} options.render Markup for one item.
+ * @param {SafeHtml} [options.empty] Shown instead when there are no items.
+ */
+export function renderKeyed(container, items, { key, render, empty = '' }) {
+    if (items.length === 0) {
+        setHtml(container, empty);
+        renderedItems.delete(container);
+        return;
+    }
+
+    const existing = new Map();
+    [...container.children].forEach(node => {
+        if (node.dataset.key === undefined) {
+            node.remove(); // e.g. a previous empty-state message
+        } else {
+            existing.set(node.dataset.key, node);
+        }
+    });
+
+    const seen = new Map();
+    const byKey = new Map();
+    items.forEach((item, index) => {
+        // Duplicate keys (e.g. the same video twice in a response) get their own nodes.
+        const baseKey = String(key(item));
+        const count = seen.get(baseKey) || 0;
+        seen.set(baseKey, count + 1);
+        const itemKey = count === 0 ? baseKey : `${baseKey}#${count}`;
+        byKey.set(itemKey, { item, index });
+
+        const markup = toMarkup(render(item, index));
+        let node = existing.get(itemKey);
+        existing.delete(itemKey);
+        if (!node || renderedMarkup.get(node) !== markup) {
+            const fresh = createNode(markup);
+            fresh.dataset.key = itemKey;
+            renderedMarkup.set(fresh, markup);
+            if (node) node.replaceWith(fresh);
+            node = fresh;
+        }
+
+        const current = container.children[index];
+        if (current !== node) container.insertBefore(node, current || null);
+    });
+
+    existing.forEach(node => node.remove());
+    renderedItems.set(container, { render, byKey });
+}
+
+/**
+ * Records a keyed node's current markup after it was changed in place (e.g. a heart toggled by
+ * updateHeartButtons()). Its item is rendered again with the render() last passed to
+ * renderKeyed(), so the next renderKeyed() sees the same markup and keeps the node (and any player
+ * in it) instead of replacing it. Nodes that renderKeyed() didn't create are ignored.
+ * @param {Element} node A direct child of a renderKeyed() container.
+ */
+export function syncKeyed(node) {
+    const rendered = renderedItems.get(node.parentElement);
+    const entry = rendered && rendered.byKey.get(node.dataset.key);
+    if (!entry || !renderedMarkup.has(node)) return;
+    renderedMarkup.set(node, toMarkup(rendered.render(entry.item, entry.index)));
+}
+
+export default { escapeHtml, raw, html, setHtml, renderKeyed, syncKeyed };
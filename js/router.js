@@ -0,0 +1,141 @@
+/**
+ * ROUTER MODULE (js/router.js)
+ * Minimal hash-based client-side router so every view can be deep linked.
+ * * * Supported routes:
+ * 1. #/                      -> Home (quote, tips, videos)
+ * 2. #/tips?category=X&q=Y   -> Tips focus view with filter + search
+ * 3. #/tips/:id              -> Single tip detail page
+ * 4. #/favorites?type=X&q=Y  -> Saved favorites filtered by type and search
+ * 5. #/quotes?page=N         -> Dated archive of previously shown quotes
+ * 6. #/settings              -> YouTube key and video search settings
+ * 7. #/plan                  -> Daily routine planner
+ * 8. #/progress              -> Habit streaks and practice calendar
+ * 9. #/reminders             -> Scheduled wellness reminders and quiet hours
+ * 10. #/my-tips?edit=ID      -> Custom tip editor (create, edit, delete)
+ * 11. #/playlists?list=ID    -> Video playlists and the queue player
+ */
+
+// --- ROUTE TABLE ---
+// Patterns are matched in order; ':name' segments are captured into route.params.
+const ROUTES = [
+    { pattern: '/', view: 'home' },
+    { pattern: '/tips', view: 'tips' },
+    { pattern: '/tips/:id', view: 'tip' },
+    { pattern: '/favorites', view: 'favorites' },
+    { pattern: '/quotes', view: 'quotes' },
+    { pattern: '/settings', view: 'settings' },
+    { pattern: '/plan', view: 'plan' },
+    { pattern: '/progress', view: 'progress' },
+    { pattern: '/reminders', view: 'reminders' },
+    { pattern: '/my-tips', view: 'my-tips' },
+    { pattern: '/playlists', view: 'playlists' }
+];
+
+const DEFAULT_VIEW = 'home';
+
+let routeListener = null;
+let lastHandledHash = null;
+
+/**
+ * Matches a path like "/tips/tip-1" against a pattern like "/tips/:id".
+ * @param {string} pattern The route pattern.
+ * @param {string} path The path part of the hash.
+ * @returns {Object|null} The captured segments, or null if the path does not match.
+ */
+function matchPattern(pattern, path) {
+    const patternParts = pattern.split('/').filter(Boolean);
+    const pathParts = path.split('/').filter(Boolean);
+    if (patternParts.length !== pathParts.length) return null;
+
+    const captured = {};
+    for (let i = 0; i < patternParts.length; i++) {
+        if (patternParts[i].startsWith(':')) {
+            try {
+                captured[patternParts[i].slice(1)] = decodeURIComponent(pathParts[i]);
+            } catch (e) {
+                // A mangled escape such as "%E0" can't name anything; treat it as an unknown route.
+                return null;
+            }
+        } else if (patternParts[i] !== pathParts[i]) {
+            return null;
+        }
+    }
+    return captured;
+}
+
+/**
+ * Parses a location hash into a route object.
+ * @param {string} hash A hash such as "#/tips?category=Meditation&q=breath".
+ * @returns {{view: string, params: Object, query: Object, hash: string}} The parsed route.
+ */
+export function parseHash(hash = window.location.hash) {
+    const raw = (hash || '').replace(/^#/, '');
+    const [pathPart, queryString = ''] = raw.split('?');
+    const path = pathPart || '/';
+    const query = Object.fromEntries(new URLSearchParams(queryString));
+
+    for (const route of ROUTES) {
+        const params = matchPattern(route.pattern, path);
+        if (params) {
+            return { view: route.view, params, query, hash: buildHash(path, query) };
+        }
+    }
+
+    // Unknown routes fall back to Home rather than a blank page.
+    return { view: DEFAULT_VIEW, params: {}, query, hash: buildHash('/', query) };
+}
+
+/**
+ * Builds a hash string from a path and query object, dropping empty values.
+ * @param {string} path The route path, e.g. "/tips" or "/tips/tip-1".
+ * @param {Object} [query={}] Query parameters to serialise.
+ * @returns {string} The hash, e.g. "#/tips?category=Meditation".
+ */
+export function buildHash(path, query = {}) {
+    const search = new URLSearchParams();
+    Object.entries(query).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+            search.set(key, value);
+        }
+    });
+    const queryString = search.toString();
+    return `#${path}${queryString ? `?${queryString}` : ''}`;
+}
+
+function handleLocationChange() {
+    const route = parseHash(window.location.hash);
+    // hashchange and popstate both fire on back/forward; only handle each hash once.
+    if (route.hash === lastHandledHash) return;
+    lastHandledHash = route.hash;
+    if (routeListener) routeListener(route);
+}
+
+/**
+ * Navigates to a hash. Replaced entries (e.g. typing in the search box) do not
+ * grow the history stack and still notify the route listener.
+ * @param {string} hash The target hash built with buildHash().
+ * @param {{replace?: boolean}} [options]
+ */
+export function navigate(hash, { replace = false } = {}) {
+    if (replace) {
+        history.replaceState(history.state, '', hash);
+        handleLocationChange();
+    } else if (window.location.hash !== hash) {
+        window.location.hash = hash;
+    } else {
+        handleLocationChange();
+    }
+}
+
+/**
+ * Starts listening for hash and history changes and immediately resolves the current route.
+ * @param {function(Object): void} listener Called with the parsed route on every change.
+ */
+export function startRouter(listener) {
+    routeListener = listener;
+    window.addEventListener('hashchange', handleLocationChange);
+    window.addEventListener('popstate', handleLocationChange);
+    handleLocationChange();
+}
+
+export default { parseHash, buildHash, navigate, startRouter };
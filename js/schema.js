@@ -0,0 +1,123 @@
+/**
+ * SCHEMA MODULE (js/schema.js)
+ * The declared shape of a tip in data/data.json, and a validator that keeps the good
+ * records, so one malformed entry can't break search or rendering for the rest.
+ * * * Checks:
+ * 1. The file is a JSON array of objects
+ * 2. Every field matches TIP_SCHEMA (type, required, allowed values)
+ * 3. Ids are unique; later records reusing an id are skipped
+ * Each skipped record is reported with its position, id and the field at fault.
+ * Fields not in the schema are allowed and left untouched. Custom tips saved in the browser get
+ * the same checks from validateCustomTips(), plus the editor's rules from js/authoring.js.
+ */
+import { isCustomTipId, validateTip, TIP_DIFFICULTIES } from './authoring.js';
+
+export const TIP_SCHEMA = {
+    id: { type: 'string', required: true },
+    title: { type: 'string', required: true },
+    content: { type: 'string', required: true },
+    category: { type: 'string', required: true },
+    source: { type: 'string', required: true },
+    durationMinutes: { type: 'integer', min: 0 },
+    difficulty: { type: 'string', oneOf: TIP_DIFFICULTIES },
+    isTrending: { type: 'boolean' },
+    keywords: { type: 'array', items: 'string' },
+    publishedDate: { type: 'date' }
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const TYPE_CHECKS = {
+    string: value => typeof value === 'string' && value.trim() !== '',
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean',
+    array: value => Array.isArray(value),
+    date: value => typeof value === 'string' && DATE_PATTERN.test(value)
+        && !Number.isNaN(Date.parse(value)) && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value)
+};
+
+const TYPE_MESSAGES = {
+    string: 'must be non-empty text',
+    integer: 'must be a whole number',
+    boolean: 'must be true or false',
+    array: 'must be a list',
+    date: 'must be a date like 2025-05-20'
+};
+
+// The problem with one field, or null when it is fine.
+function checkField(value, rule) {
+    if (value === undefined || value === null) return rule.required ? 'is missing' : null;
+    if (!TYPE_CHECKS[rule.type](value)) return TYPE_MESSAGES[rule.type];
+    if (rule.min !== undefined && value < rule.min) return `must be ${rule.min} or more`;
+    if (rule.oneOf && !rule.oneOf.includes(value)) return `must be one of ${rule.oneOf.join(', ')}`;
+    if (rule.items && !value.every(item => TYPE_CHECKS[rule.items](item))) return `must only contain ${TYPE_MESSAGES[rule.items].replace('must be ', '')}`;
+    return null;
+}
+
+/**
+ * @param {*} record One entry from the file.
+ * @returns {Array<{field: string, message: string}>} Empty when the record is valid.
+ */
+export function validateTipRecord(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return [{ field: null, message: 'is not an object' }];
+    }
+    return Object.entries(TIP_SCHEMA)
+        .map(([field, rule]) => ({ field, message: checkField(record[field], rule) }))
+        .filter(problem => problem.message);
+}
+
+/**
+ * Validates the parsed contents of data/data.json.
+ * @param {*} data Parsed JSON.
+ * @returns {{tips: Array<Object>, issues: Array<{entry: number|null, id: string, field: string|null, message: string}>}}
+ *   tips holds the valid records in file order. entry is the 1-based position in the file
+ *   (null for problems with the file as a whole).
+ */
+export function validateTipsData(data) {
+    if (!Array.isArray(data)) {
+        return { tips: [], issues: [{ entry: null, id: '', field: null, message: 'must contain a list of tips' }] };
+    }
+    return keepValidRecords(data, validateTipRecord);
+}
+
+/**
+ * Validates the custom tips saved by the editor, which may have been changed outside the app
+ * or saved by an older build. Besides TIP_SCHEMA, each must have a custom- id and pass validateTip().
+ * @param {Array<*>} records Saved custom tips.
+ * @returns {{tips: Array<Object>, issues: Array<Object>}} As validateTipsData(), with entry the
+ *   1-based position in the saved list.
+ */
+export function validateCustomTips(records) {
+    return keepValidRecords(records, record => {
+        const problems = validateTipRecord(record);
+        if (problems.length > 0) return problems;
+        if (!isCustomTipId(record.id)) return [{ field: 'id', message: 'must start with "custom-"' }];
+        return Object.entries(validateTip(record).errors).map(([field, message]) => ({ field, message }));
+    });
+}
+
+// The records that check() finds no problems with and whose ids are unique, in order, with an issue per problem.
+function keepValidRecords(records, check) {
+    const tips = [];
+    const issues = [];
+    const firstEntryById = new Map();
+    records.forEach((record, index) => {
+        const entry = index + 1;
+        const id = typeof record?.id === 'string' ? record.id : '';
+        const problems = check(record);
+        if (problems.length > 0) {
+            problems.forEach(({ field, message }) => issues.push({ entry, id, field, message }));
+            return;
+        }
+        if (firstEntryById.has(id)) {
+            issues.push({ entry, id, field: 'id', message: `duplicates the id of entry ${firstEntryById.get(id)}` });
+            return;
+        }
+        firstEntryById.set(id, entry);
+        tips.push(record);
+    });
+    return { tips, issues };
+}
+
+export default { validateTipRecord, validateTipsData, validateCustomTips, TIP_SCHEMA };
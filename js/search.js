@@ -0,0 +1,165 @@
+/**
+ * SEARCH MODULE (js/search.js)
+ * In-memory full-text index over wellness tips with relevance ranking,
+ * typo tolerance and match highlighting.
+ * * * Scoring per query term (best match in each field, times the field weight):
+ * 1. Exact word match   -> 1.0
+ * 2. Prefix match       -> 0.8 (so "medit" finds "meditation" while typing)
+ * 3. Fuzzy match        -> 0.5 (1 typo for words of 4+ letters, 2 typos for 8+)
+ * Every term of a multi-word query must match somewhere in the tip.
+ */
+
+import { escapeHtml } from './render.js';
+
+// --- FIELD WEIGHTS ---
+const FIELD_WEIGHTS = {
+    title: 5,
+    keywords: 4,
+    content: 2,
+    source: 1
+};
+
+const MATCH_SCORES = { exact: 1, prefix: 0.8, fuzzy: 0.5 };
+
+/**
+ * Lowercases, strips accents and splits text into word tokens.
+ * @param {string} text Any text.
+ * @returns {Array<string>} The tokens.
+ */
+export function tokenize(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+}
+
+// Very light stemming so "breathing"/"breath" and "journal"/"journaling" meet in the middle.
+function stem(token) {
+    if (token.length > 5 && token.endsWith('ing')) return token.slice(0, -3);
+    if (token.length > 4 && token.endsWith('ed')) return token.slice(0, -2);
+    if (token.length > 4 && token.endsWith('es')) return token.slice(0, -2);
+    if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+    return token;
+}
+
+// Levenshtein distance, abandoning early once it exceeds maxDistance.
+function editDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function allowedTypos(term) {
+    if (term.length >= 8) return 2;
+    if (term.length >= 4) return 1;
+    return 0;
+}
+
+// How well a single query term matches a single document word (0 = no match).
+function matchScore(term, word) {
+    const termStem = stem(term);
+    const wordStem = stem(word);
+    if (term === word || termStem === wordStem) return MATCH_SCORES.exact;
+    if (term.length >= 2 && word.startsWith(term)) return MATCH_SCORES.prefix;
+
+    const typos = allowedTypos(termStem);
+    if (typos > 0 && editDistance(termStem, wordStem, typos) <= typos) return MATCH_SCORES.fuzzy;
+    return 0;
+}
+
+/**
+ * Builds a search index over tips. Rebuild it whenever the tip list changes.
+ * @param {Array<Object>} tips Tips as loaded from data/data.json.
+ * @returns {Array<Object>} Index entries: { tip, fields: { [field]: Array<string> } }.
+ */
+export function buildSearchIndex(tips) {
+    return tips.map(tip => ({
+        tip,
+        fields: {
+            title: tokenize(tip.title),
+            keywords: tokenize((tip.keywords || []).join(' ')),
+            content: tokenize(tip.content),
+            source: tokenize(tip.source)
+        }
+    }));
+}
+
+/**
+ * Ranks indexed tips against a free-text query.
+ * @param {Array<Object>} index The index from buildSearchIndex().
+ * @param {string} query The user's search text.
+ * @returns {Array<{tip: Object, score: number, matchedWords: Set<string>}>} Matching tips, best first.
+ *   With an empty query every tip is returned in its original order.
+ */
+export function searchTips(index, query) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0) {
+        return index.map(entry => ({ tip: entry.tip, score: 0, matchedWords: new Set() }));
+    }
+
+    const results = [];
+    index.forEach((entry, position) => {
+        let score = 0;
+        const matchedWords = new Set();
+
+        for (const term of terms) {
+            let termScore = 0;
+            Object.entries(entry.fields).forEach(([field, words]) => {
+                let best = 0;
+                words.forEach(word => {
+                    const wordScore = matchScore(term, word);
+                    if (wordScore > 0) matchedWords.add(word);
+                    best = Math.max(best, wordScore);
+                });
+                termScore += best * FIELD_WEIGHTS[field];
+            });
+
+            // Multi-word queries are AND-ed: a tip missing any term is not a match.
+            if (termScore === 0) return;
+            score += termScore;
+        }
+
+        results.push({ tip: entry.tip, score, matchedWords, position });
+    });
+
+    // Highest score first; ties keep the catalogue order.
+    return results
+        .sort((a, b) => b.score - a.score || a.position - b.position)
+        .map(({ tip, score, matchedWords }) => ({ tip, score, matchedWords }));
+}
+
+/**
+ * Escapes text for HTML and wraps every word that matched the query in <mark>.
+ * @param {string} text Plain text, e.g. a tip title.
+ * @param {Set<string>} matchedWords Normalised words from searchTips().
+ * @returns {string} Safe HTML.
+ */
+export function highlightMatches(text, matchedWords) {
+    if (!matchedWords || matchedWords.size === 0) return escapeHtml(text);
+
+    return String(text ?? '')
+        .split(/([\p{L}\p{N}\u0300-\u036f]+)/u)
+        .map(part => {
+            const normalised = tokenize(part)[0];
+            return normalised && matchedWords.has(normalised)
+                ? `<mark class="search-highlight">${escapeHtml(part)}</mark>`
+                : escapeHtml(part);
+        })
+        .join('');
+}
+
+export default { tokenize, buildSearchIndex, searchTips, highlightMatches };
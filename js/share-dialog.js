@@ -0,0 +1,121 @@
+/**
+ * SHARE DIALOG MODULE (js/share-dialog.js)
+ * Runs the share card dialog (#share-dialog in index.html). open() shows it straight away and
+ * adds the preview once js/share.js has drawn the card; where a canvas isn't available the text
+ * and link are shown instead and Download is disabled. The backdrop, the close button and close()
+ * all shut it and free the preview image. Choosing what to share and its link is the caller's job.
+ */
+import { buildShareText, renderShareCard, canShare, shareCard, copyText, downloadBlob } from './share.js';
+
+/**
+ * Wires up the share dialog.
+ * @param {{root: HTMLElement}} options root is the dialog (#share-dialog).
+ * @returns {{open: function(Object): Promise<void>, close: function(): void, isOpen: function(): boolean}}
+ *   open() takes { card, hash, filename }: the card for renderShareCard(), the app hash to link to,
+ *   and the PNG's file name.
+ */
+export function createShareDialog({ root }) {
+    const ui = {
+        title: root.querySelector('#share-title'),
+        preview: root.querySelector('#share-preview'),
+        text: root.querySelector('#share-text'),
+        status: root.querySelector('#share-status'),
+        share: root.querySelector('[data-share-action="share"]'),
+        download: root.querySelector('[data-share-action="download"]'),
+        close: root.querySelector('[data-share-action="close"]')
+    };
+    let state = null; // { card, text, filename, blob, previewUrl } while the dialog is open
+
+    function setStatus(message, isError = false) {
+        ui.status.textContent = message;
+        ui.status.classList.toggle('text-red-500', isError);
+    }
+
+    function close() {
+        if (!state) return;
+        if (state.previewUrl) URL.revokeObjectURL(state.previewUrl);
+        state = null;
+        ui.preview.removeAttribute('src');
+        root.classList.add('hidden');
+        document.body.classList.remove('overflow-hidden');
+    }
+
+    async function open(content) {
+        close();
+        const url = new URL(content.hash, window.location.href).href;
+        const opened = { card: content.card, text: buildShareText(content.card, url), filename: content.filename, blob: null, previewUrl: null };
+        state = opened;
+
+        ui.title.textContent = content.card.title ? `Share "${content.card.title}"` : 'Share this quote';
+        ui.preview.classList.add('hidden');
+        ui.text.classList.add('hidden');
+        ui.share.classList.toggle('hidden', !canShare());
+        ui.download.disabled = true;
+        setStatus('Creating the image...');
+        root.classList.remove('hidden');
+        document.body.classList.add('overflow-hidden');
+        ui.close.focus();
+
+        const footer = `${window.location.host}${window.location.pathname.replace(/index\.html$/, '')}`;
+        let blob = null;
+        try {
+            blob = await renderShareCard(content.card, footer);
+        } catch (e) {
+            console.warn('Could not draw the share card; offering text instead.', e);
+        }
+        if (state !== opened) return; // Closed (or replaced) while drawing
+
+        opened.blob = blob;
+        if (blob) {
+            opened.previewUrl = URL.createObjectURL(blob);
+            ui.preview.src = opened.previewUrl;
+            ui.preview.alt = opened.text;
+            ui.preview.classList.remove('hidden');
+            setStatus('');
+        } else {
+            ui.text.textContent = opened.text;
+            ui.text.classList.remove('hidden');
+            setStatus("This browser can't create images, but you can still share the text and link.");
+        }
+        ui.download.disabled = !blob;
+    }
+
+    // Copies the text of the card that was open when asked; nothing is shown if it has closed since.
+    async function copy(opened) {
+        const copied = await copyText(opened.text);
+        if (state !== opened) return;
+        setStatus(copied ? 'Copied the text and link to your clipboard.' : "Couldn't copy. Select the text and copy it yourself.", !copied);
+        if (!copied) {
+            ui.text.textContent = opened.text;
+            ui.text.classList.remove('hidden');
+        }
+    }
+
+    async function handleAction(event) {
+        if (!state) return;
+        const opened = state;
+        // A click on the dimmed backdrop closes the dialog too.
+        const action = event.target === root ? 'close' : event.target.closest('[data-share-action]')?.dataset.shareAction;
+
+        if (action === 'close') {
+            close();
+        } else if (action === 'download' && state.blob) {
+            downloadBlob(state.blob, state.filename);
+            setStatus(`Saved ${state.filename}.`);
+        } else if (action === 'copy') {
+            await copy(opened);
+        } else if (action === 'share') {
+            const result = await shareCard({ blob: opened.blob, filename: opened.filename, title: opened.card.title || 'Daily Quote', text: opened.text });
+            if (state !== opened) return; // Closed (or replaced) while the share sheet was up
+            if (result === 'shared') setStatus('Shared.');
+            if (result === 'cancelled') setStatus('');
+            if (result === 'unsupported') await copy(opened);
+        }
+    }
+
+    root.addEventListener('click', handleAction);
+
+    return { open, close, isOpen: () => state !== null };
+}
+
+export default { createShareDialog };
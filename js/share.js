@@ -0,0 +1,234 @@
+/**
+ * SHARE MODULE (js/share.js)
+ * Turns a quote or tip into a square image card (drawn on a canvas in the current theme's
+ * colours) and shares it.
+ * * * Ways out, best first:
+ * 1. Web Share API with the PNG attached (mostly mobile)
+ * 2. Web Share API with the text and a link
+ * 3. Clipboard: formatted text plus a deep link into the app
+ * Download as PNG is always offered alongside. The dialog around all this is js/share-dialog.js.
+ */
+
+const CARD_SIZE = 1080;
+const PADDING = 120;
+const APP_NAME = 'Wellness Hub';
+
+// Used when the theme's CSS variables can't be read.
+const FALLBACK_THEME = { background: '#f7f9fc', card: '#ffffff', text: '#1f2937', primary: '#28a745' };
+
+/**
+ * The current theme's colours, from the CSS variables in index.html.
+ * @returns {{background: string, card: string, text: string, primary: string}}
+ */
+export function getThemeColors() {
+    const style = getComputedStyle(document.documentElement);
+    const read = (name, fallback) => style.getPropertyValue(name).trim() || fallback;
+    return {
+        background: read('--bg-color', FALLBACK_THEME.background),
+        card: read('--card-bg', FALLBACK_THEME.card),
+        text: read('--text-color', FALLBACK_THEME.text),
+        primary: read('--primary-color', FALLBACK_THEME.primary)
+    };
+}
+
+/**
+ * Plain-text version of a card, for the clipboard and text-only sharing.
+ * @param {{title?: string, body: string, attribution: string, italic?: boolean}} card Card content (see renderShareCard()).
+ * @param {string} url Deep link back into the app.
+ * @returns {string}
+ */
+export function buildShareText({ title, body, attribution, italic = false }, url) {
+    return [title, italic ? `"${body}"` : body, attribution, `${APP_NAME}: ${url}`].filter(Boolean).join('\n\n');
+}
+
+// Splits text into lines that fit maxWidth in the context's current font.
+function wrapText(context, text, maxWidth) {
+    const lines = [];
+    let line = '';
+    text.split(/\s+/).filter(Boolean).forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && context.measureText(candidate).width > maxWidth) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    });
+    if (line) lines.push(line);
+    return lines;
+}
+
+// The largest font size (down to min) at which the text fits in maxHeight.
+function fitText(context, text, { font, maxWidth, maxHeight, max, min, lineHeight = 1.35 }) {
+    let size = max;
+    let lines;
+    do {
+        context.font = font(size);
+        lines = wrapText(context, text, maxWidth);
+        if (lines.length * size * lineHeight <= maxHeight) break;
+        size -= 4;
+    } while (size >= min);
+    return { lines, size: Math.max(size, min), lineHeight };
+}
+
+/**
+ * Draws a share card.
+ * @param {Object} card
+ * @param {string} card.heading Small label at the top, e.g. "Daily Quote" or a tip's category.
+ * @param {string} [card.title] Tip title; quotes have none.
+ * @param {string} card.body Quote or tip text.
+ * @param {string} card.attribution e.g. "- Seneca" or "Source: Mayo Clinic".
+ * @param {boolean} [card.italic] Set the body in italics (quotes).
+ * @param {string} footer Shown at the bottom, usually the app's address.
+ * @param {Object} [theme] Colours (see getThemeColors()).
+ * @returns {Promise<Blob|null>} The PNG, or null when canvas isn't available.
+ */
+export async function renderShareCard({ heading, title = '', body, attribution, italic = false }, footer, theme = getThemeColors()) {
+    const canvas = document.createElement('canvas');
+    canvas.width = CARD_SIZE;
+    canvas.height = CARD_SIZE;
+    const context = canvas.getContext && canvas.getContext('2d');
+    if (!context) return null;
+
+    // Web fonts may still be loading when the first card is drawn.
+    if (document.fonts && document.fonts.ready) await document.fonts.ready;
+
+    const width = CARD_SIZE - PADDING * 2;
+    context.fillStyle = theme.background;
+    context.fillRect(0, 0, CARD_SIZE, CARD_SIZE);
+    context.fillStyle = theme.card;
+    context.beginPath();
+    context.roundRect
+        ? context.roundRect(60, 60, CARD_SIZE - 120, CARD_SIZE - 120, 40)
+        : context.rect(60, 60, CARD_SIZE - 120, CARD_SIZE - 120);
+    context.fill();
+    context.fillStyle = theme.primary;
+    context.fillRect(60, 60, 16, CARD_SIZE - 120);
+
+    context.textBaseline = 'top';
+    let y = PADDING;
+    context.fillStyle = theme.primary;
+    context.font = '600 36px Poppins, sans-serif';
+    context.fillText(heading.toUpperCase(), PADDING, y);
+    y += 90;
+
+    context.fillStyle = theme.text;
+    if (title) {
+        const titleText = fitText(context, title, { font: size => `600 ${size}px Poppins, sans-serif`, maxWidth: width, maxHeight: 200, max: 64, min: 40, lineHeight: 1.2 });
+        titleText.lines.forEach(line => {
+            context.fillText(line, PADDING, y);
+            y += titleText.size * titleText.lineHeight;
+        });
+        y += 30;
+    }
+
+    const bodyText = fitText(context, italic ? `"${body}"` : body, {
+        font: size => `${italic ? 'italic ' : ''}${size}px Inter, sans-serif`,
+        maxWidth: width,
+        maxHeight: CARD_SIZE - y - 300,
+        max: title ? 44 : 64,
+        min: 24
+    });
+    bodyText.lines.forEach(line => {
+        context.fillText(line, PADDING, y);
+        y += bodyText.size * bodyText.lineHeight;
+    });
+
+    context.globalAlpha = 0.7;
+    context.font = '600 34px Inter, sans-serif';
+    context.fillText(attribution, PADDING, Math.min(y + 40, CARD_SIZE - 260));
+    context.globalAlpha = 1;
+
+    context.fillStyle = theme.primary;
+    context.font = '700 40px Poppins, sans-serif';
+    context.fillText(APP_NAME, PADDING, CARD_SIZE - 200);
+    context.fillStyle = theme.text;
+    context.globalAlpha = 0.6;
+    context.font = '28px Inter, sans-serif';
+    context.fillText(footer, PADDING, CARD_SIZE - 145);
+    context.globalAlpha = 1;
+
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+}
+
+/**
+ * @returns {boolean} Whether the browser has the Web Share API at all.
+ */
+export function canShare() {
+    return typeof navigator.share === 'function';
+}
+
+/**
+ * Shares through the Web Share API, with the image when the browser accepts files.
+ * @param {{blob: Blob|null, filename: string, title: string, text: string}} share text already holds the
+ *   deep link (see buildShareText()).
+ * @returns {Promise<'shared'|'cancelled'|'unsupported'>}
+ */
+export async function shareCard({ blob, filename, title, text }) {
+    if (!canShare()) return 'unsupported';
+
+    const file = blob ? new File([blob], filename, { type: 'image/png' }) : null;
+    const data = file && navigator.canShare && navigator.canShare({ files: [file] })
+        ? { files: [file], title, text }
+        : { title, text };
+    try {
+        await navigator.share(data);
+        return 'shared';
+    } catch (e) {
+        // AbortError means the user closed the share sheet.
+        if (e.name === 'AbortError') return 'cancelled';
+        console.warn('Web Share failed; offering the clipboard instead.', e);
+        return 'unsupported';
+    }
+}
+
+/**
+ * Copies text to the clipboard, falling back to a hidden textarea where the Clipboard API
+ * is missing (older browsers, or pages not served over HTTPS).
+ * @param {string} text Text to copy.
+ * @returns {Promise<boolean>} Whether it was copied.
+ */
+export async function copyText(text) {
+    try {
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            await navigator.clipboard.writeText(text);
+            return true;
+        }
+    } catch (e) {
+        console.warn('Clipboard API unavailable; trying the fallback.', e);
+    }
+
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    textarea.className = 'fixed -left-full';
+    document.body.appendChild(textarea);
+    textarea.select();
+    let copied = false;
+    try {
+        copied = document.execCommand('copy');
+    } catch (e) {
+        copied = false;
+    }
+    textarea.remove();
+    return copied;
+}
+
+/**
+ * Saves a Blob through a temporary download link. Also used by the app's other exports
+ * (favorites, .ics calendars).
+ * @param {Blob} blob File contents.
+ * @param {string} filename Suggested file name.
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export default { getThemeColors, buildShareText, renderShareCard, canShare, shareCard, copyText, downloadBlob };
@@ -0,0 +1,250 @@
+/**
+ * STORAGE MODULE (js/storage.js)
+ * Versioned key/value storage with startup migrations, a backend per key and
+ * recovery from corrupt data.
+ * * * Backends:
+ * 1. localStorage -> small values (theme, filters, settings); read synchronously at any time
+ * 2. indexedDB    -> collections that grow (favorites, quote history); loaded into memory by open()
+ *    and written back in the background. Falls back to localStorage when IndexedDB is unavailable.
+ * Values older builds kept in localStorage are moved to IndexedDB the first time open() runs, in one
+ * transaction once every key has loaded; the localStorage copies are only deleted after it commits.
+ * * * Corrupt data (invalid JSON or a value failing its validate() check) is copied to
+ * "<key>-backup", replaced by the default and reported by getIssues() so the UI can tell the user.
+ */
+
+const DB_NAME = 'wellness-hub';
+const DB_VERSION = 1;
+const DB_STORE = 'records';
+
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not supported in this browser.'));
+            return;
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => request.result.createObjectStore(DB_STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another open tab.'));
+    });
+}
+
+// Runs action() in one transaction and resolves, once it has committed, with the result of the
+// request action() returns (it may queue others first).
+function runTransaction(db, mode, action) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(DB_STORE, mode);
+        const request = action(transaction.objectStore(DB_STORE));
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Creates the app's storage.
+ * @param {Object} options
+ * @param {string} options.versionKey localStorage key holding the schema version.
+ * @param {number} options.version Current schema version.
+ * @param {Object<string, {backend?: 'localStorage'|'indexedDB', label?: string, defaultValue?: *, validate?: function(*): boolean}>} [options.collections]
+ *   Known keys. Keys not listed here use localStorage without validation.
+ * @param {Array<{version: number, description: string, migrate: function(Object): void}>} [options.migrations]
+ *   Run in version order for every version above the stored one. migrate() receives this storage.
+ * @returns {Object} The storage API: open, get, set, remove, flush, getIssues.
+ */
+export function createStorage({ versionKey, version, collections = {}, migrations = [] }) {
+    const memory = new Map(); // Values of IndexedDB keys, loaded by open()
+    const issues = [];
+    let db = null; // Set by open() when IndexedDB is usable
+    let writes = Promise.resolve(); // IndexedDB writes, chained so they land in order
+
+    const usesIndexedDb = key => Boolean(db) && collections[key]?.backend === 'indexedDB';
+    const defaultFor = key => structuredClone(collections[key]?.defaultValue ?? []);
+
+    // Keeps a copy of the unreadable value and records the problem for getIssues().
+    function recover(key, reason, raw) {
+        const backupKey = `${key}-backup`;
+        try {
+            localStorage.setItem(backupKey, raw);
+        } catch (e) {
+            console.error(`Could not back up ${key}:`, e);
+        }
+        issues.push({ key, label: collections[key]?.label || key, reason, backupKey });
+        console.error(`Stored data for ${key} was ${reason}; it was reset and a copy kept under ${backupKey}.`);
+    }
+
+    function check(key, value, raw) {
+        const validate = collections[key]?.validate;
+        if (validate && !validate(value)) {
+            recover(key, 'in an unexpected format', raw);
+            return false;
+        }
+        return true;
+    }
+
+    function readLocal(key, defaultValue) {
+        let raw;
+        try {
+            raw = localStorage.getItem(key);
+        } catch (e) {
+            console.error(`Error reading key ${key}:`, e);
+            return defaultValue;
+        }
+        if (raw === null) return defaultValue;
+
+        let value;
+        try {
+            value = JSON.parse(raw);
+        } catch (e) {
+            recover(key, 'not valid JSON', raw);
+            localStorage.removeItem(key);
+            return defaultValue;
+        }
+        if (!check(key, value, raw)) {
+            localStorage.removeItem(key);
+            return defaultValue;
+        }
+        return value;
+    }
+
+    function writeLocal(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (e) {
+            console.error(`Error writing key ${key}:`, e);
+        }
+    }
+
+    // Reads one key into memory. Values found only in localStorage are added to `legacy` for open() to move.
+    async function loadIndexedDbKey(key, legacy) {
+        const stored = await runTransaction(db, 'readonly', store => store.get(key));
+
+        if (stored === undefined) {
+            // First run with IndexedDB: adopt what older builds kept in localStorage.
+            const value = readLocal(key, undefined);
+            memory.set(key, value === undefined ? defaultFor(key) : value);
+            if (value !== undefined) legacy.set(key, value);
+            return;
+        }
+
+        if (check(key, stored, JSON.stringify(stored))) {
+            memory.set(key, stored);
+            return;
+        }
+        // Overwrite the bad record so the same problem isn't reported on every load.
+        memory.set(key, defaultFor(key));
+        await runTransaction(db, 'readwrite', store => store.put(defaultFor(key), key));
+    }
+
+    function runMigrations() {
+        const storedVersion = Number(localStorage.getItem(versionKey)) || 0;
+        if (storedVersion > version) {
+            console.warn(`Stored data uses schema v${storedVersion}, newer than this build (v${version}); skipping migrations.`);
+            return;
+        }
+
+        const pending = migrations
+            .filter(migration => migration.version > storedVersion && migration.version <= version)
+            .sort((a, b) => a.version - b.version);
+        for (const migration of pending) {
+            try {
+                migration.migrate(api);
+            } catch (e) {
+                // Stop here so the next start retries from the last version that succeeded.
+                issues.push({ key: versionKey, label: 'saved data upgrade', reason: `not upgraded (${migration.description})`, backupKey: null });
+                console.error(`Migration to v${migration.version} failed:`, e);
+                return;
+            }
+            localStorage.setItem(versionKey, String(migration.version));
+        }
+        localStorage.setItem(versionKey, String(version));
+    }
+
+    const api = {
+        /**
+         * Loads IndexedDB-backed keys and runs pending migrations. Call once at startup,
+         * before reading any IndexedDB-backed key.
+         * @returns {Promise<{backend: string, issues: Array<Object>}>}
+         */
+        async open() {
+            try {
+                db = await openDatabase();
+                const legacy = new Map();
+                for (const key of Object.keys(collections).filter(usesIndexedDb)) {
+                    await loadIndexedDbKey(key, legacy);
+                }
+                // All or nothing: if this fails, the localStorage copies are still there for the fallback below.
+                if (legacy.size > 0) {
+                    await runTransaction(db, 'readwrite', store => [...legacy].map(([key, value]) => store.put(value, key)).pop());
+                    legacy.forEach((value, key) => localStorage.removeItem(key));
+                }
+            } catch (e) {
+                console.warn('IndexedDB unavailable; keeping all data in localStorage.', e);
+                db = null;
+                memory.clear();
+            }
+            runMigrations();
+            return { backend: db ? 'indexedDB' : 'localStorage', issues: api.getIssues() };
+        },
+
+        /**
+         * @param {string} key Storage key.
+         * @param {*} [defaultValue] Returned when nothing (valid) is stored. Defaults to the collection's defaultValue, else [].
+         * @returns {*} The stored value.
+         */
+        get(key, defaultValue = defaultFor(key)) {
+            if (usesIndexedDb(key)) return memory.has(key) ? memory.get(key) : defaultValue;
+            return readLocal(key, defaultValue);
+        },
+
+        /**
+         * Stores a value. IndexedDB writes happen in the background; use flush() to wait for them.
+         * @param {string} key Storage key.
+         * @param {*} value Any JSON-compatible value.
+         */
+        set(key, value) {
+            if (!usesIndexedDb(key)) {
+                writeLocal(key, value);
+                return;
+            }
+            memory.set(key, value);
+            writes = writes
+                .then(() => runTransaction(db, 'readwrite', store => store.put(value, key)))
+                .catch(e => console.error(`Error writing key ${key}:`, e));
+        },
+
+        /**
+         * @param {string} key Storage key to delete.
+         */
+        remove(key) {
+            if (!usesIndexedDb(key)) {
+                localStorage.removeItem(key);
+                return;
+            }
+            memory.delete(key);
+            writes = writes
+                .then(() => runTransaction(db, 'readwrite', store => store.delete(key)))
+                .catch(e => console.error(`Error removing key ${key}:`, e));
+        },
+
+        /**
+         * @returns {Promise<void>} Resolves once every queued IndexedDB write has finished.
+         */
+        flush() {
+            return writes;
+        },
+
+        /**
+         * @returns {Array<{key: string, label: string, reason: string, backupKey: string|null}>}
+         *   Data that had to be reset (or could not be upgraded) since the page loaded.
+         */
+        getIssues() {
+            return issues.slice();
+        }
+    };
+
+    return api;
+}
+
+export default { createStorage };
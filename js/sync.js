@@ -0,0 +1,105 @@
+/**
+ * SYNC MODULE (js/sync.js)
+ * Sends favorite changes to an optional sync endpoint (the "favoritesSyncUrl" setting).
+ * Changes are queued in a localStorage outbox first, so anything saved or removed
+ * while offline is delivered once connectivity returns.
+ * * * Payload POSTed to the endpoint:
+ * { changes: [{ action: 'add' | 'remove', id, type, item, at }] }
+ */
+import { getSettings } from './config.js';
+
+const OUTBOX_KEY = 'wellness-hub-2025-favorites-outbox';
+
+let isFlushing = false;
+
+function readOutbox() {
+    try {
+        const data = localStorage.getItem(OUTBOX_KEY);
+        return data ? JSON.parse(data) : [];
+    } catch (e) {
+        console.error(`Error reading key ${OUTBOX_KEY}:`, e);
+        return [];
+    }
+}
+
+function writeOutbox(outbox) {
+    try {
+        localStorage.setItem(OUTBOX_KEY, JSON.stringify(outbox));
+    } catch (e) {
+        console.error(`Error writing key ${OUTBOX_KEY}:`, e);
+    }
+}
+
+/**
+ * @returns {boolean} Whether a sync endpoint is configured.
+ */
+export function isSyncEnabled() {
+    return Boolean(getSettings().favoritesSyncUrl);
+}
+
+/**
+ * @returns {number} Favorite changes still waiting to be sent.
+ */
+export function getPendingCount() {
+    return readOutbox().length;
+}
+
+/**
+ * Queues a favorite change. Only the latest change per item is kept, so toggling
+ * a heart on and off while offline sends a single "remove".
+ * @param {{action: 'add'|'remove', id: string, type: string, item?: Object}} change
+ */
+export function queueFavoriteChange(change) {
+    if (!isSyncEnabled()) return;
+
+    const outbox = readOutbox().filter(queued => queued.id !== change.id);
+    outbox.push({ ...change, at: new Date().toISOString() });
+    writeOutbox(outbox);
+}
+
+/**
+ * Sends every queued change in one request. Failed sends stay queued for the next attempt.
+ * @returns {Promise<{sent: number, pending: number}>}
+ */
+export async function flushFavoriteChanges() {
+    const outbox = readOutbox();
+    if (isFlushing || outbox.length === 0 || !isSyncEnabled() || !navigator.onLine) {
+        return { sent: 0, pending: outbox.length };
+    }
+
+    isFlushing = true;
+    try {
+        const response = await fetch(getSettings().favoritesSyncUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ changes: outbox })
+        });
+        if (!response.ok) throw new Error(`Sync endpoint responded with status ${response.status}.`);
+
+        // Keep anything queued while the request was in flight.
+        const sentIds = new Set(outbox.map(change => `${change.id}@${change.at}`));
+        const remaining = readOutbox().filter(change => !sentIds.has(`${change.id}@${change.at}`));
+        writeOutbox(remaining);
+        return { sent: outbox.length, pending: remaining.length };
+    } catch (e) {
+        console.warn('Favorites sync failed; changes stay queued.', e);
+        return { sent: 0, pending: outbox.length };
+    } finally {
+        isFlushing = false;
+    }
+}
+
+/**
+ * Flushes now and whenever the browser comes back online.
+ * @param {function({sent: number, pending: number}): void} [onFlushed] Called after each attempt.
+ */
+export function startFavoritesSync(onFlushed) {
+    const flush = async () => {
+        const result = await flushFavoriteChanges();
+        if (onFlushed) onFlushed(result);
+    };
+    window.addEventListener('online', flush);
+    flush();
+}
+
+export default { isSyncEnabled, getPendingCount, queueFavoriteChange, flushFavoriteChanges, startFavoritesSync };
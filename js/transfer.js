@@ -0,0 +1,251 @@
+/**
+ * TRANSFER MODULE (js/transfer.js)
+ * Export and import of saved favorites, so they survive a browser switch or cleared site data.
+ * * * Formats:
+ * 1. json     -> full fidelity: { app, version, exportedAt, favorites: [...] } (importable)
+ * 2. csv      -> one row per item: id,type,savedAt,title,content,q,a (importable)
+ * 3. markdown -> readable list grouped by type (export only)
+ * Imports are validated item by item and merged by id (see mergeFavorites()).
+ */
+
+export const EXPORT_FORMATS = {
+    json: { label: 'JSON (full backup)', extension: 'json', mimeType: 'application/json' },
+    csv: { label: 'CSV (spreadsheet)', extension: 'csv', mimeType: 'text/csv' },
+    markdown: { label: 'Markdown (readable list)', extension: 'md', mimeType: 'text/markdown' }
+};
+
+// How an imported item replaces a saved one with the same id.
+export const CONFLICT_STRATEGIES = {
+    newest: 'Keep whichever was saved most recently',
+    keep: 'Keep my saved version',
+    replace: 'Use the imported version'
+};
+
+const EXPORT_APP_ID = 'wellness-hub';
+const EXPORT_VERSION = 1;
+const FAVORITE_TYPES = ['quote', 'tip', 'video'];
+const CSV_COLUMNS = ['id', 'type', 'savedAt', 'title', 'content', 'q', 'a'];
+const TEXT_FIELDS = ['savedAt', 'title', 'content', 'q', 'a'];
+
+// --- EXPORT ---
+
+function toCsvField(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(favorites) {
+    const rows = favorites.map(fav => CSV_COLUMNS.map(column => toCsvField(fav[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+}
+
+// List items must stay on one line, so line breaks inside saved text become spaces.
+function oneLine(text) {
+    return String(text ?? '').replace(/\s+/g, ' ').trim();
+}
+
+function toMarkdown(favorites, exportedAt) {
+    const sections = [
+        { type: 'quote', heading: 'Quotes', line: fav => `- > "${oneLine(fav.q)}" - ${oneLine(fav.a) || 'Unknown'}` },
+        { type: 'tip', heading: 'Tips', line: fav => `- **${oneLine(fav.title)}**: ${oneLine(fav.content)}` },
+        { type: 'video', heading: 'Videos', line: fav => `- [${oneLine(fav.title || fav.id).replace(/[[\]]/g, '\\$&')}](https://www.youtube.com/watch?v=${encodeURIComponent(fav.id)})` }
+    ];
+    const lines = ['# My Wellness Hub Favorites', '', `Exported ${exportedAt.slice(0, 10)}.`];
+    sections.forEach(({ type, heading, line }) => {
+        const items = favorites.filter(fav => fav.type === type);
+        if (items.length > 0) lines.push('', `## ${heading}`, '', ...items.map(line));
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Serialises favorites for download.
+ * @param {Array<Object>} favorites Saved items.
+ * @param {'json'|'csv'|'markdown'} format One of EXPORT_FORMATS.
+ * @returns {{filename: string, mimeType: string, content: string}}
+ */
+export function exportFavorites(favorites, format) {
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) throw new Error(`Unknown export format "${format}".`);
+
+    const exportedAt = new Date().toISOString();
+    const content = format === 'json'
+        ? JSON.stringify({ app: EXPORT_APP_ID, version: EXPORT_VERSION, exportedAt, favorites }, null, 2)
+        : format === 'csv' ? toCsv(favorites) : toMarkdown(favorites, exportedAt);
+
+    return {
+        filename: `wellness-favorites-${exportedAt.slice(0, 10)}.${spec.extension}`,
+        mimeType: spec.mimeType,
+        content
+    };
+}
+
+// --- IMPORT ---
+
+// RFC 4180 CSV: quoted fields may contain commas, doubled quotes and line breaks.
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+function csvToItems(text) {
+    const [header = [], ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+    const columns = header.map(name => name.trim());
+    if (!columns.includes('id') || !columns.includes('type')) {
+        throw new Error('The CSV file needs "id" and "type" columns.');
+    }
+    return rows.map(cells => Object.fromEntries(columns.map((column, i) => [column, cells[i] ?? ''])));
+}
+
+function jsonToItems(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('The file is not valid JSON.');
+    }
+    const items = Array.isArray(data) ? data : data && data.favorites;
+    if (!Array.isArray(items)) throw new Error('The JSON file has no "favorites" list.');
+    return items;
+}
+
+/**
+ * Checks one imported item and keeps only known fields.
+ * @param {*} item Parsed item.
+ * @returns {{item: Object|null, error: string|null}}
+ */
+export function validateFavorite(item) {
+    if (!item || typeof item !== 'object') return { item: null, error: 'not an object' };
+    const id = String(item.id ?? '').trim();
+    const type = String(item.type ?? '').trim();
+    if (!id) return { item: null, error: 'missing id' };
+    if (!FAVORITE_TYPES.includes(type)) return { item: null, error: `unknown type "${type}"` };
+
+    const clean = { id, type };
+    TEXT_FIELDS.forEach(field => {
+        if (item[field] !== undefined && item[field] !== null && item[field] !== '') clean[field] = String(item[field]);
+    });
+
+    if (type === 'quote' && !clean.q) return { item: null, error: 'quote has no text (q)' };
+    if (type === 'tip' && !clean.title) return { item: null, error: 'tip has no title' };
+    if (clean.savedAt && Number.isNaN(Date.parse(clean.savedAt))) delete clean.savedAt;
+    return { item: clean, error: null };
+}
+
+/**
+ * Reads an exported JSON or CSV file.
+ * @param {string} text File contents.
+ * @param {string} filename Used to pick the format (.json or .csv).
+ * @returns {{items: Array<Object>, invalid: Array<{row: number, id: string, error: string}>}}
+ * @throws {Error} When the file as a whole can't be read (wrong format, bad JSON, missing columns).
+ */
+export function parseFavoritesFile(text, filename) {
+    const extension = String(filename).split('.').pop().toLowerCase();
+    let rawItems;
+    if (extension === 'json') {
+        rawItems = jsonToItems(text);
+    } else if (extension === 'csv') {
+        rawItems = csvToItems(text);
+    } else {
+        throw new Error('Choose a .json or .csv file exported from Wellness Hub. Markdown exports cannot be imported.');
+    }
+
+    const items = [];
+    const invalid = [];
+    rawItems.forEach((raw, index) => {
+        const { item, error } = validateFavorite(raw);
+        if (item) {
+            items.push(item);
+        } else {
+            invalid.push({ row: index + 1, id: String(raw?.id ?? ''), error });
+        }
+    });
+    return { items, invalid };
+}
+
+function isSameFavorite(a, b) {
+    return ['type', ...TEXT_FIELDS].every(field => (a[field] ?? '') === (b[field] ?? ''));
+}
+
+/**
+ * Merges imported items into the saved favorites by id.
+ * @param {Array<Object>} existing Saved favorites (not modified).
+ * @param {Array<Object>} incoming Validated items from parseFavoritesFile().
+ * @param {keyof CONFLICT_STRATEGIES} [strategy='newest'] What to do when an id is already saved.
+ * @returns {{favorites: Array<Object>, added: Array<Object>, updated: Array<Object>, skipped: Array<Object>}}
+ *   skipped holds items already saved unchanged, conflicts resolved in favor of the saved copy,
+ *   and repeats of an id within the file.
+ */
+export function mergeFavorites(existing, incoming, strategy = 'newest') {
+    const merged = existing.slice();
+    const indexById = new Map(merged.map((fav, index) => [fav.id, index]));
+    const seenInFile = new Set();
+    const added = [];
+    const updated = [];
+    const skipped = [];
+
+    incoming.forEach(item => {
+        if (seenInFile.has(item.id)) {
+            skipped.push(item);
+            return;
+        }
+        seenInFile.add(item.id);
+
+        const imported = { ...item, savedAt: item.savedAt || new Date().toISOString() };
+        if (!indexById.has(item.id)) {
+            indexById.set(item.id, merged.length);
+            merged.push(imported);
+            added.push(imported);
+            return;
+        }
+
+        const index = indexById.get(item.id);
+        const current = merged[index];
+        const useImported = strategy === 'replace'
+            || (strategy === 'newest' && (Date.parse(item.savedAt) || 0) > (Date.parse(current.savedAt) || 0));
+        if (!useImported || isSameFavorite(current, imported)) {
+            skipped.push(item);
+            return;
+        }
+        merged[index] = imported;
+        updated.push(imported);
+    });
+
+    return { favorites: merged, added, updated, skipped };
+}
+
+export default { exportFavorites, parseFavoritesFile, validateFavorite, mergeFavorites, EXPORT_FORMATS, CONFLICT_STRATEGIES };
@@ -0,0 +1,184 @@
+/**
+ * SERVICE WORKER (sw.js)
+ * Offline-first support: precaches the app shell at install and serves it from
+ * the cache when the network is unavailable.
+ * * * Strategies:
+ * 1. Page navigations        -> network first, cached index.html when offline
+ * 2. settings.json           -> network first, so a changed key or search option applies on the next load
+ * 3. Other same-origin files -> stale-while-revalidate (JS modules, data/*.json)
+ * 4. Tailwind CDN, thumbnails -> cache first, filled at runtime (the page's CSS is Tailwind + inline styles)
+ * API calls (Quotable, YouTube) are not touched here; js/cache.js keeps their last good responses.
+ * Clicking a reminder notification focuses the app on the reminder's tip.
+ */
+
+// Bump when the shell list changes so old caches are dropped on activate.
+const CACHE_VERSION = 'v14';
+const SHELL_CACHE = `wellness-hub-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `wellness-hub-runtime-${CACHE_VERSION}`;
+
+const JS_MODULES = [
+    'app.js',
+    'api.js',
+    'router.js',
+    'cache.js',
+    'search.js',
+    'facets.js',
+    'quotes.js',
+    'config.js',
+    'sync.js',
+    'render.js',
+    'components.js',
+    'storage.js',
+    'transfer.js',
+    'favorites-transfer.js',
+    'planner.js',
+    'planner-page.js',
+    'habits.js',
+    'progress-page.js',
+    'reminders.js',
+    'reminders-page.js',
+    'authoring.js',
+    'my-tips-page.js',
+    'schema.js',
+    'data-diagnostics.js',
+    'player.js',
+    'playlists.js',
+    'playlists-page.js',
+    'breathing.js',
+    'practice.js',
+    'share.js',
+    'share-dialog.js',
+    'calendar.js',
+    'plan-export.js'
+];
+
+const APP_SHELL = [
+    './',
+    './index.html',
+    './data/data.json',
+    './data/quotes.json',
+    './settings.json'
+].map(path => new URL(path, self.location).href)
+    .concat(JS_MODULES.map(file => new URL(`./js/${file}`, self.location).href));
+
+// Only these pages are the app shell; other HTML responses are never cached in its place.
+const SHELL_PAGES = ['./', './index.html'].map(path => new URL(path, self.location).href);
+const INDEX_URL = new URL('./index.html', self.location).href;
+const SETTINGS_URL = new URL('./settings.json', self.location).href;
+
+const CDN_ASSETS = ['https://cdn.tailwindcss.com'];
+const RUNTIME_HOSTS = ['cdn.tailwindcss.com', 'i.ytimg.com'];
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        // Optional files (e.g. a missing settings.json) must not fail the whole install.
+        await Promise.all(APP_SHELL.map(url => cache.add(url).catch(() => console.warn(`Precache skipped: ${url}`))));
+        // Cross-origin scripts can only be stored as opaque responses.
+        await Promise.all(CDN_ASSETS.map(async url => {
+            try {
+                await cache.put(url, await fetch(url, { mode: 'no-cors' }));
+            } catch (e) {
+                console.warn(`Precache skipped: ${url}`);
+            }
+        }));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('wellness-hub-') && name !== SHELL_CACHE && name !== RUNTIME_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+async function networkFirstPage(request) {
+    try {
+        const response = await fetch(request);
+        const url = new URL(request.url);
+        // An error page, or any other HTML page, must not replace the cached app shell.
+        if (response.ok && SHELL_PAGES.includes(`${url.origin}${url.pathname}`)) {
+            const cache = await caches.open(SHELL_CACHE);
+            await cache.put(INDEX_URL, response.clone());
+        }
+        return response;
+    } catch (e) {
+        return (await caches.match(request, { ignoreSearch: true }))
+            || (await caches.match(INDEX_URL))
+            || Response.error();
+    }
+}
+
+// Honours config.js's cache: 'no-cache' fetch; the cached copy is only an offline fallback.
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(SHELL_CACHE);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (e) {
+        return (await caches.match(request, { ignoreSearch: true })) || Response.error();
+    }
+}
+
+async function staleWhileRevalidate(request) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    const refresh = fetch(request)
+        .then(async response => {
+            if (response.ok) {
+                const cache = await caches.open(SHELL_CACHE);
+                await cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+    return cached || refresh;
+}
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(RUNTIME_CACHE);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirstPage(request));
+    } else if (`${url.origin}${url.pathname}` === SETTINGS_URL) {
+        event.respondWith(networkFirst(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(request));
+    } else if (RUNTIME_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+// Reminder notifications (js/reminders.js): focus an open tab on the tip, or open a new one.
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+    const url = event.notification.data && event.notification.data.url;
+    if (!url) return;
+
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        if (windows.length === 0) return self.clients.openWindow(url);
+        const client = windows[0];
+        await client.focus();
+        client.postMessage({ type: 'open-url', url });
+    })());
+});
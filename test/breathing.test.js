@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getBreathingPhase, formatCountdown, createPracticeTimer } from '../js/breathing.js';
+
+test('box breathing moves through its four phases and repeats', () => {
+    assert.deepEqual(getBreathingPhase('box', 0), { label: 'Breathe in', index: 0, remaining: 4, scale: 0.5 });
+    assert.deepEqual(getBreathingPhase('box', 2), { label: 'Breathe in', index: 0, remaining: 2, scale: 0.75 });
+    assert.deepEqual(getBreathingPhase('box', 4), { label: 'Hold', index: 1, remaining: 4, scale: 1 });
+    assert.deepEqual(getBreathingPhase('box', 10.5), { label: 'Breathe out', index: 2, remaining: 2, scale: 0.6875 });
+    assert.equal(getBreathingPhase('box', 16).index, 0, 'a new cycle starts after 16 seconds');
+});
+
+test('4-7-8 breathing has uneven phases', () => {
+    assert.equal(getBreathingPhase('478', 10).label, 'Hold');
+    assert.equal(getBreathingPhase('478', 10).remaining, 1);
+    assert.equal(getBreathingPhase('478', 11).label, 'Breathe out');
+    assert.equal(getBreathingPhase('478', 19).label, 'Breathe in');
+});
+
+test('timer-only practice has no phase and unknown patterns fall back to box', () => {
+    assert.equal(getBreathingPhase('none', 3), null);
+    assert.deepEqual(getBreathingPhase('missing', 5), getBreathingPhase('box', 5));
+});
+
+test('formatCountdown rounds up to whole seconds', () => {
+    assert.equal(formatCountdown(245), '4:05');
+    assert.equal(formatCountdown(59.2), '1:00');
+    assert.equal(formatCountdown(0), '0:00');
+    assert.equal(formatCountdown(-3), '0:00');
+});
+
+test('the practice timer pauses, resumes and completes once', t => {
+    // Node's mock setInterval keeps firing an interval cleared from its own callback, so the
+    // interval is driven by hand and only the clock is mocked.
+    t.mock.timers.enable({ apis: ['Date'] });
+    let interval = null;
+    t.mock.method(globalThis, 'setInterval', callback => (interval = callback));
+    t.mock.method(globalThis, 'clearInterval', () => (interval = null));
+    const advance = ms => {
+        for (let i = 0; i < ms / 100; i++) {
+            t.mock.timers.tick(100);
+            if (interval) interval();
+        }
+    };
+    const ticks = [];
+    let completed = 0;
+    const timer = createPracticeTimer({ durationSeconds: 2, onTick: elapsed => ticks.push(elapsed), onComplete: () => completed++ });
+
+    timer.start();
+    advance(1000);
+    timer.pause();
+    assert.equal(timer.isRunning(), false);
+    advance(5000);
+    assert.equal(ticks[ticks.length - 1], 1, 'paused time is not counted');
+
+    timer.start();
+    advance(1500);
+    assert.equal(completed, 1);
+    assert.equal(ticks[ticks.length - 1], 2, 'elapsed time stops at the duration');
+    assert.equal(timer.isRunning(), false);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateCalendarOptions, getFirstOccurrence, scheduleItems, scheduleReminders, buildCalendar } from '../js/calendar.js';
+
+const item = (id, minutes, title = id) => ({ kind: 'tip', id, title, minutes });
+// 2026-10-19 is a Monday.
+const options = { days: ['MO', 'WE'], time: '07:00', startDate: '2026-10-20' };
+
+test('validateCalendarOptions reports each bad field', () => {
+    assert.deepEqual(validateCalendarOptions(options), {});
+    assert.deepEqual(Object.keys(validateCalendarOptions({ days: ['XX'], time: '7:00', startDate: '2026-13-01' })), ['days', 'time', 'startDate']);
+    assert.ok(validateCalendarOptions({ ...options, days: [] }).days);
+    assert.ok(validateCalendarOptions({ ...options, startDate: '2026-02-30' }).startDate, 'dates that roll over are rejected');
+});
+
+test('getFirstOccurrence finds the first chosen weekday on or after the start date', () => {
+    assert.equal(getFirstOccurrence('2026-10-19', ['MO']), '2026-10-19');
+    assert.equal(getFirstOccurrence('2026-10-20', ['MO', 'WE']), '2026-10-21');
+    assert.equal(getFirstOccurrence('2026-12-30', ['FR']), '2027-01-01');
+});
+
+test('scheduleItems lays items out back to back, giving untimed tips a short slot', () => {
+    const events = scheduleItems([item('a', 10), item('b', 0), item('c', 15)], options);
+    assert.deepEqual(events.map(event => [event.start.getHours(), event.start.getMinutes(), event.minutes]), [[7, 0, 10], [7, 10, 5], [7, 15, 15]]);
+    assert.equal(events[0].start.getDate(), 21);
+    assert.deepEqual(events.map(event => event.rrule), Array(3).fill('FREQ=WEEKLY;BYDAY=MO,WE'));
+    assert.equal(scheduleItems([item('a', 5)], { ...options, days: ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'] })[0].rrule, 'FREQ=DAILY');
+});
+
+test('items pushed past midnight repeat on the following weekdays', () => {
+    const events = scheduleItems([item('a', 30), item('b', 20)], { days: ['FR', 'SU'], time: '23:30', startDate: '2026-10-19' });
+    assert.equal(events[0].rrule, 'FREQ=WEEKLY;BYDAY=FR,SU');
+    assert.equal(events[1].start.getDate(), 24);
+    assert.equal(events[1].rrule, 'FREQ=WEEKLY;BYDAY=MO,SA', 'Sunday rolls over to Monday');
+});
+
+test('UIDs depend on the item and its position, not the start date', () => {
+    const items = [item('a', 10), item('a', 10)];
+    const first = scheduleItems(items, options).map(event => event.uid);
+    const moved = scheduleItems(items, { ...options, time: '18:00', startDate: '2026-11-02' }).map(event => event.uid);
+    assert.deepEqual(first, ['tip-a-1@wellness-hub', 'tip-a-2@wellness-hub']);
+    assert.deepEqual(moved, first);
+});
+
+test('scheduleReminders exports enabled daily reminders with an alarm', () => {
+    const events = scheduleReminders([
+        { id: 'r1', label: 'Stretch', kind: 'daily', time: '09:30', enabled: true },
+        { id: 'r2', label: 'Water', kind: 'interval', everyMinutes: 60, enabled: true },
+        { id: 'r3', label: 'Off', kind: 'daily', time: '10:00', enabled: false }
+    ], { startDate: '2026-10-19', url: 'https://example.com/#/reminders' });
+    assert.equal(events.length, 1);
+    assert.equal(events[0].uid, 'r1@wellness-hub');
+    assert.equal(events[0].rrule, 'FREQ=DAILY');
+    assert.equal(events[0].alarm, true);
+    assert.deepEqual([events[0].start.getHours(), events[0].start.getMinutes()], [9, 30]);
+});
+
+test('buildCalendar writes CRLF lines with floating local times and escaped text', () => {
+    const [event] = scheduleItems([item('a', 10, 'Stretch; breathe, relax\\rest')], options);
+    const ics = buildCalendar([{ ...event, description: 'Line one\nline two', alarm: true }], { name: 'My, plan' });
+
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.ok(!/[^\r]\n/.test(ics), 'every line ends with CRLF');
+    const lines = ics.split('\r\n');
+    assert.ok(lines.includes('X-WR-CALNAME:My\\, plan'));
+    assert.ok(lines.includes('DTSTART:20261021T070000'));
+    assert.ok(lines.includes('DURATION:PT10M'));
+    assert.ok(lines.includes('SUMMARY:Stretch\\; breathe\\, relax\\\\rest'));
+    assert.ok(lines.includes('DESCRIPTION:Line one\\nline two'));
+    assert.ok(lines.includes('TRIGGER:PT0M'));
+    assert.match(lines.find(line => line.startsWith('DTSTAMP:')), /^DTSTAMP:\d{8}T\d{6}Z$/);
+});
+
+test('long lines are folded at 75 octets without splitting characters', () => {
+    const summary = 'Breathe 🌿 '.repeat(20);
+    const [event] = scheduleItems([item('a', 10, summary)], options);
+    const ics = buildCalendar([event], { name: 'Plan' });
+
+    ics.split('\r\n').forEach(line => assert.ok(Buffer.byteLength(line) <= 75, line));
+    const unfolded = ics.replace(/\r\n /g, '');
+    assert.ok(unfolded.split('\r\n').includes(`SUMMARY:${summary}`));
+    assert.ok(!ics.includes('�'));
+});
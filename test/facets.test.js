@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyFacets, buildFacets, sortTips, DEFAULT_FILTERS } from '../js/facets.js';
+
+const tips = [
+    { id: 'a', category: 'Mindfulness', difficulty: 'Easy', durationMinutes: 10, isTrending: true, publishedDate: '2026-01-05' },
+    { id: 'b', category: 'Growth', difficulty: 'Hard', durationMinutes: 0, isTrending: false, publishedDate: '2026-03-01' },
+    { id: 'c', category: 'Mindfulness', difficulty: 'Medium', durationMinutes: 3, isTrending: false, publishedDate: '2026-02-10' },
+    { id: 'd', category: 'Fitness', difficulty: 'Easy', durationMinutes: 20, isTrending: true, publishedDate: '2025-12-24' }
+];
+const ids = items => items.map(item => item.id);
+
+test('applyFacets keeps tips matching every active facet', () => {
+    assert.deepEqual(ids(applyFacets(tips, DEFAULT_FILTERS)), ['a', 'b', 'c', 'd']);
+    assert.deepEqual(ids(applyFacets(tips, { ...DEFAULT_FILTERS, category: 'Mindfulness', duration: 'under-5' })), ['c']);
+    assert.deepEqual(ids(applyFacets(tips, { ...DEFAULT_FILTERS, duration: 'anytime' })), ['b']);
+    assert.deepEqual(ids(applyFacets(tips, { ...DEFAULT_FILTERS, trending: true, difficulty: 'Easy' })), ['a', 'd']);
+});
+
+test('buildFacets counts each facet against the other active facets', () => {
+    const facets = buildFacets(tips, { ...DEFAULT_FILTERS, category: 'Mindfulness' });
+    // Categories ignore the category filter itself and sort by label ("Personal Growth" last).
+    assert.deepEqual(facets.categories.map(({ value, count }) => [value, count]), [['Fitness', 1], ['Mindfulness', 2], ['Growth', 1]]);
+    assert.deepEqual(facets.difficulties.map(({ value, count }) => [value, count]), [['Easy', 1], ['Medium', 1]]);
+    assert.deepEqual(facets.durations.map(({ count }) => count), [0, 1, 1, 0]);
+    assert.equal(facets.trendingCount, 1);
+    assert.equal(facets.total, 4);
+});
+
+test('sortTips orders by date, length and trending, keeping ties in search order', () => {
+    assert.deepEqual(ids(sortTips(tips, 'relevance')), ['a', 'b', 'c', 'd']);
+    assert.deepEqual(ids(sortTips(tips, 'newest')), ['b', 'c', 'a', 'd']);
+    assert.deepEqual(ids(sortTips(tips, 'trending')), ['a', 'd', 'b', 'c']);
+});
+
+test('shortest puts untimed tips after every timed one', () => {
+    assert.deepEqual(ids(sortTips(tips, 'shortest')), ['c', 'a', 'd', 'b']);
+    const untimed = [{ id: 'x', durationMinutes: 0 }, { id: 'y' }, { id: 'z', durationMinutes: 1 }];
+    assert.deepEqual(ids(sortTips(untimed, 'shortest')), ['z', 'x', 'y']);
+});
+
+test('sortTips reads tips through getTip and never mutates its input', () => {
+    const items = tips.map(tip => ({ tip }));
+    const sorted = sortTips(items, 'shortest', item => item.tip);
+    assert.deepEqual(sorted.map(item => item.tip.id), ['c', 'a', 'd', 'b']);
+    assert.deepEqual(items.map(item => item.tip.id), ['a', 'b', 'c', 'd']);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getLocalDateKey, addDays, isDone, toggleCheckIn, getTipStreak, getOverallStreak, getLongestStreak, buildHeatmap } from '../js/habits.js';
+
+const checkIn = (tipId, date) => ({ tipId, date, at: `${date}T08:00:00.000Z` });
+
+test('getLocalDateKey uses the local calendar day', () => {
+    assert.equal(getLocalDateKey(new Date(2026, 0, 5, 23, 59)), '2026-01-05');
+    assert.equal(getLocalDateKey(new Date(2026, 11, 31, 0, 1)), '2026-12-31');
+});
+
+test('addDays crosses month, year and leap-day boundaries', () => {
+    assert.equal(addDays('2026-01-31', 1), '2026-02-01');
+    assert.equal(addDays('2026-01-01', -1), '2025-12-31');
+    assert.equal(addDays('2028-02-28', 1), '2028-02-29');
+    assert.equal(addDays('2026-03-29', 1), '2026-03-30', 'a DST change is still one day');
+});
+
+test('toggleCheckIn records a tip once per day and undoes it on the second toggle', () => {
+    const first = toggleCheckIn([], 't1', '2026-10-19');
+    assert.equal(first.done, true);
+    assert.ok(isDone(first.checkIns, 't1', '2026-10-19'));
+
+    const second = toggleCheckIn(first.checkIns, 't1', '2026-10-19');
+    assert.equal(second.done, false);
+    assert.deepEqual(second.checkIns, []);
+});
+
+test('streaks count back from today, or from yesterday while today is still open', () => {
+    const checkIns = ['2026-10-15', '2026-10-16', '2026-10-17', '2026-10-18'].map(date => checkIn('t1', date));
+    assert.equal(getTipStreak(checkIns, 't1', '2026-10-19'), 4);
+    assert.equal(getTipStreak([...checkIns, checkIn('t1', '2026-10-19')], 't1', '2026-10-19'), 5);
+    assert.equal(getTipStreak(checkIns, 't1', '2026-10-20'), 0, 'a missed day breaks the streak');
+    assert.equal(getTipStreak(checkIns, 't2', '2026-10-19'), 0);
+});
+
+test('the overall streak counts days with any practice, once per day', () => {
+    const checkIns = [checkIn('t1', '2026-10-17'), checkIn('t2', '2026-10-18'), checkIn('t3', '2026-10-18'), checkIn('t1', '2026-10-19')];
+    assert.equal(getOverallStreak(checkIns, '2026-10-19'), 3);
+    assert.equal(getTipStreak(checkIns, 't1', '2026-10-19'), 1);
+});
+
+test('getLongestStreak finds the longest run anywhere in the history', () => {
+    const dates = ['2026-01-30', '2026-01-31', '2026-02-01', '2026-02-05', '2026-02-06', '2026-01-31'];
+    assert.equal(getLongestStreak(dates.map(date => checkIn('t1', date))), 3);
+    assert.equal(getLongestStreak([]), 0);
+});
+
+test('buildHeatmap lays out Sunday-first weeks ending with this week', () => {
+    // 2026-10-21 is a Wednesday.
+    const checkIns = [checkIn('t1', '2026-10-18'), ...['t1', 't2', 't3', 't4', 't5'].map(id => checkIn(id, '2026-10-20'))];
+    const weeks = buildHeatmap(checkIns, '2026-10-21', 2);
+
+    assert.equal(weeks.length, 2);
+    assert.equal(weeks[0][0].date, '2026-10-11');
+    assert.deepEqual(weeks[1].slice(0, 4), [
+        { date: '2026-10-18', count: 1, level: 1 },
+        { date: '2026-10-19', count: 0, level: 0 },
+        { date: '2026-10-20', count: 5, level: 4 },
+        { date: '2026-10-21', count: 0, level: 0 }
+    ]);
+    assert.deepEqual(weeks[1].slice(4), [null, null, null], 'days after today are empty');
+});
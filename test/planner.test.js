@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    getPlanCandidates, getTotalMinutes, buildRoutine, getSwapOptions, moveItem,
+    FAVORITE_VIDEO_MINUTES, MAX_UNTIMED_ITEMS
+} from '../js/planner.js';
+
+const tip = (id, minutes, difficulty = 'Medium', category = 'Mindfulness') => ({ kind: 'tip', id, title: id, minutes, category, difficulty });
+
+// A fixed sequence instead of Math.random, so routines are repeatable.
+function seeded(seed = 1) {
+    let state = seed;
+    return () => {
+        state = (state * 16807) % 2147483647;
+        return (state - 1) / 2147483646;
+    };
+}
+
+test('getPlanCandidates filters by category and adds favorite videos on request', () => {
+    const tips = [
+        { id: 't1', title: 'A', durationMinutes: 5, category: 'Fitness', difficulty: 'Easy' },
+        { id: 't2', title: 'B', durationMinutes: 'x', category: 'Mindfulness' }
+    ];
+    const favorites = [{ id: 'v1', type: 'video' }, { id: 'q1', type: 'quote', q: 'Hi' }];
+
+    assert.deepEqual(getPlanCandidates(tips, favorites, { categories: ['Mindfulness'] }), [
+        { kind: 'tip', id: 't2', title: 'B', minutes: 0, category: 'Mindfulness', difficulty: null }
+    ]);
+    const withVideos = getPlanCandidates(tips, favorites, { includeVideos: true });
+    assert.deepEqual(withVideos.map(item => item.id), ['t1', 't2', 'v1']);
+    assert.equal(withVideos[2].minutes, FAVORITE_VIDEO_MINUTES);
+    assert.equal(withVideos[2].title, 'Saved video');
+});
+
+test('buildRoutine fills the budget exactly when a combination exists', () => {
+    const candidates = [tip('a', 7), tip('b', 5), tip('c', 4), tip('d', 3), tip('e', 12)];
+    for (let seed = 1; seed <= 20; seed++) {
+        const routine = buildRoutine(candidates, 10, { random: seeded(seed) });
+        assert.equal(getTotalMinutes(routine), 10, `seed ${seed}`);
+    }
+    // Every item is longer than a 2-minute budget.
+    assert.deepEqual(buildRoutine(candidates, 2, { random: seeded() }), []);
+});
+
+test('buildRoutine falls back to the closest total under the budget', () => {
+    const routine = buildRoutine([tip('a', 6), tip('b', 4), tip('c', 8)], 11, { random: seeded() });
+    assert.equal(getTotalMinutes(routine), 10);
+});
+
+test('buildRoutine caps untimed tips and puts the easiest items first', () => {
+    const candidates = [
+        tip('hard', 5, 'Hard'), tip('easy', 5, 'Easy'),
+        ...['u1', 'u2', 'u3', 'u4'].map(id => tip(id, 0, 'Medium'))
+    ];
+    const routine = buildRoutine(candidates, 10, { random: seeded() });
+    assert.equal(routine.filter(item => item.minutes === 0).length, MAX_UNTIMED_ITEMS);
+    assert.equal(routine[0].id, 'easy');
+    assert.equal(routine[routine.length - 1].id, 'hard');
+});
+
+test('buildRoutine gives a different mix with a different random source', () => {
+    const candidates = ['a', 'b', 'c', 'd', 'e', 'f'].map(id => tip(id, 5));
+    const mixes = new Set();
+    for (let seed = 1; seed <= 10; seed++) {
+        mixes.add(buildRoutine(candidates, 10, { random: seeded(seed) }).map(item => item.id).sort().join());
+    }
+    assert.ok(mixes.size > 1);
+});
+
+test('getSwapOptions offers items not in the routine that fit the freed time', () => {
+    const routine = [tip('a', 5), tip('b', 3)];
+    const candidates = [...routine, tip('c', 7), tip('d', 8), { ...tip('a', 5), kind: 'video' }];
+    // Budget 10, swapping b frees 3 + 2 unused minutes.
+    assert.deepEqual(getSwapOptions(routine, candidates, 1, 10).map(item => `${item.kind}:${item.id}`), ['video:a']);
+    assert.deepEqual(getSwapOptions(routine, candidates, 1, 12).map(item => item.id), ['c', 'a']);
+});
+
+test('moveItem reorders without mutating and ignores moves off either end', () => {
+    const routine = [tip('a', 1), tip('b', 1), tip('c', 1)];
+    assert.deepEqual(moveItem(routine, 0, 2).map(item => item.id), ['b', 'c', 'a']);
+    assert.deepEqual(moveItem(routine, 0, -1).map(item => item.id), ['a', 'b', 'c']);
+    assert.deepEqual(routine.map(item => item.id), ['a', 'b', 'c']);
+});
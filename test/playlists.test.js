@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createPlaylist, addToPlaylist, removeFromPlaylist, movePlaylistItem, buildQueueOrder, getNextQueueIndex, PLAYLIST_LIMITS
+} from '../js/playlists.js';
+
+const video = videoId => ({ videoId, title: `Video ${videoId}`, channelTitle: 'Channel' });
+
+test('createPlaylist checks the name', () => {
+    const { playlists, playlist, error } = createPlaylist([], '  Wind down ');
+    assert.equal(error, '');
+    assert.equal(playlist.name, 'Wind down');
+    assert.deepEqual(playlist.items, []);
+    assert.deepEqual(playlists, [playlist]);
+
+    assert.equal(createPlaylist(playlists, 'WIND DOWN').error, 'You already have a playlist called "WIND DOWN".');
+    assert.equal(createPlaylist(playlists, ' ').error, 'Give the playlist a name.');
+    assert.match(createPlaylist(playlists, 'x'.repeat(PLAYLIST_LIMITS.name + 1)).error, /under 40 characters/);
+    assert.equal(createPlaylist(playlists, ' ').playlists, playlists);
+});
+
+test('addToPlaylist skips duplicates and full playlists without changing the list', () => {
+    const { playlists, playlist } = createPlaylist([], 'Morning');
+    const added = addToPlaylist(playlists, playlist.id, video('a'));
+    assert.equal(added.error, '');
+    assert.deepEqual(added.playlists[0].items, [video('a')]);
+    assert.deepEqual(playlists[0].items, [], 'the saved list is not modified');
+
+    const again = addToPlaylist(added.playlists, playlist.id, video('a'));
+    assert.equal(again.error, '"Video a" is already in Morning.');
+    assert.equal(again.playlists, added.playlists);
+
+    const full = [{ ...playlist, items: Array.from({ length: PLAYLIST_LIMITS.items }, (_, i) => video(String(i))) }];
+    assert.match(addToPlaylist(full, playlist.id, video('b')).error, /up to 100 videos/);
+    assert.equal(addToPlaylist(playlists, 'missing', video('b')).error, 'This playlist no longer exists.');
+});
+
+test('removing and moving items only touch the chosen playlist', () => {
+    const playlists = [
+        { id: 'p1', name: 'One', items: ['a', 'b', 'c'].map(video), updatedAt: 'before' },
+        { id: 'p2', name: 'Two', items: [video('a')], updatedAt: 'before' }
+    ];
+    const removed = removeFromPlaylist(playlists, 'p1', 'b');
+    assert.deepEqual(removed[0].items.map(item => item.videoId), ['a', 'c']);
+    assert.notEqual(removed[0].updatedAt, 'before');
+    assert.equal(removed[1], playlists[1]);
+
+    assert.deepEqual(movePlaylistItem(playlists, 'p1', 2, 0)[0].items.map(item => item.videoId), ['c', 'a', 'b']);
+});
+
+test('buildQueueOrder keeps playlist order or shuffles with the first pick first', () => {
+    const items = ['a', 'b', 'c', 'd', 'e'].map(video);
+    assert.deepEqual(buildQueueOrder(items), ['a', 'b', 'c', 'd', 'e']);
+
+    const shuffled = buildQueueOrder(items, { shuffle: true, firstVideoId: 'c' });
+    assert.equal(shuffled[0], 'c');
+    assert.deepEqual([...shuffled].sort(), ['a', 'b', 'c', 'd', 'e']);
+    assert.deepEqual(buildQueueOrder(items, { shuffle: true, firstVideoId: 'zzz' }).sort(), ['a', 'b', 'c', 'd', 'e']);
+});
+
+test('getNextQueueIndex follows the repeat mode', () => {
+    assert.equal(getNextQueueIndex(3, 0, 'off'), 1);
+    assert.equal(getNextQueueIndex(3, 2, 'off'), null);
+    assert.equal(getNextQueueIndex(3, 2, 'all'), 0);
+    assert.equal(getNextQueueIndex(3, 1, 'one'), 1);
+    assert.equal(getNextQueueIndex(0, 0, 'all'), null);
+});
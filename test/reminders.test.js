@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateReminder, isQuietTime, getNextFireTime, describeSchedule, startReminderScheduler } from '../js/reminders.js';
+
+const quiet = { enabled: true, start: '22:00', end: '07:00' };
+const at = (hours, minutes = 0, day = 19) => new Date(2026, 9, day, hours, minutes);
+
+test('validateReminder checks the label, kind, interval and time', () => {
+    assert.deepEqual(validateReminder({ label: 'Water', kind: 'interval', everyMinutes: 120 }), {});
+    assert.deepEqual(validateReminder({ label: 'Stretch', kind: 'daily', time: '09:30' }), {});
+    assert.deepEqual(Object.keys(validateReminder({ label: ' ', kind: 'weekly' })), ['label', 'kind']);
+    assert.ok(validateReminder({ label: 'x', kind: 'interval', everyMinutes: 10 }).everyMinutes);
+    assert.ok(validateReminder({ label: 'x', kind: 'interval', everyMinutes: 24 * 60 + 1 }).everyMinutes);
+    assert.ok(validateReminder({ label: 'x', kind: 'daily', time: '24:00' }).time);
+});
+
+test('quiet hours may span midnight', () => {
+    assert.equal(isQuietTime(at(23), quiet), true);
+    assert.equal(isQuietTime(at(6, 59), quiet), true);
+    assert.equal(isQuietTime(at(7), quiet), false);
+    assert.equal(isQuietTime(at(13), { enabled: true, start: '12:00', end: '14:00' }), true);
+    assert.equal(isQuietTime(at(23), { ...quiet, enabled: false }), false);
+    assert.equal(isQuietTime(at(23), { enabled: true, start: '08:00', end: '08:00' }), false);
+});
+
+test('interval reminders fire every few minutes after the last one', () => {
+    const reminder = { enabled: true, kind: 'interval', everyMinutes: 90, anchorAt: at(8).toISOString() };
+    assert.deepEqual(getNextFireTime(reminder, quiet), at(9, 30));
+    assert.deepEqual(getNextFireTime({ ...reminder, lastFiredAt: at(10).toISOString() }, quiet), at(11, 30));
+    assert.equal(getNextFireTime({ ...reminder, enabled: false }, quiet), null);
+});
+
+test('daily reminders fire at their time, tomorrow once today has passed', () => {
+    const reminder = { enabled: true, kind: 'daily', time: '09:00', anchorAt: at(8).toISOString() };
+    assert.deepEqual(getNextFireTime(reminder, quiet), at(9));
+    assert.deepEqual(getNextFireTime({ ...reminder, lastFiredAt: at(9).toISOString() }, quiet), at(9, 0, 20));
+});
+
+test('reminders due in quiet hours move to the end of them', () => {
+    const reminder = { enabled: true, kind: 'interval', everyMinutes: 120, lastFiredAt: at(21).toISOString() };
+    assert.deepEqual(getNextFireTime(reminder, quiet), at(7, 0, 20));
+    const early = { enabled: true, kind: 'daily', time: '06:00', lastFiredAt: at(6).toISOString() };
+    assert.deepEqual(getNextFireTime(early, quiet), at(7, 0, 20));
+});
+
+test('describeSchedule reads naturally', () => {
+    assert.equal(describeSchedule({ kind: 'daily', time: '09:00' }), 'Daily at 09:00');
+    assert.equal(describeSchedule({ kind: 'interval', everyMinutes: 60 }), 'Every hour');
+    assert.equal(describeSchedule({ kind: 'interval', everyMinutes: 180 }), 'Every 3 hours');
+    assert.equal(describeSchedule({ kind: 'interval', everyMinutes: 45 }), 'Every 45 minutes');
+});
+
+test('the scheduler reports due reminders and skips long-missed ones', () => {
+    const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+    const reminders = [
+        { id: 'due', enabled: true, kind: 'interval', everyMinutes: 60, lastFiredAt: minutesAgo(65) },
+        { id: 'missed', enabled: true, kind: 'interval', everyMinutes: 60, lastFiredAt: minutesAgo(120) },
+        { id: 'later', enabled: true, kind: 'interval', everyMinutes: 60, lastFiredAt: minutesAgo(5) },
+        { id: 'off', enabled: false, kind: 'interval', everyMinutes: 60, lastFiredAt: minutesAgo(65) }
+    ];
+    const due = [];
+    const missed = [];
+    const stop = startReminderScheduler({
+        getState: () => ({ reminders, quietHours: { enabled: false } }),
+        onDue: reminder => due.push(reminder.id),
+        onMissed: reminder => missed.push(reminder.id)
+    });
+    stop();
+    assert.deepEqual(due, ['due']);
+    assert.deepEqual(missed, ['missed']);
+});
@@ -0,0 +1,154 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeHtml, raw, html, setHtml, renderKeyed, syncKeyed } from '../js/render.js';
+
+// Just enough of the DOM for renderKeyed(): each element remembers the markup it was parsed from.
+class FakeElement {
+    constructor(markup = '') {
+        this.markup = markup;
+        this.dataset = {};
+        this.parent = null;
+    }
+
+    get parentElement() {
+        return this.parent;
+    }
+
+    remove() {
+        if (this.parent) this.parent.children.splice(this.parent.children.indexOf(this), 1);
+        this.parent = null;
+    }
+
+    replaceWith(node) {
+        this.parent.children[this.parent.children.indexOf(this)] = node;
+        node.parent = this.parent;
+        this.parent = null;
+    }
+}
+
+class FakeContainer {
+    constructor() {
+        this.children = [];
+    }
+
+    set innerHTML(markup) {
+        this.children = [];
+        if (markup) this.insertBefore(new FakeElement(markup), null);
+    }
+
+    insertBefore(node, reference) {
+        node.remove();
+        const index = reference ? this.children.indexOf(reference) : this.children.length;
+        this.children.splice(index, 0, node);
+        node.parent = this;
+    }
+}
+
+globalThis.document = {
+    createElement: () => ({
+        set innerHTML(markup) {
+            this.content = { firstElementChild: new FakeElement(markup) };
+        }
+    })
+};
+
+const render = item => html`<li>${item.title}</li>`;
+const list = (container, items) => renderKeyed(container, items, { key: item => item.id, render, empty: html`<p>Nothing here</p>` });
+
+test('escapeHtml escapes markup characters and blanks null and undefined', () => {
+    assert.equal(escapeHtml(`<a href="x">Tom & Jerry's</a>`), '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;');
+    assert.equal(escapeHtml(null), '');
+    assert.equal(escapeHtml(undefined), '');
+});
+
+test('html escapes interpolated text and attribute values', () => {
+    assert.equal(String(html`<p>${'<script>alert(1)</script>'}</p>`), '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+    assert.equal(String(html`<a title="${'" onclick="steal()'}">x</a>`), '<a title="&quot; onclick=&quot;steal()">x</a>');
+    assert.equal(String(html`<a title='${"' onclick='steal()"}'>x</a>`), `<a title='&#39; onclick=&#39;steal()'>x</a>`);
+});
+
+test('nested templates and raw() markup are not escaped again', () => {
+    const inner = html`<b>${'a & b'}</b>`;
+    assert.equal(String(html`<p>${inner}</p>`), '<p><b>a &amp; b</b></p>');
+    assert.equal(String(html`<p>${raw('<mark>x</mark>')}</p>`), '<p><mark>x</mark></p>');
+});
+
+test('arrays are joined and each item is escaped or nested', () => {
+    const items = ['<one>', html`<i>two</i>`, ['three', html`<i>four</i>`]];
+    assert.equal(String(html`<ul>${items}</ul>`), '<ul>&lt;one&gt;<i>two</i>three<i>four</i></ul>');
+    assert.equal(String(html`<ul>${[]}</ul>`), '<ul></ul>');
+});
+
+test('null, undefined and false render nothing, while 0 and true are shown', () => {
+    assert.equal(String(html`[${null}|${undefined}|${false}|${''}]`), '[|||]');
+    assert.equal(String(html`[${0}|${true}]`), '[0|true]');
+    assert.equal(String(html`<p ${false && 'hidden'}>${false && html`<b>x</b>`}</p>`), '<p ></p>');
+});
+
+test('setHtml writes the escaped markup into the container', () => {
+    const container = { innerHTML: '' };
+    setHtml(container, [html`<b>${'<x>'}</b>`, html`<i>y</i>`]);
+    assert.equal(container.innerHTML, '<b>&lt;x&gt;</b><i>y</i>');
+});
+
+test('renderKeyed keeps unchanged nodes and replaces only the changed ones', () => {
+    const container = new FakeContainer();
+    list(container, [{ id: 'a', title: 'A' }, { id: 'b', title: 'B' }]);
+    const [a, b] = container.children;
+    assert.deepEqual(container.children.map(node => node.dataset.key), ['a', 'b']);
+
+    list(container, [{ id: 'a', title: 'A' }, { id: 'b', title: 'B changed' }]);
+    assert.equal(container.children[0], a);
+    assert.notEqual(container.children[1], b);
+    assert.equal(container.children[1].markup, '<li>B changed</li>');
+});
+
+test('renderKeyed moves, adds and removes nodes by key', () => {
+    const container = new FakeContainer();
+    list(container, [{ id: 'a', title: 'A' }, { id: 'b', title: 'B' }, { id: 'c', title: 'C' }]);
+    const [a, , c] = container.children;
+
+    list(container, [{ id: 'c', title: 'C' }, { id: 'd', title: 'D' }, { id: 'a', title: 'A' }]);
+    assert.deepEqual(container.children.map(node => node.dataset.key), ['c', 'd', 'a']);
+    assert.equal(container.children[0], c);
+    assert.equal(container.children[2], a);
+});
+
+test('renderKeyed gives duplicate keys their own nodes', () => {
+    const container = new FakeContainer();
+    list(container, [{ id: 'a', title: 'A' }, { id: 'a', title: 'A again' }]);
+    assert.deepEqual(container.children.map(node => node.dataset.key), ['a', 'a#1']);
+});
+
+test('renderKeyed shows the empty state and clears it when items return', () => {
+    const container = new FakeContainer();
+    list(container, [{ id: 'a', title: 'A' }]);
+    list(container, []);
+    assert.deepEqual(container.children.map(node => node.markup), ['<p>Nothing here</p>']);
+
+    list(container, [{ id: 'a', title: 'A' }]);
+    assert.deepEqual(container.children.map(node => node.dataset.key), ['a']);
+});
+
+test('syncKeyed keeps a node that was updated in place through the next render', () => {
+    const container = new FakeContainer();
+    const saved = new Set();
+    const card = item => html`<li>${item.title}${saved.has(item.id) && ' (saved)'}</li>`;
+    const items = [{ id: 'a', title: 'A' }, { id: 'b', title: 'B' }];
+    renderKeyed(container, items, { key: item => item.id, render: card });
+    const [a, b] = container.children;
+
+    // As updateHeartButtons() does: the state and the DOM change, without a re-render.
+    saved.add('a');
+    a.markup = '<li>A (saved)</li>';
+    syncKeyed(a);
+
+    renderKeyed(container, items, { key: item => item.id, render: card });
+    assert.equal(container.children[0], a);
+    assert.equal(container.children[1], b);
+
+    // Without syncKeyed() the changed card is replaced.
+    saved.add('b');
+    renderKeyed(container, items, { key: item => item.id, render: card });
+    assert.notEqual(container.children[1], b);
+});
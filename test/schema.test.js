@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { validateTipRecord, validateTipsData, validateCustomTips } from '../js/schema.js';
+
+const valid = {
+    id: 't1', title: 'Box Breathing', content: 'Four counts in, hold, out, hold.', category: 'Mindfulness', source: 'Calm Lab',
+    durationMinutes: 5, difficulty: 'Easy', isTrending: false, keywords: ['breathing'], publishedDate: '2025-05-20'
+};
+
+test('the bundled data/data.json is valid', async () => {
+    const data = JSON.parse(await readFile(new URL('../data/data.json', import.meta.url), 'utf8'));
+    const { tips, issues } = validateTipsData(data);
+    assert.deepEqual(issues, []);
+    assert.equal(tips.length, data.length);
+});
+
+test('validateTipRecord reports each field at fault', () => {
+    assert.deepEqual(validateTipRecord(valid), []);
+    assert.deepEqual(validateTipRecord({ ...valid, extra: 'kept' }), [], 'unknown fields are allowed');
+    assert.deepEqual(validateTipRecord({ ...valid, title: ' ', durationMinutes: 2.5, difficulty: 'Expert' }), [
+        { field: 'title', message: 'must be non-empty text' },
+        { field: 'durationMinutes', message: 'must be a whole number' },
+        { field: 'difficulty', message: 'must be one of Easy, Medium, Hard' }
+    ]);
+    assert.deepEqual(validateTipRecord({ ...valid, durationMinutes: -1, keywords: ['ok', 3], source: undefined }), [
+        { field: 'source', message: 'is missing' },
+        { field: 'durationMinutes', message: 'must be 0 or more' },
+        { field: 'keywords', message: 'must only contain non-empty text' }
+    ]);
+    assert.deepEqual(validateTipRecord([]), [{ field: null, message: 'is not an object' }]);
+});
+
+test('dates must be real calendar days', () => {
+    const problem = date => validateTipRecord({ ...valid, publishedDate: date }).map(({ message }) => message);
+    assert.deepEqual(problem('2024-02-29'), []);
+    assert.deepEqual(problem('2025-02-29'), ['must be a date like 2025-05-20']);
+    assert.deepEqual(problem('20 May 2025'), ['must be a date like 2025-05-20']);
+});
+
+test('validateTipsData keeps good records and reports the rest by entry', () => {
+    const { tips, issues } = validateTipsData([valid, { ...valid, title: 'Copy' }, { ...valid, id: 't2', isTrending: 'yes' }, null, { ...valid, id: 't3' }]);
+    assert.deepEqual(tips.map(tip => tip.id), ['t1', 't3']);
+    assert.deepEqual(issues, [
+        { entry: 2, id: 't1', field: 'id', message: 'duplicates the id of entry 1' },
+        { entry: 3, id: 't2', field: 'isTrending', message: 'must be true or false' },
+        { entry: 4, id: '', field: null, message: 'is not an object' }
+    ]);
+});
+
+test('a file that is not a list is reported as a whole', () => {
+    assert.deepEqual(validateTipsData({ tips: [] }), {
+        tips: [],
+        issues: [{ entry: null, id: '', field: null, message: 'must contain a list of tips' }]
+    });
+});
+
+test('validateCustomTips also applies the editor rules and the custom- id prefix', () => {
+    const custom = { ...valid, id: 'custom-abc', custom: true, createdAt: '2025-05-20T08:00:00.000Z', updatedAt: '2025-05-20T08:00:00.000Z' };
+    const { tips, issues } = validateCustomTips([
+        custom,
+        { ...custom, id: 'custom-long', title: 'x'.repeat(81) },
+        { ...valid, id: 't9' },
+        { ...custom, id: 'custom-bad', durationMinutes: '5' },
+        custom
+    ]);
+    assert.deepEqual(tips, [custom]);
+    assert.deepEqual(issues, [
+        { entry: 2, id: 'custom-long', field: 'title', message: 'Keep the title under 80 characters.' },
+        { entry: 3, id: 't9', field: 'id', message: 'must start with "custom-"' },
+        { entry: 4, id: 'custom-bad', field: 'durationMinutes', message: 'must be a whole number' },
+        { entry: 5, id: 'custom-abc', field: 'id', message: 'duplicates the id of entry 1' }
+    ]);
+});
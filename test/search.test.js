@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, buildSearchIndex, searchTips, highlightMatches } from '../js/search.js';
+
+const tips = [
+    { id: 'a', title: 'Morning Meditation', keywords: ['mindfulness'], content: 'Sit quietly before sleep and breathe.', source: 'Calm Lab' },
+    { id: 'b', title: 'Evening Journaling', keywords: ['gratitude', 'sleep'], content: 'Write three good things.', source: 'Sleep Org' },
+    { id: 'c', title: 'Desk Stretches', keywords: ['posture'], content: 'Roll your shoulders while breathing slowly.', source: 'Fit Co' }
+];
+const index = buildSearchIndex(tips);
+const ids = results => results.map(result => result.tip.id);
+
+test('tokenize lowercases, strips accents and splits on punctuation', () => {
+    assert.deepEqual(tokenize('Café-Time, RELAX!'), ['cafe', 'time', 'relax']);
+    assert.deepEqual(tokenize(undefined), []);
+});
+
+test('an empty query returns every tip in catalogue order', () => {
+    assert.deepEqual(ids(searchTips(index, '  ')), ['a', 'b', 'c']);
+});
+
+test('results are ranked by field weight and match quality', () => {
+    // b has "sleep" as a keyword and in its source; a only in its content.
+    assert.deepEqual(ids(searchTips(index, 'sleep')), ['b', 'a']);
+    // c's "breathing" stems to an exact match; a's "breathe" is only a prefix match.
+    assert.deepEqual(ids(searchTips(index, 'breath')), ['c', 'a']);
+});
+
+test('stemming matches word forms', () => {
+    assert.deepEqual(ids(searchTips(index, 'journal')), ['b']);
+    assert.deepEqual(ids(searchTips(index, 'stretch')), ['c']);
+});
+
+test('prefixes match while typing', () => {
+    assert.deepEqual(ids(searchTips(index, 'medit')), ['a']);
+});
+
+test('typos are tolerated by word length', () => {
+    assert.deepEqual(ids(searchTips(index, 'meditaton')), ['a'], 'one typo in a long word');
+    assert.deepEqual(ids(searchTips(index, 'gratiutde')), ['b'], 'two typos in an 8+ letter word');
+    assert.deepEqual(ids(searchTips(index, 'dask')), ['c'], 'one typo in a 4-letter word');
+    assert.deepEqual(ids(searchTips(index, 'fiz')), [], 'no typos in short words');
+});
+
+test('every term of a multi-word query must match', () => {
+    assert.deepEqual(ids(searchTips(index, 'desk posture')), ['c']);
+    assert.deepEqual(ids(searchTips(index, 'desk gratitude')), []);
+});
+
+test('highlightMatches escapes text and marks matched words', () => {
+    const [result] = searchTips(index, 'morning');
+    assert.equal(
+        highlightMatches('Morning <b>routine</b>', result.matchedWords),
+        '<mark class="search-highlight">Morning</mark> &lt;b&gt;routine&lt;/b&gt;'
+    );
+    assert.equal(highlightMatches('a & b', new Set()), 'a &amp; b');
+});
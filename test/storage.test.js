@@ -0,0 +1,188 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStorage } from '../js/storage.js';
+
+// In-memory stand-ins for localStorage and IndexedDB. `records` outlives each storage, like a
+// real database between page loads; a key in `failingPuts` makes any transaction writing it abort.
+const records = new Map();
+const failingPuts = new Set();
+let local;
+
+function createLocalStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        has: key => items.has(key)
+    };
+}
+
+function createTransaction() {
+    const pending = new Map(); // Writes are applied only if the transaction commits
+    const transaction = { error: null };
+    let failed = false;
+    const request = result => ({ result });
+    transaction.objectStore = () => ({
+        get: key => request(pending.has(key) ? pending.get(key) : records.get(key)),
+        put: (value, key) => {
+            if (failingPuts.has(key)) failed = true;
+            pending.set(key, structuredClone(value));
+            return request(key);
+        },
+        delete: key => {
+            pending.set(key, undefined);
+            return request(undefined);
+        }
+    });
+    setTimeout(() => {
+        if (failed) {
+            transaction.error = new Error('Transaction aborted');
+            transaction.onabort();
+            return;
+        }
+        pending.forEach((value, key) => (value === undefined ? records.delete(key) : records.set(key, value)));
+        transaction.oncomplete();
+    });
+    return transaction;
+}
+
+const fakeIndexedDb = {
+    open() {
+        const request = {};
+        setTimeout(() => {
+            request.result = { transaction: createTransaction };
+            request.onsuccess();
+        });
+        return request;
+    }
+};
+
+const isList = value => Array.isArray(value);
+const collections = {
+    favorites: { backend: 'indexedDB', label: 'favorites', validate: isList },
+    history: { backend: 'indexedDB', label: 'quote history', validate: isList },
+    theme: { label: 'theme', defaultValue: 'light', validate: value => typeof value === 'string' }
+};
+const open = (options = {}) => {
+    const storage = createStorage({ versionKey: 'version', version: 1, collections, ...options });
+    return storage.open().then(result => ({ storage, ...result }));
+};
+
+beforeEach(t => {
+    local = createLocalStorage();
+    globalThis.localStorage = local;
+    globalThis.indexedDB = fakeIndexedDb;
+    records.clear();
+    failingPuts.clear();
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(console, 'warn', () => {});
+});
+
+test('migrations run in order from the stored version and record the new version', async () => {
+    local.setItem('version', '1');
+    const ran = [];
+    const migrations = [
+        { version: 3, description: 'third', migrate: () => ran.push(3) },
+        { version: 2, description: 'second', migrate: storage => { ran.push(2); storage.set('theme', 'dark'); } },
+        { version: 1, description: 'first', migrate: () => ran.push(1) }
+    ];
+    const { storage, issues } = await open({ version: 3, migrations });
+
+    assert.deepEqual(ran, [2, 3]);
+    assert.equal(local.getItem('version'), '3');
+    assert.equal(storage.get('theme'), 'dark');
+    assert.deepEqual(issues, []);
+});
+
+test('a failed migration is reported and retried from the last version that succeeded', async () => {
+    const migrations = [
+        { version: 1, description: 'rename keys', migrate: () => {} },
+        { version: 2, description: 'split favorites', migrate: () => { throw new Error('boom'); } }
+    ];
+    const { issues } = await open({ version: 2, migrations });
+
+    assert.equal(local.getItem('version'), '1');
+    assert.deepEqual(issues, [{ key: 'version', label: 'saved data upgrade', reason: 'not upgraded (split favorites)', backupKey: null }]);
+});
+
+test('data from a newer build is left alone', async () => {
+    local.setItem('version', '5');
+    let ran = false;
+    await open({ version: 2, migrations: [{ version: 2, description: 'x', migrate: () => (ran = true) }] });
+
+    assert.equal(ran, false);
+    assert.equal(local.getItem('version'), '5');
+});
+
+test('invalid JSON and values failing validate() are reset and kept under <key>-backup', async () => {
+    const { storage } = await open();
+    local.setItem('theme', '{not json');
+    assert.equal(storage.get('theme'), 'light');
+    assert.equal(local.getItem('theme-backup'), '{not json');
+    assert.equal(local.has('theme'), false);
+
+    local.setItem('theme', '42');
+    assert.equal(storage.get('theme'), 'light');
+    assert.equal(local.getItem('theme-backup'), '42');
+    assert.deepEqual(storage.getIssues().map(issue => issue.reason), ['not valid JSON', 'in an unexpected format']);
+});
+
+test('a corrupt IndexedDB record is backed up, reported and replaced by the default', async () => {
+    records.set('favorites', { not: 'a list' });
+    const { storage, issues } = await open();
+
+    assert.deepEqual(storage.get('favorites'), []);
+    assert.equal(local.getItem('favorites-backup'), '{"not":"a list"}');
+    assert.deepEqual(issues.map(issue => issue.key), ['favorites']);
+    assert.deepEqual(records.get('favorites'), []);
+});
+
+test('localStorage values from older builds move to IndexedDB', async () => {
+    local.setItem('favorites', '[{"id":"a"}]');
+    local.setItem('history', '[{"id":"q"}]');
+    const { storage, backend } = await open();
+
+    assert.equal(backend, 'indexedDB');
+    assert.deepEqual(storage.get('favorites'), [{ id: 'a' }]);
+    assert.deepEqual(records.get('favorites'), [{ id: 'a' }]);
+    assert.deepEqual(records.get('history'), [{ id: 'q' }]);
+    assert.equal(local.has('favorites'), false);
+    assert.equal(local.has('history'), false);
+
+    storage.set('favorites', [{ id: 'b' }]);
+    await storage.flush();
+    assert.deepEqual(records.get('favorites'), [{ id: 'b' }]);
+});
+
+test('without IndexedDB everything stays in localStorage', async () => {
+    delete globalThis.indexedDB;
+    local.setItem('favorites', '[{"id":"a"}]');
+    const { storage, backend } = await open();
+
+    assert.equal(backend, 'localStorage');
+    assert.deepEqual(storage.get('favorites'), [{ id: 'a' }]);
+    storage.set('favorites', [{ id: 'b' }]);
+    assert.equal(local.getItem('favorites'), '[{"id":"b"}]');
+});
+
+test('a failed move keeps every localStorage copy, and the next start moves them again', async () => {
+    local.setItem('favorites', '[{"id":"a"}]');
+    local.setItem('history', '[{"id":"q"}]');
+    failingPuts.add('history');
+    const first = await open();
+
+    assert.equal(first.backend, 'localStorage');
+    assert.deepEqual(first.storage.get('favorites'), [{ id: 'a' }]);
+    assert.equal(records.size, 0);
+
+    // Edits made while falling back must not be hidden by an older copy in IndexedDB.
+    first.storage.set('favorites', [{ id: 'a' }, { id: 'b' }]);
+    failingPuts.clear();
+    const second = await open();
+
+    assert.equal(second.backend, 'indexedDB');
+    assert.deepEqual(second.storage.get('favorites'), [{ id: 'a' }, { id: 'b' }]);
+    assert.deepEqual(records.get('history'), [{ id: 'q' }]);
+    assert.equal(local.has('favorites'), false);
+});
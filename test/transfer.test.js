@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportFavorites, parseFavoritesFile, validateFavorite, mergeFavorites } from '../js/transfer.js';
+
+const favorites = [
+    { id: 'q1', type: 'quote', savedAt: '2026-01-01T00:00:00.000Z', q: 'Say "yes",\nthen rest.', a: 'Anon' },
+    { id: 't1', type: 'tip', savedAt: '2026-01-02T00:00:00.000Z', title: 'Breathe', content: 'In, hold, out.' }
+];
+
+test('CSV export quotes fields with commas, quotes and line breaks', () => {
+    const { content, filename, mimeType } = exportFavorites(favorites, 'csv');
+    const [header, first] = content.split('\r\n');
+    assert.equal(header, 'id,type,savedAt,title,content,q,a');
+    assert.equal(first, 'q1,quote,2026-01-01T00:00:00.000Z,,,"Say ""yes"",\nthen rest.",Anon');
+    assert.match(filename, /^wellness-favorites-\d{4}-\d{2}-\d{2}\.csv$/);
+    assert.equal(mimeType, 'text/csv');
+});
+
+test('CSV and JSON exports read back unchanged', () => {
+    ['csv', 'json'].forEach(format => {
+        const { content, filename } = exportFavorites(favorites, format);
+        assert.deepEqual(parseFavoritesFile(content, filename), { items: favorites, invalid: [] }, format);
+    });
+});
+
+test('CSV import follows RFC 4180', () => {
+    const csv = '﻿id,type,title,content\r\n'
+        + 't2,tip,"Walk, then stretch","Line one\nline ""two"""\n'
+        + '\r\n'
+        + 't3,tip,Plain,'; // No trailing line break, empty last field
+    const { items } = parseFavoritesFile(csv, 'Backup.CSV');
+    assert.deepEqual(items, [
+        { id: 't2', type: 'tip', title: 'Walk, then stretch', content: 'Line one\nline "two"' },
+        { id: 't3', type: 'tip', title: 'Plain' }
+    ]);
+});
+
+test('whole-file problems throw, bad rows are reported', () => {
+    assert.throws(() => parseFavoritesFile('title\nx', 'a.csv'), /"id" and "type" columns/);
+    assert.throws(() => parseFavoritesFile('{', 'a.json'), /not valid JSON/);
+    assert.throws(() => parseFavoritesFile('{}', 'a.json'), /no "favorites" list/);
+    assert.throws(() => parseFavoritesFile('', 'a.md'), /\.json or \.csv/);
+
+    const { items, invalid } = parseFavoritesFile(JSON.stringify([{ id: 'v1', type: 'video' }, { id: 'x', type: 'song' }, { type: 'tip' }]), 'a.json');
+    assert.deepEqual(items, [{ id: 'v1', type: 'video' }]);
+    assert.deepEqual(invalid, [
+        { row: 2, id: 'x', error: 'unknown type "song"' },
+        { row: 3, id: '', error: 'missing id' }
+    ]);
+});
+
+test('validateFavorite keeps known fields and drops bad dates', () => {
+    assert.deepEqual(
+        validateFavorite({ id: ' q2 ', type: 'quote', q: 'Hi', savedAt: 'yesterday', extra: 1 }),
+        { item: { id: 'q2', type: 'quote', q: 'Hi' }, error: null }
+    );
+    assert.equal(validateFavorite({ id: 'q3', type: 'quote' }).error, 'quote has no text (q)');
+    assert.equal(validateFavorite({ id: 't4', type: 'tip' }).error, 'tip has no title');
+});
+
+test('mergeFavorites resolves conflicts by strategy', () => {
+    const saved = [{ id: 't1', type: 'tip', title: 'Old', savedAt: '2026-02-01T00:00:00.000Z' }];
+    const older = { id: 't1', type: 'tip', title: 'Older', savedAt: '2026-01-01T00:00:00.000Z' };
+    const newer = { id: 't1', type: 'tip', title: 'Newer', savedAt: '2026-03-01T00:00:00.000Z' };
+
+    assert.deepEqual(mergeFavorites(saved, [older]).favorites, saved);
+    assert.deepEqual(mergeFavorites(saved, [newer]).favorites, [newer]);
+    assert.deepEqual(mergeFavorites(saved, [newer], 'keep').favorites, saved);
+    assert.deepEqual(mergeFavorites(saved, [older], 'replace').favorites, [older]);
+});
+
+test('mergeFavorites reports added, updated and skipped items', () => {
+    const saved = [{ id: 't1', type: 'tip', title: 'Same', savedAt: '2026-01-01T00:00:00.000Z' }];
+    const result = mergeFavorites(saved, [
+        { ...saved[0] },
+        { id: 'v1', type: 'video' },
+        { id: 'v1', type: 'video', title: 'Repeat' }
+    ], 'replace');
+
+    assert.equal(result.favorites.length, 2);
+    assert.deepEqual(result.added.map(fav => fav.id), ['v1']);
+    assert.ok(result.added[0].savedAt, 'items without savedAt get one');
+    assert.deepEqual(result.updated, []);
+    assert.deepEqual(result.skipped.map(fav => fav.title), ['Same', 'Repeat']);
+    assert.equal(saved.length, 1, 'the saved list is not modified');
+});